@@ -0,0 +1,798 @@
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { withAudit } = require('./audit');
+const { notifyEmployee } = require('./notifications');
+const { validateWorkSchedule, validateAttendanceCorrection } = require('./validation');
+const { reportScopeCondition } = require('./org');
+const { toDateString, today } = require('./employment');
+const { addDays, getHolidays, isWorkingDay } = require('./holidays');
+
+// Attendance: clocking in and out, timesheets and corrections.
+//
+// An employee's day is one attendance record: clock in, any number of breaks,
+// clock out, all in the server's local time. Hours worked are the time
+// between clocking in and out less breaks. A clock-in later than the company's
+// work_day_start plus late_after_minutes on a working day is late. Days with
+// no record are derived when timesheets are built: approved leave, a day off
+// (weekends and holidays), absent once the working day has ended, otherwise
+// still to come.
+//
+// A record forgotten or clocked wrongly is fixed with a correction request,
+// from the employee or from HR, which replaces the day's times once approved
+// by someone other than the requester and the employee themselves.
+
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected'];
+
+const CORRECTION_DECISIONS = {
+  approve: { status: 'approved', audit: 'attendance.correction_approve', commentRequired: false },
+  reject: { status: 'rejected', audit: 'attendance.correction_reject', commentRequired: true }
+};
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// The server's local time of day, as stored in TIME columns
+const nowTime = () => {
+  const now = new Date();
+  return `${pad(now.getHours())}:${pad(now.getMinutes())}:${pad(now.getSeconds())}`;
+};
+
+const toMinutes = (time) => {
+  const [hours, minutes, seconds = 0] = String(time).split(':').map(Number);
+  return hours * 60 + minutes + seconds / 60;
+};
+
+const workedHours = (clockIn, clockOut, breakMinutes) =>
+  Math.max(0, Math.round((toMinutes(clockOut) - toMinutes(clockIn) - (breakMinutes || 0)) / 60 * 100) / 100);
+
+const clockInStatus = (schedule, time, working) =>
+  (working && toMinutes(time) > toMinutes(schedule.work_day_start) + schedule.late_after_minutes ? 'late' : 'present');
+
+const isMonth = (value) => /^\d{4}-(0[1-9]|1[0-2])$/.test(value || '');
+
+// First and last day of a YYYY-MM month
+const monthRange = (month) => [`${month}-01`, addDays(`${addDays(`${month}-28`, 4).slice(0, 7)}-01`, -1)];
+
+const getSchedule = async (db, companyId) => {
+  const result = await db.query(
+    'SELECT work_day_start, work_day_end, late_after_minutes FROM companies WHERE id = $1',
+    [companyId]
+  );
+  return result.rows[0];
+};
+
+/**
+ * Each employee's days from `from` to `to`, keyed by employee id. Employees
+ * need id, start_date and exit_date; days outside their employment are left
+ * out. A day has a `status` of present, late, absent, on_leave, off or
+ * scheduled, and the clock times and hours when there is a record.
+ */
+const buildTimesheets = async (db, companyId, employees, from, to) => {
+  const ids = employees.map(employee => employee.id);
+  const [records, leave, holidays, schedule] = await Promise.all([
+    db.query(
+      'SELECT * FROM attendance WHERE employee_id = ANY($1::int[]) AND date >= $2 AND date <= $3',
+      [ids, from, to]
+    ),
+    db.query(
+      `SELECT employee_id, leave_type, start_date, end_date FROM leave_requests
+       WHERE employee_id = ANY($1::int[]) AND status = 'approved' AND start_date <= $3 AND end_date >= $2`,
+      [ids, from, to]
+    ),
+    getHolidays(db, companyId, from, to),
+    getSchedule(db, companyId)
+  ]);
+
+  const recordsByDay = new Map(records.rows.map(record => [`${record.employee_id}:${toDateString(record.date)}`, record]));
+  const date = today();
+  const time = nowTime();
+
+  const dayEntry = (employeeId, day) => {
+    const working = isWorkingDay(day, holidays);
+    const entry = { date: day, working, holiday: holidays.get(day) || null };
+    const record = recordsByDay.get(`${employeeId}:${day}`);
+
+    if (record) {
+      return {
+        ...entry,
+        status: record.status,
+        clock_in: record.clock_in,
+        clock_out: record.clock_out,
+        break_minutes: record.break_duration,
+        total_hours: record.total_hours === null ? null : Number(record.total_hours),
+        corrected: record.corrected
+      };
+    }
+
+    if (!working) {
+      return { ...entry, status: 'off' };
+    }
+
+    const onLeave = leave.rows.find(request =>
+      request.employee_id === employeeId && toDateString(request.start_date) <= day && toDateString(request.end_date) >= day);
+
+    if (onLeave) {
+      return { ...entry, status: 'on_leave', leave_type: onLeave.leave_type };
+    }
+
+    const over = day < date || (day === date && time >= schedule.work_day_end);
+    return { ...entry, status: over ? 'absent' : 'scheduled' };
+  };
+
+  return new Map(employees.map(employee => {
+    const startDate = toDateString(employee.start_date);
+    const exitDate = toDateString(employee.exit_date);
+    const first = startDate && startDate > from ? startDate : from;
+    const last = exitDate && exitDate < to ? exitDate : to;
+    const days = [];
+
+    for (let day = first; day <= last; day = addDays(day, 1)) {
+      days.push(dayEntry(employee.id, day));
+    }
+
+    return [employee.id, days];
+  }));
+};
+
+const summarize = (days) => {
+  const count = (...statuses) => days.filter(day => statuses.includes(day.status)).length;
+  return {
+    days_present: count('present', 'late'),
+    days_late: count('late'),
+    days_absent: count('absent'),
+    days_on_leave: count('on_leave'),
+    total_hours: Math.round(days.reduce((sum, day) => sum + (day.total_hours || 0), 0) * 100) / 100
+  };
+};
+
+// A record with its breaks, as the portal shows today
+const presentRecord = async (db, record) => {
+  const breaks = await db.query(
+    'SELECT started_at, ended_at FROM attendance_breaks WHERE attendance_id = $1 ORDER BY id',
+    [record.id]
+  );
+
+  return {
+    ...record,
+    date: toDateString(record.date),
+    total_hours: record.total_hours === null ? null : Number(record.total_hours),
+    breaks: breaks.rows,
+    on_break: breaks.rows.some(entry => entry.ended_at === null)
+  };
+};
+
+// End a break and recount the day's break minutes
+const closeBreak = async (client, record, openBreak, time) => {
+  await client.query('UPDATE attendance_breaks SET ended_at = $1 WHERE id = $2', [time, openBreak.id]);
+
+  const breaks = await client.query(
+    'SELECT started_at, ended_at FROM attendance_breaks WHERE attendance_id = $1 AND ended_at IS NOT NULL',
+    [record.id]
+  );
+  const minutes = Math.round(breaks.rows.reduce((sum, entry) => sum + toMinutes(entry.ended_at) - toMinutes(entry.started_at), 0));
+
+  const result = await client.query(
+    'UPDATE attendance SET break_duration = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+    [minutes, record.id]
+  );
+  return result.rows[0];
+};
+
+// What each clock step does to today's record, or why it can't be taken
+const CLOCK_STEPS = {
+  clock_in: async ({ client, employee, record, date, time }) => {
+    if (record) {
+      return { error: 'You have already clocked in today' };
+    }
+
+    const [schedule, holidays] = await Promise.all([
+      getSchedule(client, employee.company_id),
+      getHolidays(client, employee.company_id, date, date)
+    ]);
+    const status = clockInStatus(schedule, time, isWorkingDay(date, holidays));
+    const result = await client.query(
+      `INSERT INTO attendance (employee_id, company_id, date, clock_in, status)
+       VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+      [employee.id, employee.company_id, date, time, status]
+    );
+
+    return { record: result.rows[0], message: status === 'late' ? 'Clocked in late' : 'Clocked in' };
+  },
+
+  start_break: async ({ client, record, openBreak, time }) => {
+    if (!record || record.clock_out) {
+      return { error: 'You are not clocked in' };
+    }
+
+    if (openBreak) {
+      return { error: 'You are already on a break' };
+    }
+
+    await client.query('INSERT INTO attendance_breaks (attendance_id, started_at) VALUES ($1, $2)', [record.id, time]);
+    return { record, message: 'Break started' };
+  },
+
+  end_break: async ({ client, record, openBreak, time }) => {
+    if (!openBreak) {
+      return { error: 'You are not on a break' };
+    }
+
+    return { record: await closeBreak(client, record, openBreak, time), message: 'Break ended' };
+  },
+
+  // Ends any break still running
+  clock_out: async ({ client, record, openBreak, time }) => {
+    if (!record) {
+      return { error: 'You have not clocked in today' };
+    }
+
+    if (record.clock_out) {
+      return { error: 'You have already clocked out today' };
+    }
+
+    const current = openBreak ? await closeBreak(client, record, openBreak, time) : record;
+    const result = await client.query(
+      `UPDATE attendance SET clock_out = $1, total_hours = $2, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3 RETURNING *`,
+      [time, workedHours(current.clock_in, time, current.break_duration), record.id]
+    );
+
+    return { record: result.rows[0], message: 'Clocked out' };
+  }
+};
+
+const findSessionEmployee = async (db, req) => {
+  const result = await db.query(
+    'SELECT id, company_id, name, status, start_date, exit_date FROM employees WHERE employee_id = $1 AND company_id = $2',
+    [req.session.employeeId, req.session.companyId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Employee: take a clock step on today's record. The record is locked so two
+// clicks can't both apply.
+const clockStep = (step) => async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const employee = await findSessionEmployee(pool, req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    if (employee.status === 'terminated') {
+      return res.status(403).json({ message: 'Former employees cannot clock in' });
+    }
+
+    const date = today();
+    const time = nowTime();
+
+    const outcome = await withAudit(req, async (client, audit) => {
+      const existing = await client.query(
+        'SELECT * FROM attendance WHERE employee_id = $1 AND date = $2 FOR UPDATE',
+        [employee.id, date]
+      );
+      const record = existing.rows[0] || null;
+      const openBreak = record
+        ? (await client.query('SELECT * FROM attendance_breaks WHERE attendance_id = $1 AND ended_at IS NULL', [record.id])).rows[0] || null
+        : null;
+
+      const result = await CLOCK_STEPS[step]({ client, employee, record, openBreak, date, time });
+
+      if (!result.error) {
+        audit({
+          action: `attendance.${step}`,
+          entityType: 'attendance',
+          entityId: result.record.id,
+          before: record,
+          after: result.record,
+          metadata: { time }
+        });
+      }
+
+      return result;
+    });
+
+    if (outcome.error) {
+      return res.status(409).json({ message: outcome.error });
+    }
+
+    res.json({ message: outcome.message, attendance: await presentRecord(pool, outcome.record) });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'You have already clocked in today' });
+    }
+
+    console.error('Clock error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Record a correction request for one of the company's employees; returns
+// { error, status } when it can't be made
+const requestCorrection = (req, companyId, employeeId, requester) => withAudit(req, async (client, audit) => {
+  if (req.body.date > today()) {
+    return { status: 400, error: 'Only days that have started can be corrected' };
+  }
+
+  const pending = await client.query(
+    "SELECT 1 FROM attendance_corrections WHERE employee_id = $1 AND date = $2 AND status = 'pending'",
+    [employeeId, req.body.date]
+  );
+
+  if (pending.rows.length > 0) {
+    return { status: 409, error: 'A correction for this day is already waiting for approval' };
+  }
+
+  const result = await client.query(
+    `INSERT INTO attendance_corrections (company_id, employee_id, date, clock_in, clock_out, break_minutes, reason,
+       requested_by_user_id, requested_by_employee_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+    [
+      companyId,
+      employeeId,
+      req.body.date,
+      req.body.clock_in,
+      req.body.clock_out,
+      parseInt(req.body.break_minutes) || 0,
+      req.body.reason.trim(),
+      requester.userId || null,
+      requester.employeeId || null
+    ]
+  );
+
+  audit({
+    action: 'attendance.correction_request',
+    entityType: 'attendance_correction',
+    entityId: result.rows[0].id,
+    after: result.rows[0]
+  });
+  return { correction: { ...result.rows[0], date: toDateString(result.rows[0].date) } };
+});
+
+// Replace the day's record with the corrected times
+const applyCorrection = async (client, correction) => {
+  const date = toDateString(correction.date);
+  const [schedule, holidays, existing] = await Promise.all([
+    getSchedule(client, correction.company_id),
+    getHolidays(client, correction.company_id, date, date),
+    client.query('SELECT * FROM attendance WHERE employee_id = $1 AND date = $2 FOR UPDATE', [correction.employee_id, date])
+  ]);
+
+  const result = await client.query(
+    `INSERT INTO attendance (employee_id, company_id, date, clock_in, clock_out, break_duration, total_hours, status, corrected)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, true)
+     ON CONFLICT (employee_id, date) DO UPDATE SET
+       clock_in = EXCLUDED.clock_in, clock_out = EXCLUDED.clock_out, break_duration = EXCLUDED.break_duration,
+       total_hours = EXCLUDED.total_hours, status = EXCLUDED.status, corrected = true, updated_at = CURRENT_TIMESTAMP
+     RETURNING *`,
+    [
+      correction.employee_id,
+      correction.company_id,
+      date,
+      correction.clock_in,
+      correction.clock_out,
+      correction.break_minutes,
+      workedHours(correction.clock_in, correction.clock_out, correction.break_minutes),
+      clockInStatus(schedule, correction.clock_in, isWorkingDay(date, holidays))
+    ]
+  );
+
+  // The corrected break minutes replace the breaks that were clocked
+  await client.query('DELETE FROM attendance_breaks WHERE attendance_id = $1', [result.rows[0].id]);
+  return { before: existing.rows[0] || null, after: result.rows[0] };
+};
+
+// Employee: today's record and their timesheet for ?month= (default this
+// month), with their correction requests and unread attendance notifications
+const getMyAttendance = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  const month = req.query.month || today().slice(0, 7);
+
+  if (!isMonth(month)) {
+    return res.status(400).json({ message: 'month must be a month (YYYY-MM)' });
+  }
+
+  try {
+    const employee = await findSessionEmployee(pool, req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const [from, to] = monthRange(month);
+    const [timesheets, record, corrections, notifications, schedule] = await Promise.all([
+      buildTimesheets(pool, employee.company_id, [employee], from, to),
+      pool.query('SELECT * FROM attendance WHERE employee_id = $1 AND date = $2', [employee.id, today()]),
+      pool.query(
+        `SELECT id, date, clock_in, clock_out, break_minutes, reason, status, decision_comment, created_at
+         FROM attendance_corrections WHERE employee_id = $1
+         ORDER BY created_at DESC LIMIT 20`,
+        [employee.id]
+      ),
+      pool.query(
+        `SELECT id, type, message, created_at FROM employee_notifications
+         WHERE employee_id = $1 AND read_at IS NULL AND type LIKE 'attendance.%'
+         ORDER BY created_at DESC`,
+        [employee.id]
+      ),
+      getSchedule(pool, employee.company_id)
+    ]);
+    const days = timesheets.get(employee.id);
+
+    res.json({
+      schedule,
+      today: record.rows.length > 0 ? await presentRecord(pool, record.rows[0]) : null,
+      month,
+      days,
+      summary: summarize(days),
+      corrections: corrections.rows.map(correction => ({ ...correction, date: toDateString(correction.date) })),
+      notifications: notifications.rows
+    });
+  } catch (error) {
+    console.error('Attendance error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Employee: ask for a day's times to be corrected
+const requestMyCorrection = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  const errors = validateAttendanceCorrection(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: errors.join(', '), errors });
+  }
+
+  try {
+    const employee = await findSessionEmployee(pool, req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const outcome = await requestCorrection(req, employee.company_id, employee.id, { employeeId: employee.id });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ message: outcome.error });
+    }
+
+    res.status(201).json({ message: 'Correction requested', correction: outcome.correction });
+  } catch (error) {
+    console.error('Attendance correction error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Employees the caller may see whose employment overlaps the range,
+// optionally in one department
+const listEmployees = async (req, from, to) => {
+  const params = [getCompanyId(req), from, to];
+  const scope = await reportScopeCondition(req, 'e.id', params);
+  let departmentFilter = '';
+
+  if (req.query.department_id) {
+    params.push(parseInt(req.query.department_id));
+    departmentFilter = `AND e.department_id = $${params.length}`;
+  }
+
+  const result = await pool.query(
+    `SELECT e.id, e.employee_id as employee_code, e.name, e.department, e.department_id, e.start_date, e.exit_date
+     FROM employees e
+     WHERE e.company_id = $1 AND (e.start_date IS NULL OR e.start_date <= $3)
+       AND (e.exit_date IS NULL OR e.exit_date >= $2) AND (e.status <> 'terminated' OR e.exit_date IS NOT NULL)
+       AND ${scope} ${departmentFilter}
+     ORDER BY e.name`,
+    params
+  );
+
+  return result.rows;
+};
+
+const employeeColumns = ({ id, employee_code: employeeCode, name, department }) =>
+  ({ employee_id: id, employee_code: employeeCode, name, department });
+
+// HR: everyone's attendance on ?date= (default today), with a count per status
+const getDailyAttendance = async (req, res) => {
+  const date = req.query.date || today();
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date))) {
+    return res.status(400).json({ error: 'date must be a date (YYYY-MM-DD)' });
+  }
+
+  try {
+    const employees = await listEmployees(req, date, date);
+    const timesheets = await buildTimesheets(pool, getCompanyId(req), employees, date, date);
+    const rows = employees.map(employee => ({ ...employeeColumns(employee), ...timesheets.get(employee.id)[0] }));
+    const counts = {};
+    rows.forEach(row => { counts[row.status] = (counts[row.status] || 0) + 1; });
+
+    res.json({ success: true, data: { date, counts, employees: rows } });
+  } catch (error) {
+    console.error('Error fetching daily attendance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: days present, late, absent and on leave and hours worked in ?month=
+// (default this month), per employee
+const getMonthlyAttendance = async (req, res) => {
+  const month = req.query.month || today().slice(0, 7);
+
+  if (!isMonth(month)) {
+    return res.status(400).json({ error: 'month must be a month (YYYY-MM)' });
+  }
+
+  try {
+    const [from, to] = monthRange(month);
+    const employees = await listEmployees(req, from, to);
+    const timesheets = await buildTimesheets(pool, getCompanyId(req), employees, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        month,
+        employees: employees.map(employee => ({ ...employeeColumns(employee), ...summarize(timesheets.get(employee.id)) }))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching monthly attendance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: one employee's days in ?month=
+const getEmployeeTimesheet = async (req, res) => {
+  const month = req.query.month || today().slice(0, 7);
+
+  if (!isMonth(month)) {
+    return res.status(400).json({ error: 'month must be a month (YYYY-MM)' });
+  }
+
+  try {
+    const result = await pool.query(
+      `SELECT id, employee_id as employee_code, name, department, start_date, exit_date
+       FROM employees WHERE id = $1 AND company_id = $2`,
+      [req.params.id, getCompanyId(req)]
+    );
+    const employee = result.rows[0];
+    const [from, to] = monthRange(month);
+    const days = (await buildTimesheets(pool, getCompanyId(req), [employee], from, to)).get(employee.id);
+
+    res.json({ success: true, data: { month, employee: employeeColumns(employee), days, summary: summarize(days) } });
+  } catch (error) {
+    console.error('Error fetching timesheet:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: correction requests, newest first, with the times they would replace
+const getAttendanceCorrections = async (req, res) => {
+  const { status } = req.query;
+
+  if (status && !CORRECTION_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${CORRECTION_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const params = [getCompanyId(req)];
+    const scope = await reportScopeCondition(req, 'ac.employee_id', params);
+    let statusFilter = '';
+
+    if (status) {
+      params.push(status);
+      statusFilter = `AND ac.status = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT ac.*, e.name as employee_name, e.employee_id as employee_code,
+         COALESCE(ru.username, re.name) as requested_by_name, du.username as decided_by_name,
+         a.clock_in as current_clock_in, a.clock_out as current_clock_out, a.break_duration as current_break_minutes
+       FROM attendance_corrections ac
+       JOIN employees e ON ac.employee_id = e.id
+       LEFT JOIN company_users ru ON ac.requested_by_user_id = ru.id
+       LEFT JOIN employees re ON ac.requested_by_employee_id = re.id
+       LEFT JOIN company_users du ON ac.decided_by = du.id
+       LEFT JOIN attendance a ON a.employee_id = ac.employee_id AND a.date = ac.date
+       WHERE ac.company_id = $1 AND ${scope} ${statusFilter}
+       ORDER BY ac.created_at DESC`,
+      params
+    );
+
+    res.json({
+      success: true,
+      data: result.rows.map(correction => ({
+        ...correction,
+        date: toDateString(correction.date),
+        can_decide: correction.status === 'pending' &&
+          correction.requested_by_user_id !== req.admin.id && correction.employee_id !== req.admin.employee_id
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching attendance corrections:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: request a correction on an employee's behalf
+const createAttendanceCorrection = async (req, res) => {
+  const errors = validateAttendanceCorrection(req.body);
+
+  if (!req.body.employee_id) {
+    errors.unshift('employee_id is required');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const outcome = await requestCorrection(req, getCompanyId(req), parseInt(req.body.employee_id), { userId: req.admin.id });
+
+    if (outcome.error) {
+      return res.status(outcome.status).json({ error: outcome.error });
+    }
+
+    res.status(201).json({ success: true, data: outcome.correction });
+  } catch (error) {
+    console.error('Error creating attendance correction:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: approve or reject a pending correction. Nobody decides a correction
+// they asked for or one to their own attendance.
+const decideCorrection = (decision) => async (req, res) => {
+  const { status, audit: auditAction, commentRequired } = CORRECTION_DECISIONS[decision];
+  const comment = (req.body.comment || '').trim();
+
+  if (commentRequired && !comment) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: ['comment is required'] });
+  }
+
+  try {
+    const outcome = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM attendance_corrections WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, getCompanyId(req)]
+      );
+      const correction = before.rows[0];
+
+      if (!correction) {
+        return { error: 404, message: 'Correction not found' };
+      }
+
+      if (correction.status !== 'pending') {
+        return { error: 409, message: `This correction has already been ${correction.status}` };
+      }
+
+      if (correction.requested_by_user_id === req.admin.id || correction.employee_id === req.admin.employee_id) {
+        return { error: 403, message: 'Someone else must decide a correction you requested or one to your own attendance' };
+      }
+
+      const result = await client.query(
+        `UPDATE attendance_corrections SET status = $1, decided_by = $2, decided_at = CURRENT_TIMESTAMP, decision_comment = $3
+         WHERE id = $4 RETURNING *`,
+        [status, req.admin.id, comment || null, correction.id]
+      );
+      audit({ action: auditAction, entityType: 'attendance_correction', entityId: correction.id, before: correction, after: result.rows[0] });
+
+      const date = toDateString(correction.date);
+
+      if (decision === 'approve') {
+        const record = await applyCorrection(client, correction);
+        audit({
+          action: 'attendance.correct',
+          entityType: 'attendance',
+          entityId: record.after.id,
+          before: record.before,
+          after: record.after,
+          metadata: { correction_id: correction.id }
+        });
+      }
+
+      await notifyEmployee(client, {
+        companyId: correction.company_id,
+        employeeId: correction.employee_id,
+        type: `attendance.correction_${decision}`,
+        message: decision === 'approve'
+          ? `Your attendance for ${date} was corrected.`
+          : `The correction to your attendance for ${date} was rejected: ${comment}`
+      });
+
+      return { correction: { ...result.rows[0], date } };
+    });
+
+    if (outcome.error) {
+      return res.status(outcome.error).json({ error: outcome.message });
+    }
+
+    res.json({ success: true, data: outcome.correction });
+  } catch (error) {
+    console.error('Error deciding attendance correction:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const getWorkSchedule = async (req, res) => {
+  try {
+    res.json({ success: true, data: await getSchedule(pool, getCompanyId(req)) });
+  } catch (error) {
+    console.error('Error fetching work schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: change the working day. Existing records keep the status they were
+// given.
+const updateWorkSchedule = async (req, res) => {
+  const errors = validateWorkSchedule(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const schedule = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT work_day_start, work_day_end, late_after_minutes FROM companies WHERE id = $1 FOR UPDATE',
+        [getCompanyId(req)]
+      );
+      const current = before.rows[0];
+      const next = {
+        work_day_start: req.body.work_day_start || current.work_day_start,
+        work_day_end: req.body.work_day_end || current.work_day_end,
+        late_after_minutes: req.body.late_after_minutes !== undefined ? Number(req.body.late_after_minutes) : current.late_after_minutes
+      };
+
+      if (toMinutes(next.work_day_end) <= toMinutes(next.work_day_start)) {
+        return { error: 'work_day_end must be after work_day_start' };
+      }
+
+      const result = await client.query(
+        `UPDATE companies SET work_day_start = $1, work_day_end = $2, late_after_minutes = $3
+         WHERE id = $4 RETURNING work_day_start, work_day_end, late_after_minutes`,
+        [next.work_day_start, next.work_day_end, next.late_after_minutes, getCompanyId(req)]
+      );
+      audit({ action: 'attendance.schedule_update', entityType: 'company', entityId: getCompanyId(req), before: current, after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    if (schedule.error) {
+      return res.status(400).json({ success: false, error: 'Validation failed', details: [schedule.error] });
+    }
+
+    res.json({ success: true, data: schedule });
+  } catch (error) {
+    console.error('Error updating work schedule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  CORRECTION_STATUSES,
+  clockIn: clockStep('clock_in'),
+  startBreak: clockStep('start_break'),
+  endBreak: clockStep('end_break'),
+  clockOut: clockStep('clock_out'),
+  getMyAttendance,
+  requestMyCorrection,
+  getDailyAttendance,
+  getMonthlyAttendance,
+  getEmployeeTimesheet,
+  getAttendanceCorrections,
+  createAttendanceCorrection,
+  approveAttendanceCorrection: decideCorrection('approve'),
+  rejectAttendanceCorrection: decideCorrection('reject'),
+  getWorkSchedule,
+  updateWorkSchedule
+};
@@ -0,0 +1,360 @@
+const crypto = require('crypto');
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { csvCell } = require('./spreadsheets');
+
+// Append-only audit log of HR data changes: who changed what, from where,
+// with a before/after diff. A company's entries form a hash chain; each
+// entry's hash covers its content and the previous entry's hash, so editing
+// or removing an entry breaks the chain from that point on.
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Changes to these fields are logged without their values
+const REDACTED_FIELDS = [
+  'password', 'password_hash', 'password_reset_token', 'activation_token',
+  'two_factor_secret', 'two_factor_pending_secret', 'token_hash',
+  'api_key', 'api_secret', 'api_key_encrypted', 'api_secret_encrypted',
+  'account_number', 'bank_details', 'emergency_contact'
+];
+
+// Bookkeeping columns that change with every update
+const IGNORED_FIELDS = ['updated_at'];
+
+const ENTRY_COLUMNS = `id, company_id, actor_type, actor_id, actor_name, action, entity_type, entity_id,
+  changes, metadata, ip_address, user_agent, created_at, prev_hash, hash`;
+
+// Plain JSON, so Dates hash the same before and after a database round trip
+const toJson = (value) => (value === undefined || value === null ? null : JSON.parse(JSON.stringify(value)));
+
+// JSON with sorted keys; JSONB doesn't keep key order
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+// { field: { from, to } } for every field that differs between two versions
+// of a record. A creation has no `before` and a deletion no `after`.
+const diffRecords = (before, after) => {
+  const from = toJson(before) || {};
+  const to = toJson(after) || {};
+  const changes = {};
+
+  for (const field of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    const oldValue = from[field] === undefined ? null : from[field];
+    const newValue = to[field] === undefined ? null : to[field];
+
+    if (IGNORED_FIELDS.includes(field) || canonicalJson(oldValue) === canonicalJson(newValue)) {
+      continue;
+    }
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { from: oldValue === null ? null : '[redacted]', to: newValue === null ? null : '[redacted]' }
+      : { from: oldValue, to: newValue };
+  }
+
+  return changes;
+};
+
+const hashEntry = (entry) => {
+  return crypto.createHash('sha256').update(canonicalJson({
+    prev_hash: entry.prev_hash,
+    company_id: entry.company_id,
+    actor_type: entry.actor_type,
+    actor_id: entry.actor_id,
+    actor_name: entry.actor_name,
+    action: entry.action,
+    entity_type: entry.entity_type,
+    entity_id: entry.entity_id,
+    changes: entry.changes,
+    metadata: entry.metadata,
+    ip_address: entry.ip_address,
+    user_agent: entry.user_agent,
+    created_at: new Date(entry.created_at).toISOString()
+  })).digest('hex');
+};
+
+// HR users act through req.admin, employees through their portal session
+const getActor = (req) => {
+  if (req.admin) {
+    return { type: 'admin', id: String(req.admin.id), name: req.admin.username || null, companyId: getCompanyId(req) };
+  }
+
+  if (req.session && req.session.employeeId) {
+    return { type: 'employee', id: String(req.session.employeeId), name: null, companyId: req.session.companyId };
+  }
+
+  return { type: 'system', id: null, name: null, companyId: null };
+};
+
+// Append an entry within the caller's transaction, so it is only kept if the
+// change it describes commits.
+// entry: { action, entityType, entityId, before, after, metadata }
+const appendAuditEntry = async (client, req, entry) => {
+  const actor = getActor(req);
+  const companyId = entry.companyId || actor.companyId;
+
+  // One append at a time per company keeps the chain linear
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`audit:${companyId}`]);
+
+  const last = await client.query(
+    'SELECT hash FROM audit_log WHERE company_id = $1 ORDER BY id DESC LIMIT 1',
+    [companyId]
+  );
+
+  const record = {
+    company_id: companyId,
+    actor_type: actor.type,
+    actor_id: actor.id,
+    actor_name: actor.name,
+    action: entry.action,
+    entity_type: entry.entityType,
+    entity_id: entry.entityId === undefined || entry.entityId === null ? null : String(entry.entityId),
+    changes: diffRecords(entry.before, entry.after),
+    metadata: toJson(entry.metadata) || {},
+    ip_address: req.ip || null,
+    user_agent: (req.get && req.get('user-agent')) || null,
+    created_at: new Date(),
+    prev_hash: last.rows.length > 0 ? last.rows[0].hash : GENESIS_HASH
+  };
+  record.hash = hashEntry(record);
+
+  await client.query(
+    `INSERT INTO audit_log (company_id, actor_type, actor_id, actor_name, action, entity_type, entity_id,
+       changes, metadata, ip_address, user_agent, created_at, prev_hash, hash)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)`,
+    [record.company_id, record.actor_type, record.actor_id, record.actor_name, record.action,
+      record.entity_type, record.entity_id, JSON.stringify(record.changes), JSON.stringify(record.metadata),
+      record.ip_address, record.user_agent, record.created_at, record.prev_hash, record.hash]
+  );
+};
+
+// Run `work(client, audit)` in a transaction and append every entry it
+// passed to audit() before committing, so a change is never saved without
+// its audit entry. Resolves to what `work` returns.
+const withAudit = async (req, work) => {
+  const entries = [];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await work(client, (entry) => entries.push(entry));
+
+    for (const entry of entries) {
+      await appendAuditEntry(client, req, entry);
+    }
+
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+// Record something that can't share a transaction with the change, such as
+// payments already sent to the bank
+const recordAudit = (req, entry) => withAudit(req, (client, audit) => audit(entry));
+
+// Update one record of the caller's company and log its before and after.
+// `assignments` is the SET clause using $1... for `values`; `table` must be
+// a constant. Resolves to the updated row, or null when there is none.
+const updateWithAudit = (req, { table, id, assignments, values, action, entityType }) => {
+  return withAudit(req, async (client, audit) => {
+    const before = await client.query(
+      `SELECT * FROM ${table} WHERE id = $1 AND company_id = $2 FOR UPDATE`,
+      [id, getCompanyId(req)]
+    );
+
+    if (before.rows.length === 0) {
+      return null;
+    }
+
+    const result = await client.query(
+      `UPDATE ${table} SET ${assignments} WHERE id = $${values.length + 1} RETURNING *`,
+      [...values, before.rows[0].id]
+    );
+
+    audit({ action, entityType, entityId: before.rows[0].id, before: before.rows[0], after: result.rows[0] });
+    return result.rows[0];
+  });
+};
+
+// WHERE clause for the audit view's filters: action (prefix, e.g.
+// "employee."), entityType, entityId, actor (name or id), from / to (dates,
+// inclusive) and q (free text). Returns null when a date is invalid.
+const buildAuditFilter = (req) => {
+  const { action, entityType, entityId, actor, from, to, q } = req.query;
+  const params = [getCompanyId(req)];
+  const conditions = ['company_id = $1'];
+
+  if (action) {
+    params.push(`${action}%`);
+    conditions.push(`action LIKE $${params.length}`);
+  }
+
+  if (entityType) {
+    params.push(entityType);
+    conditions.push(`entity_type = $${params.length}`);
+  }
+
+  if (entityId) {
+    params.push(String(entityId));
+    conditions.push(`entity_id = $${params.length}`);
+  }
+
+  if (actor) {
+    params.push(`%${actor}%`, String(actor));
+    conditions.push(`(actor_name ILIKE $${params.length - 1} OR actor_id = $${params.length})`);
+  }
+
+  for (const [value, operator, offsetMs] of [[from, '>=', 0], [to, '<', 24 * 60 * 60 * 1000]]) {
+    if (!value) {
+      continue;
+    }
+
+    const date = new Date(value);
+    if (isNaN(date.getTime())) {
+      return null;
+    }
+
+    params.push(new Date(date.getTime() + offsetMs));
+    conditions.push(`created_at ${operator} $${params.length}`);
+  }
+
+  if (q) {
+    params.push(`%${q}%`);
+    conditions.push(`(action ILIKE $${params.length} OR entity_type ILIKE $${params.length} OR changes::text ILIKE $${params.length})`);
+  }
+
+  return { where: conditions.join(' AND '), params };
+};
+
+const INVALID_DATE_ERROR = 'Invalid date filter. Use YYYY-MM-DD.';
+
+// Audit log of the company, newest first (requires audit:read)
+const getAuditLog = async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: INVALID_DATE_ERROR });
+    }
+
+    const { where, params } = filter;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const [entries, total] = await Promise.all([
+      pool.query(
+        `SELECT ${ENTRY_COLUMNS} FROM audit_log WHERE ${where}
+         ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+        [...params, limit, offset]
+      ),
+      pool.query(`SELECT COUNT(*) as count FROM audit_log WHERE ${where}`, params)
+    ]);
+
+    res.json({ success: true, data: entries.rows, total: parseInt(total.rows[0].count) });
+  } catch (error) {
+    console.error('Error fetching audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const CSV_COLUMNS = ['id', 'created_at', 'actor_type', 'actor_id', 'actor_name', 'action', 'entity_type',
+  'entity_id', 'changes', 'metadata', 'ip_address', 'user_agent', 'prev_hash', 'hash'];
+
+// Download the filtered audit log as CSV (default) or JSON (?format=json),
+// oldest first. Both include the hashes for checking the chain offline.
+const exportAuditLog = async (req, res) => {
+  try {
+    const filter = buildAuditFilter(req);
+    if (!filter) {
+      return res.status(400).json({ error: INVALID_DATE_ERROR });
+    }
+
+    const { where, params } = filter;
+    const result = await pool.query(`SELECT ${ENTRY_COLUMNS} FROM audit_log WHERE ${where} ORDER BY id`, params);
+    const fileName = `audit-log-${new Date().toISOString().slice(0, 10)}`;
+
+    if (req.query.format === 'json') {
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}.json"`);
+      return res.json(result.rows);
+    }
+
+    const lines = [CSV_COLUMNS.join(',')].concat(result.rows.map(row => CSV_COLUMNS.map(column => {
+      return csvCell(column === 'created_at' ? new Date(row.created_at).toISOString() : row[column]);
+    }).join(',')));
+
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}.csv"`);
+    res.send(lines.join('\r\n') + '\r\n');
+  } catch (error) {
+    console.error('Error exporting audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Entries are checked in batches to keep memory flat on long logs
+const VERIFY_BATCH_SIZE = 1000;
+
+// Walk the company's chain and report the first entry that doesn't match
+const verifyAuditLog = async (req, res) => {
+  try {
+    let prevHash = GENESIS_HASH;
+    let lastId = 0;
+    let checked = 0;
+
+    for (;;) {
+      const batch = await pool.query(
+        `SELECT ${ENTRY_COLUMNS} FROM audit_log WHERE company_id = $1 AND id > $2 ORDER BY id LIMIT $3`,
+        [getCompanyId(req), lastId, VERIFY_BATCH_SIZE]
+      );
+
+      for (const entry of batch.rows) {
+        const problem = entry.prev_hash !== prevHash
+          ? 'Entry does not link to the previous entry (an entry was removed or reordered)'
+          : hashEntry(entry) !== entry.hash
+            ? 'Entry content does not match its hash (the entry was modified)'
+            : null;
+
+        if (problem) {
+          return res.json({ success: true, data: { valid: false, checked, brokenAt: entry.id, problem } });
+        }
+
+        prevHash = entry.hash;
+        lastId = entry.id;
+        checked++;
+      }
+
+      if (batch.rows.length < VERIFY_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    res.json({ success: true, data: { valid: true, checked, lastHash: prevHash } });
+  } catch (error) {
+    console.error('Error verifying audit log:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  diffRecords,
+  appendAuditEntry,
+  withAudit,
+  recordAudit,
+  updateWithAudit,
+  getAuditLog,
+  exportAuditLog,
+  verifyAuditLog
+};
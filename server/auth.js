@@ -1,31 +1,173 @@
+const crypto = require('crypto');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { pool } = require('./database');
+const { isValidEmail, isValidPassword } = require('./validation');
+const { PERMISSIONS, ROLES, getPermissions } = require('./permissions');
+const { sendMail, getAppUrl } = require('./mailer');
+const { startSession, revokeUserSessions } = require('./sessions');
+const { checkLoginAllowed, rejectLogin, recordLoginFailure, recordLoginSuccess } = require('./throttle');
+const {
+  ACCESS_TOKEN_TTL_SECONDS, getJwtSecret, hashToken, signAccessToken, issueRefreshToken,
+  findRefreshToken, revokeTokenFamily, revokeSessionTokens
+} = require('./tokens');
+const { withAudit } = require('./audit');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'hr-platform-secret-key-2024';
+// How long an emailed password reset link stays valid
+const PASSWORD_RESET_TTL_MINUTES = 60;
 
-// Middleware to verify admin authentication
+const createResetToken = (ttlMinutes = PASSWORD_RESET_TTL_MINUTES) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  return {
+    token,
+    hash: hashToken(token),
+    expires: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  };
+};
+
+// Short-lived token proving the password step passed. It is exchanged for a
+// session token once the remaining login steps are done: verifying the
+// second factor, enrolling in 2FA when the company requires it, or changing
+// a password that must be changed.
+const createLoginChallenge = (admin, purpose) => {
+  return jwt.sign(
+    { companyUserId: admin.id, companyId: admin.company_id, purpose },
+    getJwtSecret(),
+    { expiresIn: '10m' }
+  );
+};
+
+const verifyLoginChallenge = (token, purpose) => {
+  try {
+    const decoded = jwt.verify(String(token || ''), getJwtSecret());
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// A company user with everything the login steps need
+const findCompanyUser = async (companyUserId, companyId) => {
+  const result = await pool.query(
+    `SELECT cu.id, cu.username, cu.email, cu.password_hash, cu.role, cu.company_id,
+       cu.must_change_password, cu.two_factor_enabled, cu.two_factor_secret, cu.two_factor_pending_secret,
+       c.name as company_name, c.require_two_factor
+     FROM company_users cu
+     JOIN companies c ON cu.company_id = c.id
+     WHERE cu.id = $1 AND cu.company_id = $2 AND c.subscription_status = 'active'`,
+    [companyUserId, companyId]
+  );
+  return result.rows[0] || null;
+};
+
+// Last login step: issue an access token and the first refresh token of a
+// new family for a fully authenticated company user, unless they must
+// change their password first
+const completeAdminLogin = async (req, res, admin, extra = {}) => {
+  if (admin.must_change_password) {
+    return res.json({
+      success: true,
+      passwordChangeRequired: true,
+      challengeToken: createLoginChallenge(admin, 'password_change'),
+      message: 'You must change your password before continuing',
+      ...extra
+    });
+  }
+
+  await recordLoginSuccess(
+    { userType: 'admin', username: admin.username, req, companyUserId: admin.id, companyId: admin.company_id },
+    admin
+  );
+
+  const { token: refreshToken } = await issueRefreshToken(pool, {
+    companyUserId: admin.id,
+    sessionId: req.sessionID,
+    expires: req.session.cookie.expires,
+    req
+  });
+
+  startSession(req, { adminId: admin.id, companyId: admin.company_id });
+
+  res.json({
+    success: true,
+    message: 'Login successful',
+    token: signAccessToken(admin, req.sessionID),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    admin: {
+      id: admin.id,
+      username: admin.username,
+      email: admin.email,
+      role: admin.role,
+      company_id: admin.company_id,
+      company_name: admin.company_name
+    },
+    ...extra
+  });
+};
+
+// Middleware to verify HR authentication. HR staff are company_users and
+// their access token (or cookie session) carries the company every HR query
+// is scoped to.
 const authenticateAdmin = async (req, res, next) => {
   try {
-    const token = req.headers.authorization?.split(' ')[1] || req.session?.token;
-    
-    if (!token) {
+    const bearer = req.headers.authorization?.split(' ')[1];
+    let companyUserId;
+    let companyId;
+
+    if (bearer) {
+      let decoded;
+      try {
+        decoded = jwt.verify(bearer, getJwtSecret());
+      } catch (error) {
+        if (error.name === 'TokenExpiredError') {
+          // The client should get a new one from /api/auth/refresh
+          return res.status(401).json({ error: 'Access token has expired.', code: 'TOKEN_EXPIRED' });
+        }
+        return res.status(401).json({ error: 'Invalid token.' });
+      }
+
+      // Login challenge tokens only unlock the remaining login steps
+      if (decoded.purpose) {
+        return res.status(401).json({ error: 'Invalid token.' });
+      }
+
+      // Tokens are tied to the session they were issued with, so revoking the
+      // session also revokes the token
+      const activeSession = await pool.query(
+        'SELECT 1 FROM sessions WHERE sid = $1 AND expire > CURRENT_TIMESTAMP',
+        [decoded.sid]
+      );
+
+      if (activeSession.rows.length === 0) {
+        return res.status(401).json({ error: 'Session has expired or was revoked. Please log in again.' });
+      }
+
+      companyUserId = decoded.companyUserId;
+      companyId = decoded.companyId;
+    } else if (req.session?.adminId) {
+      // The session store only loads sessions that are still active
+      companyUserId = req.session.adminId;
+      companyId = req.session.companyId;
+    } else {
       return res.status(401).json({ error: 'Access denied. No token provided.' });
     }
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    
-    // Verify admin still exists in database
+    // Verify the user still exists in the company named by the token
     const result = await pool.query(
-      'SELECT id, username, email, role FROM admins WHERE id = $1',
-      [decoded.adminId]
+      `SELECT cu.id, cu.username, cu.email, cu.role, cu.permissions, cu.company_id, cu.employee_id
+       FROM company_users cu
+       JOIN companies c ON cu.company_id = c.id
+       WHERE cu.id = $1 AND cu.company_id = $2 AND c.subscription_status = 'active'`,
+      [companyUserId, companyId]
     );
 
     if (result.rows.length === 0) {
-      return res.status(401).json({ error: 'Invalid token. Admin not found.' });
+      return res.status(401).json({ error: 'Invalid token. User not found.' });
     }
 
-    req.admin = result.rows[0];
+    const admin = result.rows[0];
+    req.admin = { ...admin, permissions: getPermissions(admin) };
     next();
   } catch (error) {
     console.error('Authentication error:', error);
@@ -33,67 +175,241 @@ const authenticateAdmin = async (req, res, next) => {
   }
 };
 
-// Admin login
+// For the endpoints that finish a login step: accepts the challenge from the
+// login step for `purpose`, or a normal session token
+const authenticateLoginChallenge = (purpose) => async (req, res, next) => {
+  if (!req.body.challengeToken) {
+    return authenticateAdmin(req, res, next);
+  }
+
+  try {
+    const challenge = verifyLoginChallenge(req.body.challengeToken, purpose);
+    const user = challenge && await findCompanyUser(challenge.companyUserId, challenge.companyId);
+
+    if (!user) {
+      return res.status(401).json({ error: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+
+    req.admin = { id: user.id, company_id: user.company_id };
+    req.loginChallenge = purpose;
+    next();
+  } catch (error) {
+    console.error('Login challenge error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Company user login. `company` (the company's email or id) is only needed
+// when the same username exists in more than one company.
 const loginAdmin = async (req, res) => {
   try {
-    const { username, password } = req.body;
+    const { username, password, company } = req.body;
 
     if (!username || !password) {
       return res.status(400).json({ error: 'Username and password are required' });
     }
 
-    // Find admin by username or email
+    const attempt = { userType: 'admin', username, req };
+
+    // Find the user by username or email, optionally within one company
     const result = await pool.query(
-      'SELECT id, username, email, password_hash, role FROM admins WHERE username = $1 OR email = $1',
-      [username]
+      `SELECT cu.id, cu.username, cu.email, cu.password_hash, cu.role, cu.company_id,
+         cu.must_change_password, cu.two_factor_enabled,
+         c.name as company_name, c.subscription_status, c.require_two_factor
+       FROM company_users cu
+       JOIN companies c ON cu.company_id = c.id
+       WHERE (cu.username = $1 OR cu.email = $1)
+         AND ($2::text IS NULL OR c.email = $2 OR c.id::text = $2)`,
+      [username, company || null]
     );
 
-    if (result.rows.length === 0) {
+    if (result.rows.length > 1) {
+      return res.status(400).json({ error: 'This username exists in several companies. Please enter your company email.' });
+    }
+
+    const admin = result.rows[0] || null;
+    if (admin) {
+      Object.assign(attempt, { companyUserId: admin.id, companyId: admin.company_id });
+    }
+
+    const block = await checkLoginAllowed(attempt);
+    if (block) {
+      return rejectLogin(res, block, attempt);
+    }
+
+    if (!admin) {
+      await recordLoginFailure({ ...attempt, reason: 'unknown_user' });
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const admin = result.rows[0];
     const isValidPassword = await bcrypt.compare(password, admin.password_hash);
 
     if (!isValidPassword) {
+      await recordLoginFailure({ ...attempt, reason: 'invalid_password' }, admin);
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { 
-        adminId: admin.id, 
-        username: admin.username, 
-        role: admin.role 
-      },
-      JWT_SECRET,
-      { expiresIn: '24h' }
+    if (admin.subscription_status !== 'active') {
+      return res.status(403).json({ error: 'This company account is not active' });
+    }
+
+    // With 2FA the password only earns a challenge for the second step
+    if (admin.two_factor_enabled) {
+      return res.json({
+        success: true,
+        twoFactorRequired: true,
+        challengeToken: createLoginChallenge(admin, 'two_factor_login'),
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    if (admin.require_two_factor) {
+      return res.json({
+        success: true,
+        twoFactorSetupRequired: true,
+        challengeToken: createLoginChallenge(admin, 'two_factor_setup'),
+        message: 'Your company requires two-factor authentication. Set it up to continue.'
+      });
+    }
+
+    await completeAdminLogin(req, res, admin);
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token. Each
+// refresh token works once; presenting one that was already exchanged
+// revokes its whole family and signs the session out.
+const refreshAdminToken = async (req, res) => {
+  const { refreshToken } = req.body;
+
+  if (!refreshToken) {
+    return res.status(400).json({ error: 'Refresh token is required' });
+  }
+
+  let client;
+
+  try {
+    client = await pool.connect();
+    const stored = await findRefreshToken(refreshToken);
+
+    if (!stored || stored.revoked_at) {
+      return res.status(401).json({ error: 'Invalid refresh token. Please log in again.' });
+    }
+
+    if (stored.used_at) {
+      console.warn(`Refresh token reuse detected for company user ${stored.company_user_id}; revoking token family`);
+      await revokeTokenFamily(pool, stored.family_id);
+      return res.status(401).json({ error: 'This sign-in was revoked for your security. Please log in again.' });
+    }
+
+    const activeSession = await pool.query(
+      'SELECT 1 FROM sessions WHERE sid = $1 AND expire > CURRENT_TIMESTAMP',
+      [stored.session_id]
     );
 
-    // Store token in session
-    req.session.token = token;
-    req.session.adminId = admin.id;
+    if (new Date(stored.expires_at) <= new Date() || activeSession.rows.length === 0) {
+      await revokeTokenFamily(pool, stored.family_id);
+      return res.status(401).json({ error: 'Session has expired or was revoked. Please log in again.' });
+    }
+
+    const userResult = await pool.query(
+      `SELECT cu.id, cu.username, cu.role, cu.company_id
+       FROM company_users cu
+       JOIN companies c ON cu.company_id = c.id
+       WHERE cu.id = $1 AND c.subscription_status = 'active'`,
+      [stored.company_user_id]
+    );
+
+    if (userResult.rows.length === 0) {
+      await revokeTokenFamily(pool, stored.family_id);
+      return res.status(401).json({ error: 'Invalid refresh token. User not found.' });
+    }
+
+    await client.query('BEGIN');
+
+    // Marking the token used in the same statement that checks it means two
+    // concurrent refreshes can't both succeed
+    const claimed = await client.query(
+      `UPDATE refresh_tokens SET used_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND used_at IS NULL AND revoked_at IS NULL
+       RETURNING id`,
+      [stored.id]
+    );
+
+    if (claimed.rows.length === 0) {
+      await client.query('ROLLBACK');
+      await revokeTokenFamily(pool, stored.family_id);
+      return res.status(401).json({ error: 'This sign-in was revoked for your security. Please log in again.' });
+    }
+
+    const next = await issueRefreshToken(client, {
+      companyUserId: stored.company_user_id,
+      sessionId: stored.session_id,
+      familyId: stored.family_id,
+      expires: stored.expires_at,
+      req
+    });
+
+    await client.query('UPDATE refresh_tokens SET replaced_by = $1 WHERE id = $2', [next.id, stored.id]);
+
+    await client.query('COMMIT');
 
     res.json({
       success: true,
-      message: 'Login successful',
-      token,
-      admin: {
-        id: admin.id,
-        username: admin.username,
-        email: admin.email,
-        role: admin.role
-      }
+      token: signAccessToken(userResult.rows[0], stored.session_id),
+      refreshToken: next.token,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS
     });
   } catch (error) {
-    console.error('Login error:', error);
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Token refresh error:', error);
     res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
   }
 };
 
-// Admin logout
-const logoutAdmin = (req, res) => {
+// Admin logout: ends the session and revokes its refresh tokens, so neither
+// the access token nor the refresh token works afterwards
+const logoutAdmin = async (req, res) => {
   try {
+    const sessionIds = new Set([req.sessionID]);
+
+    // A bearer token may belong to a different session than the cookie. An
+    // expired one still identifies the session to end.
+    const bearer = req.headers.authorization?.split(' ')[1];
+    if (bearer) {
+      try {
+        const decoded = jwt.verify(bearer, getJwtSecret(), { ignoreExpiration: true });
+        if (decoded.sid && !decoded.purpose) {
+          sessionIds.add(decoded.sid);
+        }
+      } catch (error) {
+        // An invalid token has no session to end
+      }
+    }
+
+    if (req.body.refreshToken) {
+      const stored = await findRefreshToken(req.body.refreshToken);
+      if (stored) {
+        await revokeTokenFamily(pool, stored.family_id);
+      }
+    }
+
+    for (const sid of sessionIds) {
+      await revokeSessionTokens(pool, sid);
+      if (sid !== req.sessionID) {
+        await pool.query('DELETE FROM sessions WHERE sid = $1', [sid]);
+      }
+    }
+
     req.session.destroy((err) => {
       if (err) {
         console.error('Logout error:', err);
@@ -120,42 +436,111 @@ const getCurrentAdmin = async (req, res) => {
   }
 };
 
-// Create new admin (super admin only)
-const createAdmin = async (req, res) => {
+// Change the current user's password. With the challenge from the login
+// step this also finishes the login of a user who must change it first.
+const changePassword = async (req, res) => {
   try {
-    if (req.admin.role !== 'super_admin') {
-      return res.status(403).json({ error: 'Access denied. Super admin required.' });
+    const { currentPassword, newPassword } = req.body;
+
+    if (!newPassword) {
+      return res.status(400).json({ error: 'New password is required' });
+    }
+
+    if (!isValidPassword(newPassword)) {
+      return res.status(400).json({ error: 'Password must be at least 8 characters with uppercase, lowercase, and number' });
+    }
+
+    const user = await findCompanyUser(req.admin.id, req.admin.company_id);
+    const fromLogin = req.loginChallenge === 'password_change';
+
+    // The login step already checked the current password
+    if (!fromLogin && !(await bcrypt.compare(currentPassword || '', user.password_hash))) {
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    if (await bcrypt.compare(newPassword, user.password_hash)) {
+      return res.status(400).json({ error: 'New password must be different from the current one' });
     }
 
-    const { username, email, password, role = 'admin' } = req.body;
+    const hashedPassword = await bcrypt.hash(newPassword, 10);
+
+    await pool.query(
+      `UPDATE company_users SET password_hash = $1, must_change_password = false, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [hashedPassword, user.id]
+    );
+
+    if (fromLogin) {
+      return completeAdminLogin(req, res, { ...user, must_change_password: false });
+    }
+
+    res.json({ success: true, message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Check a role and list of extra permission grants; returns an error message
+const validateRoleAssignment = (role, permissions) => {
+  if (!ROLES[role]) {
+    return `Invalid role. Must be one of: ${Object.keys(ROLES).join(', ')}`;
+  }
+
+  if (permissions !== undefined) {
+    if (!Array.isArray(permissions)) {
+      return 'Permissions must be an array';
+    }
+
+    const unknown = permissions.filter(permission => !PERMISSIONS[permission]);
+    if (unknown.length > 0) {
+      return `Unknown permission: ${unknown.join(', ')}`;
+    }
+  }
+
+  return null;
+};
+
+// Create a new user in the caller's company (requires users:manage)
+const createAdmin = async (req, res) => {
+  try {
+    const { username, email, password, role = 'hr_manager', permissions = [] } = req.body;
 
     if (!username || !email || !password) {
       return res.status(400).json({ error: 'Username, email, and password are required' });
     }
 
-    // Check if admin already exists
+    const roleError = validateRoleAssignment(role, permissions);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    // Usernames and emails are unique per company
     const existingAdmin = await pool.query(
-      'SELECT id FROM admins WHERE username = $1 OR email = $2',
-      [username, email]
+      'SELECT id FROM company_users WHERE company_id = $1 AND (username = $2 OR email = $3)',
+      [req.admin.company_id, username, email]
     );
 
     if (existingAdmin.rows.length > 0) {
-      return res.status(400).json({ error: 'Admin with this username or email already exists' });
+      return res.status(400).json({ error: 'A user with this username or email already exists' });
     }
 
     // Hash password
     const hashedPassword = await bcrypt.hash(password, 10);
 
-    // Create admin
-    const result = await pool.query(
-      'INSERT INTO admins (username, email, password_hash, role) VALUES ($1, $2, $3, $4) RETURNING id, username, email, role, created_at',
-      [username, email, hashedPassword, role]
-    );
+    const admin = await withAudit(req, async (client, audit) => {
+      const result = await client.query(
+        'INSERT INTO company_users (company_id, username, email, password_hash, role, permissions) VALUES ($1, $2, $3, $4, $5, $6) RETURNING id, username, email, role, permissions, company_id, created_at',
+        [req.admin.company_id, username, email, hashedPassword, role, JSON.stringify(permissions)]
+      );
+      audit({ action: 'user.create', entityType: 'company_user', entityId: result.rows[0].id, after: result.rows[0] });
+      return result.rows[0];
+    });
 
     res.json({
       success: true,
       message: 'Admin created successfully',
-      admin: result.rows[0]
+      admin
     });
   } catch (error) {
     console.error('Create admin error:', error);
@@ -163,15 +548,16 @@ const createAdmin = async (req, res) => {
   }
 };
 
-// Get all admins (super admin only)
+// Get all users of the caller's company (requires users:manage)
 const getAllAdmins = async (req, res) => {
   try {
-    if (req.admin.role !== 'super_admin') {
-      return res.status(403).json({ error: 'Access denied. Super admin required.' });
-    }
-
     const result = await pool.query(
-      'SELECT id, username, email, role, created_at, updated_at FROM admins ORDER BY created_at DESC'
+      `SELECT cu.id, cu.username, cu.email, cu.role, cu.permissions, cu.two_factor_enabled, cu.employee_id,
+         e.name as employee_name, cu.created_at, cu.updated_at
+       FROM company_users cu
+       LEFT JOIN employees e ON cu.employee_id = e.id
+       WHERE cu.company_id = $1 ORDER BY cu.created_at DESC`,
+      [req.admin.company_id]
     );
 
     res.json({
@@ -184,11 +570,323 @@ const getAllAdmins = async (req, res) => {
   }
 };
 
+// Change a user's role and extra permission grants (requires users:manage)
+const updateAdminRole = async (req, res) => {
+  try {
+    const { role, permissions = [] } = req.body;
+
+    const roleError = validateRoleAssignment(role, permissions);
+    if (roleError) {
+      return res.status(400).json({ error: roleError });
+    }
+
+    // Owners can't demote themselves, so a company always keeps one owner
+    if (parseInt(req.params.id) === req.admin.id && role !== 'owner') {
+      return res.status(400).json({ error: 'You cannot change your own role' });
+    }
+
+    const result = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT role, permissions FROM company_users WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, req.admin.company_id]
+      );
+
+      const updated = await client.query(
+        `UPDATE company_users SET role = $1, permissions = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND company_id = $4
+         RETURNING id, username, email, role, permissions, created_at, updated_at`,
+        [role, JSON.stringify(permissions), req.params.id, req.admin.company_id]
+      );
+
+      if (updated.rows.length > 0) {
+        audit({
+          action: 'user.role_update',
+          entityType: 'company_user',
+          entityId: updated.rows[0].id,
+          before: before.rows[0],
+          after: { role: updated.rows[0].role, permissions: updated.rows[0].permissions }
+        });
+      }
+
+      return updated;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      admin: result.rows[0]
+    });
+  } catch (error) {
+    console.error('Update admin role error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Link a user to their own employee record (or unlink with null), which is
+// what puts a line manager's reports in their scope (requires users:manage)
+const updateAdminEmployee = async (req, res) => {
+  try {
+    const employeeId = req.body.employee_id ? parseInt(req.body.employee_id) : null;
+
+    const result = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT employee_id FROM company_users WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, req.admin.company_id]
+      );
+
+      const updated = await client.query(
+        `UPDATE company_users SET employee_id = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2 AND company_id = $3
+         RETURNING id, username, email, role, employee_id, created_at, updated_at`,
+        [employeeId, req.params.id, req.admin.company_id]
+      );
+
+      if (updated.rows.length > 0) {
+        audit({
+          action: 'user.employee_link',
+          entityType: 'company_user',
+          entityId: updated.rows[0].id,
+          before: before.rows[0],
+          after: { employee_id: updated.rows[0].employee_id }
+        });
+      }
+
+      return updated;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      success: true,
+      message: employeeId ? 'User linked to employee' : 'User unlinked from employee',
+      admin: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Another user is already linked to this employee' });
+    }
+
+    console.error('Update admin employee error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Role definitions for the role assignment UI
+const getRoles = (req, res) => {
+  res.json({
+    success: true,
+    roles: Object.entries(ROLES).map(([id, role]) => ({ id, ...role })),
+    permissions: PERMISSIONS
+  });
+};
+
+// Email a single-use password reset link. The response is the same whether
+// or not the account exists.
+const requestPasswordReset = async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    if (!username) {
+      return res.status(400).json({ success: false, error: 'Username is required' });
+    }
+
+    // A username can exist in several companies; each account gets its own link
+    const result = await pool.query(
+      `SELECT cu.id, cu.username, cu.email, c.name as company_name
+       FROM company_users cu
+       JOIN companies c ON cu.company_id = c.id
+       WHERE cu.username = $1 OR cu.email = $1`,
+      [username]
+    );
+
+    for (const user of result.rows) {
+      const { token, hash, expires } = createResetToken();
+
+      await pool.query(
+        'UPDATE company_users SET password_reset_token = $1, password_reset_expires = $2 WHERE id = $3',
+        [hash, expires, user.id]
+      );
+
+      const link = `${getAppUrl()}/hr/reset-password?token=${token}`;
+
+      try {
+        await sendMail({
+          to: user.email,
+          subject: 'Reset your HR Platform password',
+          text: `Hello ${user.username},\n\n` +
+            `A password reset was requested for your ${user.company_name} account. ` +
+            `Open the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:\n\n` +
+            `${link}\n\nIf you didn't request this, you can ignore this email.`
+        });
+      } catch (mailError) {
+        console.error('Password reset email error:', mailError);
+      }
+    }
+
+    res.json({
+      success: true,
+      message: 'If the username exists, password reset instructions have been sent.'
+    });
+  } catch (error) {
+    console.error('Error in forgot password:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Check a reset token before showing the new password form
+const checkPasswordResetToken = async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id FROM company_users WHERE password_reset_token = $1 AND password_reset_expires > CURRENT_TIMESTAMP',
+      [hashToken(String(req.query.token || ''))]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ success: false, error: 'This reset link is invalid or has expired' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Check reset token error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Set a new password with a reset token; the token is consumed
+const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ success: false, error: 'Token and password are required' });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ success: false, error: 'Password must be at least 8 characters with uppercase, lowercase, and number' });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    // Clearing the token in the same statement makes it single-use
+    const result = await pool.query(
+      `UPDATE company_users 
+       SET password_hash = $1, password_reset_token = NULL, password_reset_expires = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE password_reset_token = $2 AND password_reset_expires > CURRENT_TIMESTAMP
+       RETURNING id`,
+      [hashedPassword, hashToken(String(token))]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ success: false, error: 'This reset link is invalid or has expired' });
+    }
+
+    await revokeUserSessions(pool, { adminId: result.rows[0].id });
+
+    res.json({ success: true, message: 'Password has been reset. You can now sign in.' });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({ success: false, error: 'Internal server error' });
+  }
+};
+
+// Register a company together with its owner account
+const registerCompany = async (req, res) => {
+  const {
+    companyName, industry, companySize, address, phone, email, website,
+    contactPerson, position, username, password
+  } = req.body;
+
+  if (!companyName || !industry || !companySize || !address || !phone || !email || !contactPerson || !position || !username || !password) {
+    return res.status(400).json({ message: 'All required fields must be filled' });
+  }
+
+  if (!isValidEmail(email)) {
+    return res.status(400).json({ message: 'Invalid email format' });
+  }
+
+  if (!isValidPassword(password)) {
+    return res.status(400).json({ message: 'Password must be at least 8 characters with uppercase, lowercase, and number' });
+  }
+
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const existing = await client.query('SELECT id FROM companies WHERE email = $1', [email]);
+
+    if (existing.rows.length > 0) {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'A company with this email is already registered' });
+    }
+
+    const company = await client.query(
+      `INSERT INTO companies (name, email, phone, address, industry, size, website, contact_person, contact_position)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING id, name`,
+      [companyName, email, phone, address, industry, companySize, website || null, contactPerson, position]
+    );
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    await client.query(
+      `INSERT INTO company_users (company_id, username, email, password_hash, role)
+       VALUES ($1, $2, $3, $4, 'owner')`,
+      [company.rows[0].id, username, email, hashedPassword]
+    );
+
+    await client.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Company registered successfully',
+      companyId: company.rows[0].id
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'A company with this email is already registered' });
+    }
+
+    console.error('Company registration error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
 module.exports = {
   authenticateAdmin,
   loginAdmin,
+  refreshAdminToken,
   logoutAdmin,
   getCurrentAdmin,
+  changePassword,
   createAdmin,
-  getAllAdmins
+  getAllAdmins,
+  updateAdminRole,
+  updateAdminEmployee,
+  getRoles,
+  requestPasswordReset,
+  checkPasswordResetToken,
+  resetPassword,
+  registerCompany,
+  PASSWORD_RESET_TTL_MINUTES,
+  hashToken,
+  createResetToken,
+  createLoginChallenge,
+  verifyLoginChallenge,
+  findCompanyUser,
+  authenticateLoginChallenge,
+  completeAdminLogin
 };
\ No newline at end of file
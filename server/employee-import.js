@@ -0,0 +1,375 @@
+const multer = require('multer');
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { hasPermission } = require('./permissions');
+const { withAudit, recordAudit } = require('./audit');
+const { validateEmployee } = require('./validation');
+const { addEmploymentRecord, toDateString } = require('./employment');
+const { SPREADSHEET_FORMATS, spreadsheetFormat, readSpreadsheet, writeSpreadsheet, unguardFormula } = require('./spreadsheets');
+
+// Bulk employee import from CSV or XLSX, and export in the same layout so a
+// company's employee list can be round-tripped through a spreadsheet.
+
+// File columns in export order. Headers are matched case-insensitively
+// against the field name, its header and its aliases to guess a mapping.
+const IMPORT_FIELDS = {
+  employee_id: { header: 'Employee ID', aliases: ['staff id', 'employee number', 'staff number'] },
+  name: { header: 'Name', aliases: ['full name', 'employee name'] },
+  email: { header: 'Email', aliases: ['email address', 'work email'] },
+  phone: { header: 'Phone', aliases: ['phone number', 'mobile'] },
+  department: { header: 'Department', aliases: ['dept'] },
+  position: { header: 'Position', aliases: ['job title', 'title'] },
+  salary: { header: 'Salary', aliases: ['monthly salary', 'basic salary'], pay: true },
+  allowances: { header: 'Allowances', aliases: ['monthly allowances'], pay: true },
+  start_date: { header: 'Start Date', aliases: ['hire date', 'date joined'] },
+  tin: { header: 'TIN', aliases: ['tax id'] },
+  annual_rent: { header: 'Annual Rent', aliases: ['rent'] },
+  address: { header: 'Address', aliases: [] }
+};
+
+const AMOUNT_FIELDS = ['salary', 'allowances', 'annual_rent'];
+
+const IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 2000;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: IMPORT_MAX_BYTES, files: 1 }
+}).single('file');
+
+// Accept the uploaded file, answering upload errors with a 400
+const receiveImportFile = (req, res, next) => upload(req, res, (error) => {
+  if (error) {
+    return res.status(400).json({
+      error: error.code === 'LIMIT_FILE_SIZE' ? `File is larger than ${IMPORT_MAX_BYTES / 1024 / 1024} MB` : error.message
+    });
+  }
+  next();
+});
+
+const normaliseHeader = (header) => String(header).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+
+// Guess which field each column holds; unrecognised columns are skipped
+const guessMapping = (headers) => {
+  const mapping = {};
+  const taken = new Set();
+
+  headers.forEach(header => {
+    const name = normaliseHeader(header);
+    const field = Object.keys(IMPORT_FIELDS).find(key => !taken.has(key) && [
+      normaliseHeader(key), normaliseHeader(IMPORT_FIELDS[key].header), ...IMPORT_FIELDS[key].aliases
+    ].includes(name));
+
+    mapping[header] = field || null;
+    if (field) {
+      taken.add(field);
+    }
+  });
+
+  return mapping;
+};
+
+// A mapping sent by the client ({ "File header": "field" }); returns an error
+// message when it names unknown fields or maps two columns to one field
+const checkMapping = (mapping) => {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+    return 'mapping must be an object of file column to employee field';
+  }
+
+  const fields = Object.values(mapping).filter(Boolean);
+  const unknown = fields.filter(field => !IMPORT_FIELDS[field]);
+
+  if (unknown.length > 0) {
+    return `Unknown employee field(s): ${unknown.join(', ')}`;
+  }
+
+  const repeated = fields.filter((field, index) => fields.indexOf(field) !== index);
+  return repeated.length > 0 ? `More than one column is mapped to: ${[...new Set(repeated)].join(', ')}` : null;
+};
+
+// One row's cells as employee fields. Amounts may use thousands separators;
+// the ' the export puts before text like +234... is dropped.
+const rowData = (headers, cells, mapping) => {
+  const data = {};
+
+  headers.forEach((header, column) => {
+    const field = mapping[header];
+    if (field) {
+      const value = unguardFormula(String(cells[column] ?? '').trim());
+      data[field] = AMOUNT_FIELDS.includes(field) ? value.replace(/[,\s]/g, '') : value;
+    }
+  });
+
+  return data;
+};
+
+const rowErrors = (data) => {
+  const errors = validateEmployee(data);
+
+  if (!data.employee_id) {
+    errors.unshift('employee_id is required');
+  }
+
+  ['allowances', 'annual_rent'].forEach(field => {
+    if (data[field] && (isNaN(Number(data[field])) || Number(data[field]) < 0)) {
+      errors.push(`${IMPORT_FIELDS[field].header} must be zero or a positive number`);
+    }
+  });
+
+  if (data.start_date && !/^\d{4}-\d{2}-\d{2}$/.test(data.start_date)) {
+    errors.push('Start date must be in YYYY-MM-DD format');
+  }
+
+  return errors;
+};
+
+// Validate every row, including duplicate employee IDs and emails within the
+// file and against the company's existing employees
+const previewRows = async (db, companyId, headers, rows, mapping) => {
+  const preview = rows.map((cells, index) => {
+    const data = rowData(headers, cells, mapping);
+    // Spreadsheet row number, counting the header as row 1
+    return { row: index + 2, data, errors: rowErrors(data) };
+  });
+
+  const emails = preview.map(row => (row.data.email || '').toLowerCase()).filter(Boolean);
+  const employeeIds = preview.map(row => row.data.employee_id).filter(Boolean);
+
+  const existing = await db.query(
+    `SELECT employee_id, LOWER(email) as email FROM employees
+     WHERE company_id = $1 AND (LOWER(email) = ANY($2) OR employee_id = ANY($3))`,
+    [companyId, emails, employeeIds]
+  );
+  const existingEmails = new Set(existing.rows.map(row => row.email));
+  const existingIds = new Set(existing.rows.map(row => row.employee_id));
+
+  const seenEmails = new Map();
+  const seenIds = new Map();
+
+  preview.forEach(row => {
+    const email = (row.data.email || '').toLowerCase();
+    const employeeId = row.data.employee_id;
+
+    if (email) {
+      if (existingEmails.has(email)) {
+        row.errors.push(`Email ${row.data.email} already belongs to an employee`);
+      } else if (seenEmails.has(email)) {
+        row.errors.push(`Email ${row.data.email} is also used on row ${seenEmails.get(email)}`);
+      } else {
+        seenEmails.set(email, row.row);
+      }
+    }
+
+    if (employeeId) {
+      if (existingIds.has(employeeId)) {
+        row.errors.push(`Employee ID ${employeeId} already exists`);
+      } else if (seenIds.has(employeeId)) {
+        row.errors.push(`Employee ID ${employeeId} is also used on row ${seenIds.get(employeeId)}`);
+      } else {
+        seenIds.set(employeeId, row.row);
+      }
+    }
+  });
+
+  return preview;
+};
+
+const insertEmployee = async (client, companyId, data, adminId) => {
+  const amount = (value) => (value === undefined || value === '' ? null : parseFloat(value));
+
+  const result = await client.query(
+    `INSERT INTO employees (employee_id, name, email, phone, department, position, salary, allowances,
+       start_date, tin, annual_rent, address, benefits, company_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+     RETURNING *`,
+    [
+      data.employee_id, data.name, data.email, data.phone || null, data.department, data.position,
+      amount(data.salary), amount(data.allowances) || 0, data.start_date || null, data.tin || null,
+      amount(data.annual_rent) || 0, data.address || null, JSON.stringify([]), companyId
+    ]
+  );
+  const employee = result.rows[0];
+
+  await addEmploymentRecord(client, employee, {
+    effective_date: data.start_date, change_type: 'hire', department: data.department, position: data.position,
+    salary: data.salary, allowances: data.allowances || 0, reason: 'Imported'
+  }, adminId);
+
+  return employee;
+};
+
+// Upload a CSV or XLSX file of employees. With dry_run=true (or any row
+// invalid) nothing is saved and each row comes back with its errors;
+// otherwise every row is imported in one transaction. `mapping` optionally
+// maps file columns to fields, as JSON; by default columns are matched by
+// header.
+const importEmployees = async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({ error: 'Upload a CSV or XLSX file in the "file" field' });
+  }
+
+  const format = spreadsheetFormat(req.file.originalname);
+
+  if (!format) {
+    return res.status(400).json({ error: 'Only .csv and .xlsx files can be imported' });
+  }
+
+  let rows;
+  try {
+    rows = await readSpreadsheet(req.file.buffer, format);
+  } catch (error) {
+    return res.status(400).json({ error: `Could not read ${format.toUpperCase()} file: ${error.message}` });
+  }
+
+  if (rows.length < 2) {
+    return res.status(400).json({ error: 'The file needs a header row and at least one employee' });
+  }
+
+  if (rows.length - 1 > IMPORT_MAX_ROWS) {
+    return res.status(400).json({ error: `Import at most ${IMPORT_MAX_ROWS} employees at a time` });
+  }
+
+  const [headerRow, ...dataRows] = rows;
+  const headers = headerRow.map(header => header.trim());
+
+  let mapping = guessMapping(headers);
+  if (req.body.mapping) {
+    try {
+      mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+    } catch (error) {
+      return res.status(400).json({ error: 'mapping must be valid JSON' });
+    }
+
+    const mappingError = checkMapping(mapping);
+    if (mappingError) {
+      return res.status(400).json({ error: mappingError });
+    }
+  }
+
+  const mappedFields = Object.values(mapping).filter(Boolean);
+
+  // Importing pay needs the same permission as seeing salaries
+  if (mappedFields.some(field => IMPORT_FIELDS[field].pay) && !hasPermission(req.admin, 'employees:read_salary')) {
+    return res.status(403).json({ error: 'Access denied. Missing permission: employees:read_salary' });
+  }
+
+  const dryRun = req.body.dry_run === true || req.body.dry_run === 'true' || req.query.dry_run === 'true';
+
+  try {
+    const preview = await previewRows(pool, getCompanyId(req), headers, dataRows, mapping);
+    const invalid = preview.filter(row => row.errors.length > 0).length;
+    const summary = {
+      dryRun,
+      fileName: req.file.originalname,
+      columns: headers,
+      mapping,
+      fields: Object.keys(IMPORT_FIELDS),
+      total: preview.length,
+      valid: preview.length - invalid,
+      invalid,
+      rows: preview
+    };
+
+    if (dryRun) {
+      return res.json({ success: true, data: summary });
+    }
+
+    if (invalid > 0) {
+      return res.status(400).json({
+        success: false,
+        error: `${invalid} row(s) have errors; nothing was imported`,
+        data: summary
+      });
+    }
+
+    const companyId = getCompanyId(req);
+    const employees = await withAudit(req, async (client, audit) => {
+      const created = [];
+
+      for (const row of preview) {
+        const employee = await insertEmployee(client, companyId, row.data, req.admin.id);
+        audit({
+          action: 'employee.create',
+          entityType: 'employee',
+          entityId: employee.id,
+          after: employee,
+          metadata: { source: 'import', fileName: req.file.originalname, row: row.row }
+        });
+        created.push(employee);
+      }
+
+      return created;
+    });
+
+    res.json({
+      success: true,
+      message: `Imported ${employees.length} employee(s)`,
+      data: { ...summary, imported: employees.length }
+    });
+  } catch (error) {
+    // Another import or edit took one of the emails or IDs in the meantime
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'An employee ID or email in the file is already in use; nothing was imported' });
+    }
+
+    console.error('Error importing employees:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Download the company's employees as CSV (default) or XLSX, in the import
+// layout. Pay columns are left out for users who can't see salaries.
+const exportEmployees = async (req, res) => {
+  const format = req.query.format || 'csv';
+
+  if (!SPREADSHEET_FORMATS[format]) {
+    return res.status(400).json({ error: 'format must be csv or xlsx' });
+  }
+
+  try {
+    const revealPay = hasPermission(req.admin, 'employees:read_salary');
+    const fields = Object.keys(IMPORT_FIELDS).filter(field => revealPay || !IMPORT_FIELDS[field].pay);
+
+    const result = await pool.query(
+      `SELECT ${fields.join(', ')}, status FROM employees WHERE company_id = $1 ORDER BY employee_id`,
+      [getCompanyId(req)]
+    );
+
+    const rows = [[...fields.map(field => IMPORT_FIELDS[field].header), 'Status']].concat(result.rows.map(employee => [
+      ...fields.map(field => {
+        const value = employee[field];
+        if (value instanceof Date) {
+          return toDateString(value);
+        }
+        if (AMOUNT_FIELDS.includes(field) && value !== null) {
+          return parseFloat(value);
+        }
+        return value;
+      }),
+      employee.status
+    ]));
+
+    const file = await writeSpreadsheet(rows, format, 'Employees');
+
+    await recordAudit(req, {
+      action: 'employee.export',
+      entityType: 'employee',
+      metadata: { format, count: result.rows.length, includesPay: revealPay }
+    });
+
+    const { contentType, extension } = SPREADSHEET_FORMATS[format];
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="employees-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+    res.send(file);
+  } catch (error) {
+    console.error('Error exporting employees:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  IMPORT_FIELDS,
+  receiveImportFile,
+  importEmployees,
+  exportEmployees
+};
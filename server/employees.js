@@ -0,0 +1,351 @@
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { hasPermission, redactSalaries } = require('./permissions');
+const { encryptJson, decryptJson, maskBankDetails } = require('./encryption');
+const { withAudit } = require('./audit');
+const { revokeUserSessions } = require('./sessions');
+const { validateEmployeeUpdate, validateTermination } = require('./validation');
+const { EMPLOYMENT_FIELDS, today, addEmploymentRecord, changedEmploymentFields, inferChangeType } = require('./employment');
+const { checkManager } = require('./org');
+
+// Employee record maintenance for HR: editing, termination and the
+// offboarding checklist generated when someone leaves.
+
+// Columns HR users may edit directly, with how each value is stored.
+// Department, position, salary and allowances change through employment
+// history records instead (see employment.js).
+const EDITABLE_FIELDS = {
+  employee_id: value => String(value).trim(),
+  name: value => String(value).trim(),
+  email: value => String(value).trim(),
+  phone: value => value || null,
+  address: value => value || null,
+  tin: value => value || null,
+  annual_rent: value => parseFloat(value) || 0,
+  start_date: value => value || null,
+  manager_id: value => (value ? parseInt(value) : null),
+  benefits: value => JSON.stringify(value || []),
+  emergency_contact: value => encryptJson(value || null),
+  bank_details: value => encryptJson(value || null)
+};
+
+// Generated for every termination, in this order. Automatic tasks are done
+// by the termination itself; final pay is only listed when it is owed.
+const OFFBOARDING_CHECKLIST = [
+  { category: 'assets', title: 'Collect laptop, phone and other company equipment' },
+  { category: 'assets', title: 'Collect ID badge, keys and access cards' },
+  { category: 'access', title: 'Revoke email, system and building access' },
+  { category: 'access', title: 'Disable employee portal access', automatic: true },
+  { category: 'exit_interview', title: 'Hold exit interview' },
+  { category: 'payroll', title: 'Settle final pay', finalPay: true }
+];
+
+// Employee rows as returned to HR users: encrypted fields decrypted, account
+// numbers masked unless the user may see them, salaries redacted
+const presentEmployees = (admin, employees) => {
+  const revealBankDetails = hasPermission(admin, 'employees:read_bank_details');
+
+  return redactSalaries(admin, employees.map(employee => {
+    const bankDetails = decryptJson(employee.bank_details);
+
+    return {
+      ...employee,
+      bank_details: revealBankDetails ? bankDetails : maskBankDetails(bankDetails),
+      emergency_contact: decryptJson(employee.emergency_contact)
+    };
+  }));
+};
+
+// PUT expects the full record (name, email, department and position are
+// required), PATCH any subset. Fields left out are unchanged either way.
+// Job and pay changes are recorded in the employment history, effective from
+// `effective_date` (default today) with an optional `change_type` and
+// `change_reason`.
+const updateEmployee = async (req, res) => {
+  const partial = req.method === 'PATCH';
+  const errors = validateEmployeeUpdate(req.body, { partial });
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  const fields = Object.keys(EDITABLE_FIELDS).filter(field => req.body[field] !== undefined);
+  const employmentFields = EMPLOYMENT_FIELDS.filter(field => req.body[field] !== undefined);
+
+  if (fields.length === 0 && employmentFields.length === 0) {
+    return res.status(400).json({ error: 'No employee fields to update' });
+  }
+
+  // Salary changes need the same permission as seeing salaries
+  if (['salary', 'allowances'].some(field => employmentFields.includes(field)) && !hasPermission(req.admin, 'employees:read_salary')) {
+    return res.status(403).json({ error: 'Access denied. Missing permission: employees:read_salary' });
+  }
+
+  // Redirecting pay to another account needs the same permission as seeing
+  // the full account details
+  if (fields.includes('bank_details') && !hasPermission(req.admin, 'employees:read_bank_details')) {
+    return res.status(403).json({ error: 'Access denied. Missing permission: employees:read_bank_details' });
+  }
+
+  try {
+    if (fields.includes('manager_id')) {
+      const managerError = await checkManager(
+        pool, getCompanyId(req), parseInt(req.params.id), EDITABLE_FIELDS.manager_id(req.body.manager_id)
+      );
+
+      if (managerError) {
+        return res.status(400).json({ success: false, error: 'Validation failed', details: [managerError] });
+      }
+    }
+
+    const employee = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM employees WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, getCompanyId(req)]
+      );
+
+      if (before.rows.length === 0) {
+        return null;
+      }
+
+      if (fields.length > 0) {
+        const values = fields.map(field => EDITABLE_FIELDS[field](req.body[field]));
+        await client.query(
+          `UPDATE employees SET ${fields.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = $${fields.length + 1}`,
+          [...values, before.rows[0].id]
+        );
+
+        // Portal sessions are keyed on the employee ID, so a renamed employee
+        // is signed out rather than left with sessions nothing can find
+        if (fields.includes('employee_id') && EDITABLE_FIELDS.employee_id(req.body.employee_id) !== before.rows[0].employee_id) {
+          await revokeUserSessions(client, { employeeId: before.rows[0].employee_id, companyId: before.rows[0].company_id });
+        }
+      }
+
+      const changed = changedEmploymentFields(before.rows[0], req.body);
+
+      if (changed.length > 0) {
+        const record = await addEmploymentRecord(client, before.rows[0], {
+          ...Object.fromEntries(changed.map(field => [field, req.body[field]])),
+          effective_date: req.body.effective_date || today(),
+          change_type: req.body.change_type || inferChangeType(changed),
+          reason: req.body.change_reason
+        }, req.admin.id);
+
+        audit({
+          action: 'employment.change',
+          entityType: 'employment_record',
+          entityId: record.id,
+          after: record,
+          metadata: { employeeId: before.rows[0].id, changeType: record.change_type }
+        });
+      }
+
+      const after = await client.query('SELECT * FROM employees WHERE id = $1', [before.rows[0].id]);
+
+      audit({ action: 'employee.update', entityType: 'employee', entityId: before.rows[0].id, before: before.rows[0], after: after.rows[0] });
+      return after.rows[0];
+    });
+
+    if (!employee) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json({ success: true, data: presentEmployees(req.admin, [employee])[0] });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'Another employee already has this employee ID or email' });
+    }
+
+    console.error('Error updating employee:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const createOffboardingTasks = async (client, employee, adminId) => {
+  const tasks = OFFBOARDING_CHECKLIST.filter(task => !task.finalPay || employee.final_pay);
+  const created = [];
+
+  for (const [index, task] of tasks.entries()) {
+    const result = await client.query(
+      `INSERT INTO offboarding_tasks (company_id, employee_id, category, title, position, completed_at, completed_by, notes)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+       RETURNING *`,
+      [
+        employee.company_id, employee.id, task.category, task.title, index,
+        task.automatic ? new Date() : null,
+        task.automatic ? adminId : null,
+        task.automatic ? 'Done automatically on termination' : null
+      ]
+    );
+    created.push(result.rows[0]);
+  }
+
+  return created;
+};
+
+// Terminate an employee: record the exit, generate the offboarding checklist,
+// and disable their portal account and sign them out
+const terminateEmployee = async (req, res) => {
+  const errors = validateTermination(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  const { exit_date, reason, notes } = req.body;
+  const finalPay = req.body.final_pay === true || req.body.final_pay === 'true';
+
+  try {
+    const outcome = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM employees WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, getCompanyId(req)]
+      );
+      const existing = before.rows[0];
+
+      if (!existing || existing.status === 'terminated') {
+        return { existing };
+      }
+
+      const updated = await client.query(
+        `UPDATE employees SET status = 'terminated', exit_date = $1, termination_reason = $2,
+           termination_notes = $3, final_pay = $4, terminated_by = $5, terminated_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $6 RETURNING *`,
+        [exit_date, reason, notes || null, finalPay, req.admin.id, existing.id]
+      );
+      const employee = updated.rows[0];
+
+      const tasks = await createOffboardingTasks(client, employee, req.admin.id);
+
+      // Pending invite and reset links die with the account
+      const portal = await client.query(
+        `UPDATE employee_self_service SET disabled_at = CURRENT_TIMESTAMP,
+           activation_token = NULL, activation_expires = NULL,
+           password_reset_token = NULL, password_reset_expires = NULL
+         WHERE employee_id = $1 AND disabled_at IS NULL
+         RETURNING id`,
+        [employee.id]
+      );
+      await revokeUserSessions(client, { employeeId: employee.employee_id, companyId: employee.company_id });
+
+      audit({
+        action: 'employee.terminate',
+        entityType: 'employee',
+        entityId: employee.id,
+        before: existing,
+        after: employee,
+        metadata: { reason, finalPay, portalDisabled: portal.rows.length > 0 }
+      });
+
+      return { existing, employee, tasks };
+    });
+
+    if (!outcome.existing) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    if (!outcome.employee) {
+      return res.status(409).json({ error: 'Employee has already been terminated' });
+    }
+
+    res.json({
+      success: true,
+      message: `${outcome.employee.name} has been terminated`,
+      data: {
+        employee: presentEmployees(req.admin, [outcome.employee])[0],
+        offboarding: outcome.tasks
+      }
+    });
+  } catch (error) {
+    console.error('Error terminating employee:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const getOffboardingTasks = async (req, res) => {
+  try {
+    const companyId = getCompanyId(req);
+    const employee = await pool.query(
+      'SELECT id FROM employees WHERE id = $1 AND company_id = $2',
+      [req.params.id, companyId]
+    );
+
+    if (employee.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT ot.*, cu.username as completed_by_username
+       FROM offboarding_tasks ot
+       LEFT JOIN company_users cu ON ot.completed_by = cu.id
+       WHERE ot.employee_id = $1 AND ot.company_id = $2
+       ORDER BY ot.position, ot.id`,
+      [employee.rows[0].id, companyId]
+    );
+
+    res.json({ success: true, data: result.rows });
+  } catch (error) {
+    console.error('Error fetching offboarding tasks:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Tick off (or reopen) an offboarding task, optionally with notes
+const updateOffboardingTask = async (req, res) => {
+  if (typeof req.body.completed !== 'boolean') {
+    return res.status(400).json({ error: 'completed must be true or false' });
+  }
+
+  try {
+    const task = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM offboarding_tasks WHERE id = $1 AND employee_id = $2 AND company_id = $3 FOR UPDATE',
+        [req.params.taskId, req.params.id, getCompanyId(req)]
+      );
+
+      if (before.rows.length === 0) {
+        return null;
+      }
+
+      const result = await client.query(
+        `UPDATE offboarding_tasks SET
+           completed_at = CASE WHEN $1 THEN COALESCE(completed_at, CURRENT_TIMESTAMP) END,
+           completed_by = CASE WHEN $1 THEN COALESCE(completed_by, $2) END,
+           notes = COALESCE($3, notes)
+         WHERE id = $4 RETURNING *`,
+        [req.body.completed, req.admin.id, req.body.notes === undefined ? null : req.body.notes, before.rows[0].id]
+      );
+
+      audit({
+        action: req.body.completed ? 'offboarding.task_complete' : 'offboarding.task_reopen',
+        entityType: 'offboarding_task',
+        entityId: before.rows[0].id,
+        before: before.rows[0],
+        after: result.rows[0],
+        metadata: { employeeId: before.rows[0].employee_id }
+      });
+      return result.rows[0];
+    });
+
+    if (!task) {
+      return res.status(404).json({ error: 'Offboarding task not found' });
+    }
+
+    res.json({ success: true, data: task });
+  } catch (error) {
+    console.error('Error updating offboarding task:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  presentEmployees,
+  updateEmployee,
+  terminateEmployee,
+  getOffboardingTasks,
+  updateOffboardingTask
+};
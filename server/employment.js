@@ -0,0 +1,366 @@
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { hasPermission } = require('./permissions');
+const { withAudit } = require('./audit');
+const { validateEmploymentChange } = require('./validation');
+const { resolveDepartmentId } = require('./org');
+
+// Effective-dated employment history. Each record changes some of an
+// employee's department, position, salary and allowances from its effective
+// date on (NULL leaves a value as it was), so any date's values are found by
+// folding the records in effective order. The employees columns mirror the
+// values in force today; payroll reads the history for the pay period.
+
+const EMPLOYMENT_FIELDS = ['department', 'position', 'salary', 'allowances'];
+
+// Visible only with employees:read_salary, like the salary column itself
+const COMPENSATION_FIELDS = ['salary', 'allowances'];
+
+// How often records that have come into force are copied onto employees
+const SYNC_INTERVAL_MS = 60 * 60 * 1000;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// DATE columns come back from pg as local-midnight Date objects
+const toDateString = (value) => {
+  if (!value) {
+    return null;
+  }
+
+  if (typeof value === 'string') {
+    return value.slice(0, 10);
+  }
+
+  return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+};
+
+const today = () => toDateString(new Date());
+
+const STORED_VALUE = {
+  department: value => String(value).trim(),
+  position: value => String(value).trim(),
+  salary: value => parseFloat(value),
+  allowances: value => parseFloat(value)
+};
+
+// Request values as stored in a record; blank means "unchanged"
+const normaliseChange = (change) => EMPLOYMENT_FIELDS.reduce((values, field) => {
+  const value = change[field];
+  values[field] = value === undefined || value === null || value === '' ? null : STORED_VALUE[field](value);
+  return values;
+}, {});
+
+const applyRecord = (state, record) => {
+  const next = { ...state };
+
+  EMPLOYMENT_FIELDS.forEach(field => {
+    if (record[field] !== null && record[field] !== undefined) {
+      next[field] = record[field];
+    }
+  });
+
+  return next;
+};
+
+// Values in force on a YYYY-MM-DD date, or null before the first record.
+// `records` must be in effective order.
+const resolveEmployment = (records, date) => {
+  let state = null;
+
+  for (const record of records) {
+    if (toDateString(record.effective_date) > date) {
+      break;
+    }
+
+    state = applyRecord(state || {}, record);
+  }
+
+  return state;
+};
+
+// Each employee's records in effective order, keyed by employee id
+const getEmploymentRecords = async (db, companyId, employeeIds) => {
+  const result = await db.query(
+    `SELECT * FROM employment_history
+     WHERE company_id = $1 AND employee_id = ANY($2::int[])
+     ORDER BY employee_id, effective_date, id`,
+    [companyId, employeeIds]
+  );
+
+  const records = new Map(employeeIds.map(id => [id, []]));
+  result.rows.forEach(record => records.get(record.employee_id).push(record));
+  return records;
+};
+
+// Monthly salary and allowances owed for a YYYY-MM pay period. Pay is
+// pro-rated by working day (`isWorkingDay(date)`, every day if not given) when
+// it changes mid-period, and for days before the employee started or after
+// their exit date. `segments` lists each run of working days at one rate;
+// employees without history are paid their record.
+const compensationForPeriod = (employee, records, period, isWorkingDay = () => true) => {
+  if (records.length === 0) {
+    return {
+      salary: parseFloat(employee.salary) || 0,
+      allowances: parseFloat(employee.allowances) || 0,
+      prorated: false,
+      segments: []
+    };
+  }
+
+  const [year, month] = period.split('-').map(Number);
+  const workingDates = Array.from({ length: new Date(year, month, 0).getDate() }, (_, index) => `${period}-${pad(index + 1)}`)
+    .filter(date => isWorkingDay(date));
+  const startDate = toDateString(employee.start_date);
+  const exitDate = toDateString(employee.exit_date);
+  const segments = [];
+
+  for (const date of workingDates) {
+    const employed = (!startDate || date >= startDate) && (!exitDate || date <= exitDate);
+    const state = employed ? resolveEmployment(records, date) : null;
+    const salary = state ? parseFloat(state.salary) || 0 : 0;
+    const allowances = state ? parseFloat(state.allowances) || 0 : 0;
+    const last = segments[segments.length - 1];
+
+    if (last && last.salary === salary && last.allowances === allowances) {
+      last.to = date;
+      last.days++;
+    } else {
+      segments.push({ from: date, to: date, days: 1, salary, allowances });
+    }
+  }
+
+  const total = (field) => segments.reduce((sum, segment) => sum + segment[field] * segment.days / workingDates.length, 0);
+
+  return {
+    salary: total('salary'),
+    allowances: total('allowances'),
+    prorated: segments.length > 1,
+    segments
+  };
+};
+
+// Copy the values in force today onto the employees columns, for one
+// employee or (with no id) everyone. Returns the number of employees updated.
+const syncCurrentEmployment = async (db, employeeId = null) => {
+  const date = today();
+  const history = await db.query(
+    `SELECT * FROM employment_history
+     WHERE ($1::int IS NULL OR employee_id = $1) AND effective_date <= $2
+     ORDER BY employee_id, effective_date, id`,
+    [employeeId, date]
+  );
+
+  const inForce = new Map();
+  history.rows.forEach(record => inForce.set(record.employee_id, applyRecord(inForce.get(record.employee_id) || {}, record)));
+
+  if (inForce.size === 0) {
+    return 0;
+  }
+
+  const employees = await db.query(
+    `SELECT id, company_id, department_id, ${EMPLOYMENT_FIELDS.join(', ')} FROM employees WHERE id = ANY($1::int[])`,
+    [[...inForce.keys()]]
+  );
+
+  let updated = 0;
+
+  for (const employee of employees.rows) {
+    const values = { ...employee, ...inForce.get(employee.id) };
+    const stale = EMPLOYMENT_FIELDS.some(field => String(values[field] ?? '') !== String(employee[field] ?? ''));
+    // The department record follows the department name
+    const departmentId = stale || (values.department && employee.department_id === null)
+      ? await resolveDepartmentId(db, employee.company_id, values.department)
+      : employee.department_id;
+
+    if (stale || departmentId !== employee.department_id) {
+      await db.query(
+        `UPDATE employees SET ${EMPLOYMENT_FIELDS.map((field, index) => `${field} = $${index + 1}`).join(', ')},
+           department_id = $${EMPLOYMENT_FIELDS.length + 1}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${EMPLOYMENT_FIELDS.length + 2}`,
+        [...EMPLOYMENT_FIELDS.map(field => values[field]), departmentId, employee.id]
+      );
+      updated++;
+    }
+  }
+
+  return updated;
+};
+
+// Keep the employees columns current as scheduled changes come into force
+const startEmploymentSync = (interval = SYNC_INTERVAL_MS) => {
+  const sync = () => syncCurrentEmployment(pool).catch(error => console.error('Employment sync error:', error));
+
+  sync();
+  // Don't keep the process alive just to sync
+  setInterval(sync, interval).unref();
+};
+
+// Add a history record inside the caller's transaction and bring the
+// employee's columns up to date if it is already in force
+const addEmploymentRecord = async (client, employee, change, adminId) => {
+  const values = normaliseChange(change);
+
+  const result = await client.query(
+    `INSERT INTO employment_history (company_id, employee_id, effective_date, change_type,
+       department, position, salary, allowances, reason, created_by)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+     RETURNING *`,
+    [
+      employee.company_id, employee.id, change.effective_date || today(), change.change_type,
+      values.department, values.position, values.salary, values.allowances,
+      change.reason || null, adminId
+    ]
+  );
+
+  await syncCurrentEmployment(client, employee.id);
+  return result.rows[0];
+};
+
+// Fields of an edit that actually change the employee's current values
+const changedEmploymentFields = (employee, change) => {
+  const values = normaliseChange(change);
+
+  return EMPLOYMENT_FIELDS.filter(field => {
+    if (values[field] === null) {
+      return false;
+    }
+
+    return COMPENSATION_FIELDS.includes(field)
+      ? values[field] !== (parseFloat(employee[field]) || 0)
+      : values[field] !== employee[field];
+  });
+};
+
+// Best guess at the kind of change for edits made without one
+const inferChangeType = (fields) => {
+  if (fields.every(field => COMPENSATION_FIELDS.includes(field))) {
+    return 'salary_change';
+  }
+
+  return fields.includes('department') && !fields.includes('position') ? 'transfer' : 'other';
+};
+
+const redactCompensation = (admin, values) => {
+  if (!values || hasPermission(admin, 'employees:read_salary')) {
+    return values;
+  }
+
+  const redacted = { ...values };
+  COMPENSATION_FIELDS.forEach(field => delete redacted[field]);
+  return redacted;
+};
+
+// Timeline of an employee's job and pay, newest first. Each record carries
+// the values before it took effect; future-dated ones are marked scheduled.
+const getEmploymentHistory = async (req, res) => {
+  try {
+    const companyId = getCompanyId(req);
+    const employee = await pool.query(
+      'SELECT id FROM employees WHERE id = $1 AND company_id = $2',
+      [req.params.id, companyId]
+    );
+
+    if (employee.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const result = await pool.query(
+      `SELECT h.*, cu.username as created_by_username
+       FROM employment_history h
+       LEFT JOIN company_users cu ON h.created_by = cu.id
+       WHERE h.employee_id = $1 AND h.company_id = $2
+       ORDER BY h.effective_date, h.id`,
+      [employee.rows[0].id, companyId]
+    );
+
+    const now = today();
+    let state = null;
+    const timeline = result.rows.map(record => {
+      const entry = {
+        ...redactCompensation(req.admin, record),
+        effective_date: toDateString(record.effective_date),
+        previous: redactCompensation(req.admin, state),
+        scheduled: toDateString(record.effective_date) > now
+      };
+      state = applyRecord(state || {}, record);
+      return entry;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        current: redactCompensation(req.admin, resolveEmployment(result.rows, now)),
+        records: timeline.reverse()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching employment history:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Record a promotion, transfer, pay change and so on, effective from any date
+const createEmploymentRecord = async (req, res) => {
+  const errors = validateEmploymentChange(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  const changesPay = COMPENSATION_FIELDS.some(field => req.body[field] !== undefined && req.body[field] !== null && req.body[field] !== '');
+
+  // Pay changes need the same permission as seeing salaries
+  if (changesPay && !hasPermission(req.admin, 'employees:read_salary')) {
+    return res.status(403).json({ error: 'Access denied. Missing permission: employees:read_salary' });
+  }
+
+  try {
+    const record = await withAudit(req, async (client, audit) => {
+      const employee = await client.query(
+        'SELECT * FROM employees WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, getCompanyId(req)]
+      );
+
+      if (employee.rows.length === 0) {
+        return null;
+      }
+
+      const created = await addEmploymentRecord(client, employee.rows[0], req.body, req.admin.id);
+
+      audit({
+        action: 'employment.change',
+        entityType: 'employment_record',
+        entityId: created.id,
+        after: created,
+        metadata: { employeeId: employee.rows[0].id, changeType: created.change_type }
+      });
+      return created;
+    });
+
+    if (!record) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.status(201).json({ success: true, data: { ...redactCompensation(req.admin, record), effective_date: toDateString(record.effective_date) } });
+  } catch (error) {
+    console.error('Error recording employment change:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  EMPLOYMENT_FIELDS,
+  COMPENSATION_FIELDS,
+  toDateString,
+  today,
+  resolveEmployment,
+  getEmploymentRecords,
+  compensationForPeriod,
+  syncCurrentEmployment,
+  startEmploymentSync,
+  addEmploymentRecord,
+  changedEmploymentFields,
+  inferChangeType,
+  getEmploymentHistory,
+  createEmploymentRecord
+};
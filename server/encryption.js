@@ -0,0 +1,153 @@
+const crypto = require('crypto');
+
+// Envelope encryption for secrets and PII stored in the database. Every value
+// gets its own random data key; the value is encrypted with AES-256-GCM under
+// that key, and the data key is in turn encrypted ("wrapped") with a master
+// key from ENCRYPTION_KEYS. Rotating the master key only re-wraps data keys.
+//
+// ENCRYPTION_KEYS is a comma-separated list of `id:base64key` pairs (32-byte
+// keys). The first key encrypts new values; the others are kept so values
+// wrapped with them can still be read until `npm run rotate-keys` has
+// re-wrapped everything with the first one.
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+
+// Public, so only usable outside production; server.js, migrate.js and
+// rotate-keys.js refuse to run in production without ENCRYPTION_KEYS
+const DEV_KEYS = `dev:${crypto.createHash('sha256').update('hr-platform-dev-encryption-key').digest('base64')}`;
+
+// Columns holding encrypted values, for key rotation
+const ENCRYPTED_COLUMNS = {
+  bank_connections: ['api_key_encrypted', 'api_secret_encrypted', 'account_number'],
+  employees: ['bank_details', 'emergency_contact']
+};
+
+// Read at call time since dotenv is loaded after the modules
+const getKeys = () => {
+  if (!process.env.ENCRYPTION_KEYS && process.env.NODE_ENV === 'production') {
+    throw new Error('ENCRYPTION_KEYS must be set in production');
+  }
+
+  const entries = (process.env.ENCRYPTION_KEYS || DEV_KEYS).split(',').map(entry => entry.trim()).filter(Boolean);
+
+  const keys = entries.map(entry => {
+    const separator = entry.indexOf(':');
+    const id = entry.slice(0, separator);
+    const key = Buffer.from(entry.slice(separator + 1), 'base64');
+
+    if (separator < 1 || key.length !== 32) {
+      throw new Error('ENCRYPTION_KEYS must be a comma-separated list of id:base64key entries with 32-byte keys');
+    }
+
+    return { id, key };
+  });
+
+  return { current: keys[0], byId: new Map(keys.map(({ id, key }) => [id, key])) };
+};
+
+const seal = (key, plaintext) => {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const open = (key, sealed) => {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, sealed.subarray(0, IV_BYTES));
+  decipher.setAuthTag(sealed.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(sealed.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+};
+
+const isEncrypted = (value) => typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+
+// enc:v1:<key id>:<wrapped data key>:<sealed value>
+const parse = (value) => {
+  if (!isEncrypted(value)) {
+    throw new Error('Value is not encrypted');
+  }
+
+  const [keyId, wrappedKey, sealed] = value.slice(PREFIX.length + 1).split(':');
+  const { byId } = getKeys();
+
+  if (!byId.has(keyId)) {
+    throw new Error(`Unknown encryption key "${keyId}"`);
+  }
+
+  return {
+    keyId,
+    dataKey: open(byId.get(keyId), Buffer.from(wrappedKey, 'base64')),
+    sealed
+  };
+};
+
+const format = (keyId, wrappedKey, sealed) => `${PREFIX}:${keyId}:${wrappedKey.toString('base64')}:${sealed}`;
+
+// null and undefined stay null so optional columns remain empty
+const encrypt = (plaintext) => {
+  if (plaintext === null || plaintext === undefined) {
+    return null;
+  }
+
+  const { current } = getKeys();
+  const dataKey = crypto.randomBytes(32);
+  const sealed = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return format(current.id, seal(current.key, dataKey), sealed.toString('base64'));
+};
+
+const decrypt = (value) => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const { dataKey, sealed } = parse(value);
+  return open(dataKey, Buffer.from(sealed, 'base64')).toString('utf8');
+};
+
+const encryptJson = (value) => (value === null || value === undefined ? null : encrypt(JSON.stringify(value)));
+
+const decryptJson = (value) => {
+  const plaintext = decrypt(value);
+  return plaintext === null ? null : JSON.parse(plaintext);
+};
+
+// Whether a value is wrapped with a key other than the current one
+const needsRewrap = (value) => isEncrypted(value) && value.split(':')[2] !== getKeys().current.id;
+
+// Re-wrap a value's data key with the current master key. The encrypted
+// value itself is unchanged.
+const rewrap = (value) => {
+  const { current } = getKeys();
+  const { dataKey, sealed } = parse(value);
+  return format(current.id, seal(current.key, dataKey), sealed);
+};
+
+const maskAccountNumber = (accountNumber) => {
+  return accountNumber ? `****${String(accountNumber).slice(-4)}` : null;
+};
+
+// Bank details as shown to users who may not see the full account number
+const maskBankDetails = (bankDetails) => {
+  if (!bankDetails) {
+    return null;
+  }
+
+  return { ...bankDetails, account_number: maskAccountNumber(bankDetails.account_number) };
+};
+
+module.exports = {
+  ENCRYPTED_COLUMNS,
+  getKeys,
+  isEncrypted,
+  encrypt,
+  decrypt,
+  encryptJson,
+  decryptJson,
+  needsRewrap,
+  rewrap,
+  maskAccountNumber,
+  maskBankDetails
+};
@@ -0,0 +1,293 @@
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { withAudit } = require('./audit');
+const { notifyEmployee } = require('./notifications');
+const { validateHoliday } = require('./validation');
+const { toDateString, today } = require('./employment');
+
+// Holiday calendar and working days. A company's holidays are the federal
+// holidays (rows without a company) plus its own rows, where a row with
+// observed = false turns that date back into a working day. Working days are
+// Monday to Friday, less holidays. Leave days, pro-rated pay and approval
+// deadlines are all counted in working days.
+//
+// Dates are YYYY-MM-DD strings and are stepped through in UTC, so no time
+// zone can move them.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(Date.parse(date) + days * DAY_MS).toISOString().slice(0, 10);
+
+const isWeekend = (date) => [0, 6].includes(new Date(Date.parse(date)).getUTCDay());
+
+const isWorkingDay = (date, holidays) => !isWeekend(date) && !holidays.has(date);
+
+/**
+ * The company's holidays from `from` to `to` inclusive, as a Map of date to
+ * name.
+ */
+const getHolidays = async (db, companyId, from, to) => {
+  const result = await db.query(
+    `SELECT date, name, observed, company_id FROM holidays
+     WHERE (company_id IS NULL OR company_id = $1) AND date BETWEEN $2 AND $3`,
+    [companyId, from, to]
+  );
+
+  // The company's own rows override federal ones on the same date
+  const holidays = new Map();
+  result.rows
+    .sort((a, b) => (a.company_id === null ? 0 : 1) - (b.company_id === null ? 0 : 1))
+    .forEach(row => {
+      const date = toDateString(row.date);
+      if (row.observed) {
+        holidays.set(date, row.name);
+      } else {
+        holidays.delete(date);
+      }
+    });
+
+  return holidays;
+};
+
+// Working days from `from` to `to` inclusive
+const countWorkingDays = (from, to, holidays) => {
+  let days = 0;
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (isWorkingDay(date, holidays)) {
+      days++;
+    }
+  }
+  return days;
+};
+
+const workingDaysBetween = async (db, companyId, from, to) =>
+  countWorkingDays(from, to, await getHolidays(db, companyId, from, to));
+
+// The date `days` working days after `from`. `holidays` must cover the
+// dates in between.
+const addWorkingDays = (from, days, holidays) => {
+  let date = from;
+  for (let left = days; left > 0;) {
+    date = addDays(date, 1);
+    if (isWorkingDay(date, holidays)) {
+      left--;
+    }
+  }
+  return date;
+};
+
+// Long enough to hold `days` working days however the holidays fall
+const workingDayWindow = (from, days) => addDays(from, days * 2 + 30);
+
+// Recount the working days of leave that covers `date`, after its holiday
+// status changed. Returns the requests whose count changed.
+const recountLeave = async (client, companyId, date, reason) => {
+  const requests = await client.query(
+    `SELECT * FROM leave_requests
+     WHERE company_id = $1 AND status IN ('pending', 'changes_requested', 'approved')
+       AND start_date <= $2 AND end_date >= $2
+     FOR UPDATE`,
+    [companyId, date]
+  );
+
+  const changed = [];
+
+  for (const request of requests.rows) {
+    const startDate = toDateString(request.start_date);
+    const endDate = toDateString(request.end_date);
+    const days = await workingDaysBetween(client, companyId, startDate, endDate);
+
+    if (days !== request.days_requested) {
+      await client.query(
+        'UPDATE leave_requests SET days_requested = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [days, request.id]
+      );
+      await notifyEmployee(client, {
+        companyId,
+        employeeId: request.employee_id,
+        type: 'leave.recounted',
+        message: `Your ${request.leave_type} leave from ${startDate} to ${endDate} now counts as ${days} working day(s): ${reason}.`,
+        leaveRequestId: request.id
+      });
+      changed.push({ id: request.id, from: request.days_requested, to: days });
+    }
+  }
+
+  return changed;
+};
+
+const yearRange = (year) => [`${year}-01-01`, `${year}-12-31`];
+
+const requestedYear = (req) => (/^\d{4}$/.test(req.query.year || '') ? req.query.year : today().slice(0, 4));
+
+// HR: federal and company holidays for a year (default this year), marking
+// federal ones the company has made working days
+const getHolidayCalendar = async (req, res) => {
+  try {
+    const [from, to] = yearRange(requestedYear(req));
+    const result = await pool.query(
+      `SELECT h.*, cu.username as created_by_username
+       FROM holidays h
+       LEFT JOIN company_users cu ON h.created_by = cu.id
+       WHERE (h.company_id IS NULL OR h.company_id = $1) AND h.date BETWEEN $2 AND $3
+       ORDER BY h.date, h.id`,
+      [getCompanyId(req), from, to]
+    );
+
+    const companyDates = new Set(result.rows.filter(row => row.company_id !== null).map(row => toDateString(row.date)));
+
+    res.json({
+      success: true,
+      data: result.rows.map(row => ({
+        ...row,
+        date: toDateString(row.date),
+        source: row.company_id === null ? 'federal' : 'company',
+        overridden: row.company_id === null && companyDates.has(toDateString(row.date))
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching holidays:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: declare a company holiday, or (observed: false) make a federal holiday a
+// working day. Leave already booked over the date is recounted.
+const createHoliday = async (req, res) => {
+  const errors = validateHoliday(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  const observed = req.body.observed !== false;
+  const name = (req.body.name || '').trim() || 'Working day';
+
+  try {
+    const outcome = await withAudit(req, async (client, audit) => {
+      const companyId = getCompanyId(req);
+      const result = await client.query(
+        `INSERT INTO holidays (company_id, date, name, observed, created_by)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [companyId, req.body.date, name, observed, req.admin.id]
+      );
+      const recounted = await recountLeave(
+        client,
+        companyId,
+        req.body.date,
+        observed ? `${req.body.date} was declared a holiday (${name})` : `${req.body.date} is now a working day`
+      );
+      audit({
+        action: 'holiday.create',
+        entityType: 'holiday',
+        entityId: result.rows[0].id,
+        after: result.rows[0],
+        metadata: { recounted_leave: recounted }
+      });
+      return { holiday: { ...result.rows[0], date: toDateString(result.rows[0].date) }, recounted };
+    });
+
+    res.status(201).json({ success: true, data: outcome.holiday, recounted_leave: outcome.recounted.length });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'The company already has an entry for this date' });
+    }
+
+    console.error('Error creating holiday:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: remove one of the company's own entries; federal holidays can't be
+// deleted, only overridden
+const deleteHoliday = async (req, res) => {
+  try {
+    const outcome = await withAudit(req, async (client, audit) => {
+      const companyId = getCompanyId(req);
+      const result = await client.query(
+        'DELETE FROM holidays WHERE id = $1 AND company_id = $2 RETURNING *',
+        [req.params.id, companyId]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      const date = toDateString(result.rows[0].date);
+      const recounted = await recountLeave(client, companyId, date, `the company calendar for ${date} changed`);
+      audit({
+        action: 'holiday.delete',
+        entityType: 'holiday',
+        entityId: result.rows[0].id,
+        before: result.rows[0],
+        metadata: { recounted_leave: recounted }
+      });
+      return { recounted };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Holiday not found' });
+    }
+
+    res.json({ success: true, message: 'Holiday removed', recounted_leave: outcome.recounted.length });
+  } catch (error) {
+    console.error('Error deleting holiday:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Employee: the holidays they get this year (or ?year=)
+const getEmployeeHolidays = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const holidays = await getHolidays(pool, req.session.companyId, ...yearRange(requestedYear(req)));
+    res.json({
+      holidays: [...holidays.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, name]) => ({ date, name }))
+    });
+  } catch (error) {
+    console.error('Holiday list error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Employee: how many working days leave between two dates would take
+const getWorkingDays = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  const { start_date: startDate, end_date: endDate } = req.query;
+
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(startDate || '') || !/^\d{4}-\d{2}-\d{2}$/.test(endDate || '') || endDate < startDate) {
+    return res.status(400).json({ message: 'start_date and end_date must be dates (YYYY-MM-DD), with end_date not before start_date' });
+  }
+
+  try {
+    const holidays = await getHolidays(pool, req.session.companyId, startDate, endDate);
+    res.json({
+      days: countWorkingDays(startDate, endDate, holidays),
+      holidays: [...holidays.entries()].map(([date, name]) => ({ date, name }))
+    });
+  } catch (error) {
+    console.error('Working day count error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  addDays,
+  isWorkingDay,
+  getHolidays,
+  countWorkingDays,
+  workingDaysBetween,
+  addWorkingDays,
+  workingDayWindow,
+  getHolidayCalendar,
+  createHoliday,
+  deleteHoliday,
+  getEmployeeHolidays,
+  getWorkingDays
+};
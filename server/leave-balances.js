@@ -0,0 +1,417 @@
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { withAudit } = require('./audit');
+const { LEAVE_TYPES, validateLeavePolicy, validateLeaveAdjustment } = require('./validation');
+const { toDateString, today } = require('./employment');
+
+// Leave balances. For each leave type with a policy, an employee's balance is
+// a ledger worked out from the policy, their start date, their approved leave
+// and any manual adjustments, year by year (leave years are calendar years):
+//
+// - accrual: the year's entitlement on 1 January, or a twelfth of it on the
+//   first of each month; the year they start in is pro-rated by month.
+// - carry_over: what was left at the end of last year, up to the policy's cap.
+//   Anything above the cap is forfeited on 31 December.
+// - expiry: carried-over days not used in the first `carry_over_expiry_months`
+//   months of the year. Leave taken early in the year uses them up first.
+// - taken: approved leave, on its start date.
+// - adjustment: entered by HR, with a note.
+//
+// New requests are checked against the balance they would leave: everything
+// accrued by the leave's start date, less all approved and pending leave in
+// that year. Nothing can be taken during probation.
+
+// Entries on the same day, in the order they apply
+const ENTRY_ORDER = ['carry_over', 'accrual', 'adjustment', 'taken', 'expiry', 'forfeit'];
+
+const round = (days) => Math.round(days * 100) / 100;
+
+const pad = (value) => String(value).padStart(2, '0');
+
+// The same day `months` later, or the month's last day if it is shorter
+const addMonths = (date, months) => {
+  const [year, month, day] = date.split('-').map(Number);
+  const index = year * 12 + month - 1 + months;
+  const lastDay = new Date(Date.UTC(Math.floor(index / 12), index % 12 + 1, 0)).getUTCDate();
+  return `${Math.floor(index / 12)}-${pad(index % 12 + 1)}-${pad(Math.min(day, lastDay))}`;
+};
+
+const probationEnd = (policy, employmentStart) => addMonths(employmentStart, policy.probation_months);
+
+const describeRequest = (request) =>
+  `${request.leave_type} leave ${toDateString(request.start_date)} to ${toDateString(request.end_date)}`;
+
+// One year's accrual entries
+const accrualEntries = (policy, employmentStart, year) => {
+  const entitlement = parseFloat(policy.entitlement_days);
+  const firstYear = Number(employmentStart.slice(0, 4)) === year;
+  const firstMonth = firstYear ? Number(employmentStart.slice(5, 7)) : 1;
+
+  if (policy.accrual === 'monthly') {
+    const entries = [];
+    for (let month = firstMonth; month <= 12; month++) {
+      entries.push({
+        date: firstYear && month === firstMonth ? employmentStart : `${year}-${pad(month)}-01`,
+        type: 'accrual',
+        days: entitlement / 12,
+        note: 'Monthly accrual'
+      });
+    }
+    return entries;
+  }
+
+  return [{
+    date: firstYear ? employmentStart : `${year}-01-01`,
+    type: 'accrual',
+    days: entitlement * (13 - firstMonth) / 12,
+    note: firstMonth > 1 ? `${year} entitlement (pro-rated)` : `${year} entitlement`
+  }];
+};
+
+/**
+ * The ledger for one leave type from the employee's start date to `until`,
+ * each entry with the balance after it. `requests` are the leave requests to
+ * count as taken; `adjustments` are leave_adjustments rows.
+ */
+const buildLedger = (policy, employmentStart, requests, adjustments, until) => {
+  const ledger = [];
+  const lastYear = Number(until.slice(0, 4));
+  let carried = 0;
+
+  for (let year = Number(employmentStart.slice(0, 4)); year <= lastYear; year++) {
+    const inYear = (date) => date.slice(0, 4) === String(year);
+    const entries = accrualEntries(policy, employmentStart, year);
+
+    if (carried !== 0) {
+      entries.push({ date: `${year}-01-01`, type: 'carry_over', days: carried, note: `Carried over from ${year - 1}` });
+    }
+
+    requests
+      .filter(request => inYear(toDateString(request.start_date)))
+      .forEach(request => entries.push({
+        date: toDateString(request.start_date),
+        type: 'taken',
+        days: -parseFloat(request.days_requested),
+        note: describeRequest(request),
+        leave_request_id: request.id
+      }));
+
+    adjustments
+      .filter(adjustment => inYear(toDateString(adjustment.effective_date)))
+      .forEach(adjustment => entries.push({
+        date: toDateString(adjustment.effective_date),
+        type: 'adjustment',
+        days: parseFloat(adjustment.days),
+        note: adjustment.note
+      }));
+
+    if (carried > 0 && policy.carry_over_expiry_months) {
+      const expiryDate = `${year}-${pad(policy.carry_over_expiry_months + 1)}-01`;
+      const used = -entries
+        .filter(entry => entry.type === 'taken' && entry.date < expiryDate)
+        .reduce((total, entry) => total + entry.days, 0);
+
+      if (carried > used) {
+        entries.push({ date: expiryDate, type: 'expiry', days: -(carried - used), note: `Carried-over days not used by ${expiryDate}` });
+      }
+    }
+
+    if (year < lastYear) {
+      const closing = entries.reduce((total, entry) => total + entry.days, 0);
+      const cap = policy.carry_over_cap === null ? Infinity : parseFloat(policy.carry_over_cap);
+      carried = closing > 0 ? Math.min(closing, cap) : closing;
+
+      if (closing > carried) {
+        entries.push({ date: `${year}-12-31`, type: 'forfeit', days: carried - closing, note: 'Unused days above the carry-over cap' });
+      }
+    }
+
+    // Each year's balance starts from what was carried into it
+    let balance = 0;
+    entries
+      .sort((a, b) => a.date.localeCompare(b.date) || ENTRY_ORDER.indexOf(a.type) - ENTRY_ORDER.indexOf(b.type))
+      .forEach(entry => {
+        balance += entry.days;
+        ledger.push({ ...entry, days: round(entry.days), balance: round(balance) });
+      });
+  }
+
+  return ledger.filter(entry => entry.date <= until);
+};
+
+const loadEmployee = async (db, companyId, employeeId) => {
+  const result = await db.query(
+    'SELECT id, company_id, COALESCE(start_date, created_at::date) as employment_start FROM employees WHERE id = $1 AND company_id = $2',
+    [employeeId, companyId]
+  );
+
+  return result.rows[0] ? { ...result.rows[0], employment_start: toDateString(result.rows[0].employment_start) } : null;
+};
+
+/**
+ * Every policy's balance for an employee as of today, with its ledger up to
+ * the end of this year (entries after today are marked `upcoming`) and the
+ * days still waiting for approval.
+ */
+const getLeaveBalances = async (db, companyId, employeeId) => {
+  const employee = await loadEmployee(db, companyId, employeeId);
+
+  if (!employee) {
+    return null;
+  }
+
+  const [policies, requests, adjustments] = await Promise.all([
+    db.query('SELECT * FROM leave_policies WHERE company_id = $1 ORDER BY leave_type', [companyId]),
+    db.query(
+      `SELECT id, leave_type, start_date, end_date, days_requested, status FROM leave_requests
+       WHERE employee_id = $1 AND status IN ('pending', 'approved')`,
+      [employee.id]
+    ),
+    db.query('SELECT * FROM leave_adjustments WHERE employee_id = $1 ORDER BY effective_date, id', [employee.id])
+  ]);
+
+  const date = today();
+  const until = `${date.slice(0, 4)}-12-31`;
+
+  return policies.rows.map(policy => {
+    const ofType = (row) => row.leave_type === policy.leave_type;
+    const ledger = buildLedger(
+      policy,
+      employee.employment_start,
+      requests.rows.filter(request => ofType(request) && request.status === 'approved'),
+      adjustments.rows.filter(ofType),
+      until
+    ).map(entry => ({ ...entry, upcoming: entry.date > date }));
+    const current = ledger.filter(entry => !entry.upcoming);
+
+    return {
+      leave_type: policy.leave_type,
+      entitlement_days: parseFloat(policy.entitlement_days),
+      accrual: policy.accrual,
+      probation_ends: policy.probation_months > 0 ? probationEnd(policy, employee.employment_start) : null,
+      balance: current.length > 0 ? current[current.length - 1].balance : 0,
+      year_end_balance: ledger.length > 0 ? ledger[ledger.length - 1].balance : 0,
+      pending_days: requests.rows
+        .filter(request => ofType(request) && request.status === 'pending')
+        .reduce((total, request) => total + request.days_requested, 0),
+      ledger
+    };
+  });
+};
+
+/**
+ * Why a leave request can't be made, or null if it can. `leave` holds the
+ * request's leave_type, start_date, end_date and days_requested; the request
+ * being resubmitted, if any, is `excludeRequestId`. Run it in the transaction
+ * that saves the request, after locking the employee.
+ */
+const checkLeaveBalance = async (db, employee, leave, excludeRequestId = null) => {
+  const policy = await db.query(
+    'SELECT * FROM leave_policies WHERE company_id = $1 AND leave_type = $2',
+    [employee.company_id, leave.leave_type]
+  );
+
+  if (policy.rows.length === 0) {
+    return null;
+  }
+
+  const { employment_start: employmentStart } = await loadEmployee(db, employee.company_id, employee.id);
+
+  if (policy.rows[0].probation_months > 0 && leave.start_date < probationEnd(policy.rows[0], employmentStart)) {
+    return `${leave.leave_type} leave can't be taken before your probation ends on ${probationEnd(policy.rows[0], employmentStart)}`;
+  }
+
+  const [requests, adjustments] = await Promise.all([
+    db.query(
+      `SELECT id, leave_type, start_date, end_date, days_requested, status FROM leave_requests
+       WHERE employee_id = $1 AND leave_type = $2 AND status IN ('pending', 'approved') AND id <> $3`,
+      [employee.id, leave.leave_type, excludeRequestId || 0]
+    ),
+    db.query('SELECT * FROM leave_adjustments WHERE employee_id = $1 AND leave_type = $2', [employee.id, leave.leave_type])
+  ]);
+
+  const ledger = buildLedger(
+    policy.rows[0],
+    employmentStart,
+    [...requests.rows, { id: null, ...leave }],
+    adjustments.rows,
+    `${leave.start_date.slice(0, 4)}-12-31`
+  );
+  const year = leave.start_date.slice(0, 4);
+  const remaining = round(ledger
+    .filter(entry => entry.date.startsWith(year) && (entry.type !== 'accrual' || entry.date <= leave.start_date))
+    .reduce((total, entry) => total + entry.days, 0));
+
+  if (remaining < 0) {
+    const available = Math.max(0, round(remaining + leave.days_requested));
+    return `Not enough ${leave.leave_type} leave: this request needs ${leave.days_requested} day(s) but only ${available} will be available`;
+  }
+
+  return null;
+};
+
+// HR: the company's leave policies
+const getLeavePolicies = async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM leave_policies WHERE company_id = $1 ORDER BY leave_type', [getCompanyId(req)]);
+    res.json({ success: true, data: result.rows });
+  } catch (error) {
+    console.error('Error fetching leave policies:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: create or replace the policy for a leave type
+const updateLeavePolicy = async (req, res) => {
+  const { leaveType } = req.params;
+  const errors = LEAVE_TYPES.includes(leaveType)
+    ? validateLeavePolicy(req.body)
+    : [`Invalid leave type. Must be one of: ${LEAVE_TYPES.join(', ')}`];
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  const blank = (value) => value === undefined || value === null || value === '';
+  const values = [
+    parseFloat(req.body.entitlement_days),
+    req.body.accrual || 'annual',
+    parseInt(req.body.probation_months) || 0,
+    blank(req.body.carry_over_cap) ? null : parseFloat(req.body.carry_over_cap),
+    blank(req.body.carry_over_expiry_months) ? null : parseInt(req.body.carry_over_expiry_months)
+  ];
+
+  try {
+    const policy = await withAudit(req, async (client, audit) => {
+      const companyId = getCompanyId(req);
+      const before = await client.query(
+        'SELECT * FROM leave_policies WHERE company_id = $1 AND leave_type = $2 FOR UPDATE',
+        [companyId, leaveType]
+      );
+
+      const result = before.rows.length > 0
+        ? await client.query(
+          `UPDATE leave_policies SET entitlement_days = $1, accrual = $2, probation_months = $3, carry_over_cap = $4,
+             carry_over_expiry_months = $5, updated_at = CURRENT_TIMESTAMP
+           WHERE id = $6 RETURNING *`,
+          [...values, before.rows[0].id]
+        )
+        : await client.query(
+          `INSERT INTO leave_policies (entitlement_days, accrual, probation_months, carry_over_cap, carry_over_expiry_months,
+             company_id, leave_type)
+           VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+          [...values, companyId, leaveType]
+        );
+
+      audit({
+        action: 'leave_policy.update',
+        entityType: 'leave_policy',
+        entityId: result.rows[0].id,
+        before: before.rows[0] || null,
+        after: result.rows[0]
+      });
+      return result.rows[0];
+    });
+
+    res.json({ success: true, data: policy });
+  } catch (error) {
+    console.error('Error updating leave policy:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: remove a leave type's policy, which leaves it unlimited
+const deleteLeavePolicy = async (req, res) => {
+  try {
+    const deleted = await withAudit(req, async (client, audit) => {
+      const result = await client.query(
+        'DELETE FROM leave_policies WHERE company_id = $1 AND leave_type = $2 RETURNING *',
+        [getCompanyId(req), req.params.leaveType]
+      );
+
+      if (result.rows.length === 0) {
+        return null;
+      }
+
+      audit({ action: 'leave_policy.delete', entityType: 'leave_policy', entityId: result.rows[0].id, before: result.rows[0] });
+      return result.rows[0];
+    });
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Leave policy not found' });
+    }
+
+    res.json({ success: true, message: 'Leave policy deleted' });
+  } catch (error) {
+    console.error('Error deleting leave policy:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: an employee's balances and ledgers
+const getEmployeeLeaveBalances = async (req, res) => {
+  try {
+    const balances = await getLeaveBalances(pool, getCompanyId(req), req.params.id);
+
+    if (!balances) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    res.json({ success: true, data: balances });
+  } catch (error) {
+    console.error('Error fetching leave balances:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: add or deduct days by hand, e.g. for leave taken before the system
+const createLeaveAdjustment = async (req, res) => {
+  const errors = validateLeaveAdjustment(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const companyId = getCompanyId(req);
+    const employee = await pool.query('SELECT id FROM employees WHERE id = $1 AND company_id = $2', [req.params.id, companyId]);
+
+    if (employee.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const adjustment = await withAudit(req, async (client, audit) => {
+      const result = await client.query(
+        `INSERT INTO leave_adjustments (company_id, employee_id, leave_type, days, effective_date, note, created_by)
+         VALUES ($1, $2, $3, $4, COALESCE($5::date, CURRENT_DATE), $6, $7) RETURNING *`,
+        [
+          companyId,
+          employee.rows[0].id,
+          req.body.leave_type,
+          parseFloat(req.body.days),
+          req.body.effective_date || null,
+          req.body.note.trim(),
+          req.admin.id
+        ]
+      );
+      audit({ action: 'leave.adjust', entityType: 'leave_adjustment', entityId: result.rows[0].id, after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.status(201).json({ success: true, data: adjustment });
+  } catch (error) {
+    console.error('Error adjusting leave balance:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  buildLedger,
+  getLeaveBalances,
+  checkLeaveBalance,
+  getLeavePolicies,
+  updateLeavePolicy,
+  deleteLeavePolicy,
+  getEmployeeLeaveBalances,
+  createLeaveAdjustment
+};
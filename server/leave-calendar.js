@@ -0,0 +1,486 @@
+const crypto = require('crypto');
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { getPermissions, hasPermission, isReportScoped } = require('./permissions');
+const { getReportIds, reportScopeCondition } = require('./org');
+const { hashToken } = require('./tokens');
+const { getAppUrl } = require('./mailer');
+const { toDateString, today } = require('./employment');
+const { addDays, getHolidays, isWorkingDay } = require('./holidays');
+
+// Team leave calendar, minimum staffing and iCalendar feeds.
+//
+// Approved and pending leave both take people away: approved leave counts
+// against a department's minimum staffing, and pending leave is shown as what
+// would happen if it were approved. A department's headcount is its current
+// (not terminated) employees. Only working days are checked.
+//
+// Feeds are private URLs a calendar app can subscribe to without signing in.
+// A company user's feed holds the leave they may see on the calendar; an
+// employee's holds their own.
+
+const CALENDAR_STATUSES = ['approved', 'pending'];
+
+// Longest range the calendar returns at once
+const MAX_CALENDAR_DAYS = 92;
+
+// How far back a feed goes; everything ahead is included
+const FEED_PAST_DAYS = 90;
+
+const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value || '') && !isNaN(Date.parse(value));
+
+// Departments with a minimum staffing level, the leave that overlaps the range
+// and the holidays in it
+const loadStaffing = async (db, companyId, from, to) => {
+  const [departments, absences, holidays] = await Promise.all([
+    db.query(
+      `SELECT d.id, d.name, d.min_staffing, COUNT(e.id)::int as headcount
+       FROM departments d
+       LEFT JOIN employees e ON e.department_id = d.id AND e.status <> 'terminated'
+       WHERE d.company_id = $1 AND d.min_staffing IS NOT NULL
+       GROUP BY d.id, d.name, d.min_staffing`,
+      [companyId]
+    ),
+    db.query(
+      `SELECT lr.id, lr.employee_id, lr.status, lr.start_date, lr.end_date, e.department_id
+       FROM leave_requests lr
+       JOIN employees e ON lr.employee_id = e.id
+       WHERE lr.company_id = $1 AND lr.status = ANY($2::text[]) AND lr.start_date <= $4 AND lr.end_date >= $3
+         AND e.department_id IS NOT NULL AND e.status <> 'terminated'`,
+      [companyId, CALENDAR_STATUSES, from, to]
+    ),
+    getHolidays(db, companyId, from, to)
+  ]);
+
+  return {
+    departments: new Map(departments.rows.map(department => [department.id, department])),
+    absences: absences.rows.map(absence => ({
+      ...absence,
+      start_date: toDateString(absence.start_date),
+      end_date: toDateString(absence.end_date)
+    })),
+    holidays
+  };
+};
+
+// Employees of a department on approved and on pending leave on a date
+const absentOn = (staffing, departmentId, date) => {
+  const approved = new Set();
+  const pending = new Set();
+
+  staffing.absences
+    .filter(absence => absence.department_id === departmentId && absence.start_date <= date && absence.end_date >= date)
+    .forEach(absence => (absence.status === 'approved' ? approved : pending).add(absence.employee_id));
+
+  approved.forEach(id => pending.delete(id));
+  return { approved, pending };
+};
+
+// Working days in the range on which a department is below its minimum
+// (`below`) or would be if its pending leave were approved (`at_risk`)
+const staffingShortfalls = (staffing, from, to) => {
+  const days = [];
+
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (!isWorkingDay(date, staffing.holidays)) {
+      continue;
+    }
+
+    staffing.departments.forEach(department => {
+      const { approved, pending } = absentOn(staffing, department.id, date);
+      const available = department.headcount - approved.size;
+      const availableIfApproved = available - pending.size;
+
+      if (availableIfApproved < department.min_staffing) {
+        days.push({
+          date,
+          department_id: department.id,
+          department: department.name,
+          min_staffing: department.min_staffing,
+          headcount: department.headcount,
+          available,
+          available_if_approved: availableIfApproved,
+          level: available < department.min_staffing ? 'below' : 'at_risk'
+        });
+      }
+    });
+  }
+
+  return days;
+};
+
+/**
+ * The working days on which approving each pending request would leave its
+ * employee's department below minimum staffing, keyed by request id.
+ * Requests need `department_id` alongside the leave_requests columns.
+ */
+const getStaffingWarnings = async (db, companyId, requests) => {
+  const pending = requests
+    .filter(request => request.status === 'pending' && request.department_id !== null)
+    .map(request => ({ ...request, start_date: toDateString(request.start_date), end_date: toDateString(request.end_date) }));
+
+  if (pending.length === 0) {
+    return new Map();
+  }
+
+  const from = pending.map(request => request.start_date).sort()[0];
+  const to = pending.map(request => request.end_date).sort().pop();
+  const staffing = await loadStaffing(db, companyId, from, to);
+
+  return new Map(pending.map(request => {
+    const department = staffing.departments.get(request.department_id);
+    const warnings = [];
+
+    for (let date = request.start_date; department && date <= request.end_date; date = addDays(date, 1)) {
+      if (isWorkingDay(date, staffing.holidays)) {
+        const { approved } = absentOn(staffing, department.id, date);
+        approved.add(request.employee_id);
+        const available = department.headcount - approved.size;
+
+        if (available < department.min_staffing) {
+          warnings.push({ date, department: department.name, min_staffing: department.min_staffing, available });
+        }
+      }
+    }
+
+    return [request.id, warnings];
+  }));
+};
+
+// HR: approved and pending leave from `from` to `to` (default this month),
+// optionally for one department, with the days departments are short of
+// staff. Line managers see only their reports' leave, but staffing is
+// counted across whole departments.
+const getLeaveCalendar = async (req, res) => {
+  const month = today().slice(0, 7);
+  const from = req.query.from || `${month}-01`;
+  const to = req.query.to || addDays(`${addDays(`${month}-28`, 4).slice(0, 7)}-01`, -1);
+  const departmentId = req.query.department_id ? parseInt(req.query.department_id) : null;
+
+  if (!isDate(from) || !isDate(to) || to < from) {
+    return res.status(400).json({ error: 'from and to must be dates (YYYY-MM-DD), with to not before from' });
+  }
+
+  if (addDays(from, MAX_CALENDAR_DAYS - 1) < to) {
+    return res.status(400).json({ error: `The calendar covers at most ${MAX_CALENDAR_DAYS} days at a time` });
+  }
+
+  if (req.query.department_id && isNaN(departmentId)) {
+    return res.status(400).json({ error: 'department_id must be a number' });
+  }
+
+  try {
+    const companyId = getCompanyId(req);
+    const params = [companyId, CALENDAR_STATUSES, from, to];
+    const scope = await reportScopeCondition(req, 'lr.employee_id', params);
+    let departmentFilter = '';
+
+    if (departmentId) {
+      params.push(departmentId);
+      departmentFilter = `AND e.department_id = $${params.length}`;
+    }
+
+    const [leave, staffing] = await Promise.all([
+      pool.query(
+        `SELECT lr.id, lr.employee_id, e.name as employee_name, e.department_id, e.department,
+           lr.leave_type, lr.start_date, lr.end_date, lr.days_requested, lr.status
+         FROM leave_requests lr
+         JOIN employees e ON lr.employee_id = e.id
+         WHERE lr.company_id = $1 AND lr.status = ANY($2::text[]) AND lr.start_date <= $4 AND lr.end_date >= $3
+           AND ${scope} ${departmentFilter}
+         ORDER BY lr.start_date, e.name`,
+        params
+      ),
+      loadStaffing(pool, companyId, from, to)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        from,
+        to,
+        holidays: [...staffing.holidays.entries()].sort(([a], [b]) => a.localeCompare(b)).map(([date, name]) => ({ date, name })),
+        leave: leave.rows.map(row => ({ ...row, start_date: toDateString(row.start_date), end_date: toDateString(row.end_date) })),
+        staffing: staffingShortfalls(staffing, from, to).filter(day => !departmentId || day.department_id === departmentId)
+      }
+    });
+  } catch (error) {
+    console.error('Error building leave calendar:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// iCalendar text values escape backslashes, separators and newlines
+const escapeText = (text) => String(text)
+  .replace(/\\/g, '\\\\')
+  .replace(/;/g, '\\;')
+  .replace(/,/g, '\\,')
+  .replace(/\r?\n/g, '\\n');
+
+// Lines longer than 75 bytes continue on lines starting with a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    if (Buffer.byteLength(current + char) > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+
+  parts.push(current);
+  return parts.join('\r\n ');
+};
+
+const icalTimestamp = (value) => new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// All-day events, ending the day after the leave's last day as iCalendar
+// expects
+const buildCalendar = (name, events) => {
+  const host = new URL(getAppUrl()).hostname;
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//HR Platform//Leave Calendar//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    ...events.flatMap(event => [
+      'BEGIN:VEVENT',
+      `UID:leave-${event.id}@${host}`,
+      `DTSTAMP:${icalTimestamp(event.updated_at || event.created_at || Date.now())}`,
+      `DTSTART;VALUE=DATE:${event.start_date.replace(/-/g, '')}`,
+      `DTEND;VALUE=DATE:${addDays(event.end_date, 1).replace(/-/g, '')}`,
+      `SUMMARY:${escapeText(event.summary)}`,
+      `STATUS:${event.status === 'approved' ? 'CONFIRMED' : 'TENTATIVE'}`,
+      'TRANSP:TRANSPARENT',
+      'END:VEVENT'
+    ]),
+    'END:VCALENDAR'
+  ];
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Give the owner a new feed, replacing the one they had. The URL can only be
+// shown now, since the token is stored hashed.
+const createFeed = async (companyId, owner) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const [column, id] = Object.entries(owner)[0];
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query(`DELETE FROM calendar_feeds WHERE ${column} = $1`, [id]);
+    await client.query(
+      `INSERT INTO calendar_feeds (company_id, ${column}, token_hash) VALUES ($1, $2, $3)`,
+      [companyId, id, hashToken(token)]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return `${getAppUrl()}/api/calendar/${token}.ics`;
+};
+
+const findFeed = async (owner) => {
+  const [column, id] = Object.entries(owner)[0];
+  const result = await pool.query(`SELECT created_at, last_used_at FROM calendar_feeds WHERE ${column} = $1`, [id]);
+  return result.rows[0] || null;
+};
+
+const deleteFeed = async (owner) => {
+  const [column, id] = Object.entries(owner)[0];
+  const result = await pool.query(`DELETE FROM calendar_feeds WHERE ${column} = $1`, [id]);
+  return result.rowCount > 0;
+};
+
+// HR: whether the caller has a feed, and when it was last fetched
+const getHrCalendarFeed = async (req, res) => {
+  try {
+    res.json({ success: true, data: await findFeed({ company_user_id: req.admin.id }) });
+  } catch (error) {
+    console.error('Error fetching calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const createHrCalendarFeed = async (req, res) => {
+  try {
+    const url = await createFeed(getCompanyId(req), { company_user_id: req.admin.id });
+    res.status(201).json({ success: true, data: { url } });
+  } catch (error) {
+    console.error('Error creating calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const deleteHrCalendarFeed = async (req, res) => {
+  try {
+    if (!await deleteFeed({ company_user_id: req.admin.id })) {
+      return res.status(404).json({ error: 'You have no calendar feed' });
+    }
+
+    res.json({ success: true, message: 'Calendar feed turned off' });
+  } catch (error) {
+    console.error('Error deleting calendar feed:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// The signed-in employee's id and company, or null after sending the error
+const sessionEmployee = async (req, res) => {
+  if (!req.session.employeeId) {
+    res.status(401).json({ message: 'Not authenticated' });
+    return null;
+  }
+
+  const result = await pool.query(
+    'SELECT id, company_id FROM employees WHERE employee_id = $1 AND company_id = $2',
+    [req.session.employeeId, req.session.companyId]
+  );
+
+  if (result.rows.length === 0) {
+    res.status(404).json({ message: 'Employee not found' });
+    return null;
+  }
+
+  return result.rows[0];
+};
+
+// Employee: whether they have a feed of their own leave
+const getMyCalendarFeed = async (req, res) => {
+  try {
+    const employee = await sessionEmployee(req, res);
+
+    if (employee) {
+      res.json({ feed: await findFeed({ employee_id: employee.id }) });
+    }
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const createMyCalendarFeed = async (req, res) => {
+  try {
+    const employee = await sessionEmployee(req, res);
+
+    if (employee) {
+      const url = await createFeed(employee.company_id, { employee_id: employee.id });
+      res.status(201).json({ message: 'Calendar feed created', url });
+    }
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const deleteMyCalendarFeed = async (req, res) => {
+  try {
+    const employee = await sessionEmployee(req, res);
+
+    if (employee) {
+      if (!await deleteFeed({ employee_id: employee.id })) {
+        return res.status(404).json({ message: 'You have no calendar feed' });
+      }
+
+      res.json({ message: 'Calendar feed turned off' });
+    }
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Public: the feed for a token. Access is checked on every fetch, so a feed
+// stops working when its owner loses access to leave or leaves the company.
+const getCalendarFeed = async (req, res) => {
+  try {
+    const feed = await pool.query(
+      `SELECT f.id, f.company_id, f.employee_id, cu.id as company_user_id, cu.role, cu.permissions,
+         cu.employee_id as user_employee_id, e.status as employee_status
+       FROM calendar_feeds f
+       JOIN companies c ON f.company_id = c.id
+       LEFT JOIN company_users cu ON f.company_user_id = cu.id
+       LEFT JOIN employees e ON f.employee_id = e.id
+       WHERE f.token_hash = $1 AND c.subscription_status = 'active'`,
+      [hashToken(req.params.token)]
+    );
+    const owner = feed.rows[0];
+
+    if (!owner) {
+      return res.status(404).type('text/plain').send('Calendar not found');
+    }
+
+    const params = [owner.company_id, CALENDAR_STATUSES, addDays(today(), -FEED_PAST_DAYS)];
+    let scope;
+    let name;
+
+    if (owner.company_user_id) {
+      const user = { ...owner, permissions: getPermissions(owner) };
+
+      if (!hasPermission(user, 'leave:read')) {
+        return res.status(404).type('text/plain').send('Calendar not found');
+      }
+
+      if (isReportScoped(user)) {
+        params.push(user.user_employee_id ? [...await getReportIds(pool, owner.company_id, user.user_employee_id)] : []);
+        scope = `lr.employee_id = ANY($${params.length}::int[])`;
+      } else {
+        scope = 'TRUE';
+      }
+      name = 'Team leave';
+    } else {
+      if (owner.employee_status === 'terminated') {
+        return res.status(404).type('text/plain').send('Calendar not found');
+      }
+
+      params.push(owner.employee_id);
+      scope = `lr.employee_id = $${params.length}`;
+      name = 'My leave';
+    }
+
+    const leave = await pool.query(
+      `SELECT lr.id, lr.leave_type, lr.start_date, lr.end_date, lr.status, lr.created_at, lr.updated_at,
+         e.name as employee_name
+       FROM leave_requests lr
+       JOIN employees e ON lr.employee_id = e.id
+       WHERE lr.company_id = $1 AND lr.status = ANY($2::text[]) AND lr.end_date >= $3 AND ${scope}
+       ORDER BY lr.start_date`,
+      params
+    );
+
+    await pool.query('UPDATE calendar_feeds SET last_used_at = CURRENT_TIMESTAMP WHERE id = $1', [owner.id]);
+
+    const events = leave.rows.map(row => ({
+      ...row,
+      start_date: toDateString(row.start_date),
+      end_date: toDateString(row.end_date),
+      summary: `${owner.company_user_id ? `${row.employee_name}: ` : ''}${row.leave_type} leave${row.status === 'pending' ? ' (pending)' : ''}`
+    }));
+
+    res.type('text/calendar; charset=utf-8').send(buildCalendar(name, events));
+  } catch (error) {
+    console.error('Calendar feed error:', error);
+    res.status(500).type('text/plain').send('Internal server error');
+  }
+};
+
+module.exports = {
+  getStaffingWarnings,
+  getLeaveCalendar,
+  getHrCalendarFeed,
+  createHrCalendarFeed,
+  deleteHrCalendarFeed,
+  getMyCalendarFeed,
+  createMyCalendarFeed,
+  deleteMyCalendarFeed,
+  getCalendarFeed
+};
@@ -0,0 +1,708 @@
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { isReportScoped } = require('./permissions');
+const { withAudit } = require('./audit');
+const { sendMail } = require('./mailer');
+const { notifyEmployee } = require('./notifications');
+const { validateLeaveRequest, validateLeaveApprovalChain } = require('./validation');
+const { getReportIds, getManagerIds, reportScopeCondition } = require('./org');
+const { toDateString, today } = require('./employment');
+const { checkLeaveBalance, getLeaveBalances } = require('./leave-balances');
+const { getHolidays, workingDaysBetween, addWorkingDays, workingDayWindow } = require('./holidays');
+const { getStaffingWarnings } = require('./leave-calendar');
+
+// Leave requests and their approval workflow.
+//
+// A request passes through its company's approval chain one stage at a time
+// ('line_manager', then 'hr' by default). The line manager stage is decided
+// by anyone the employee reports to, directly or indirectly, and is left out
+// of the chain when none of them has a user account. HR users (leave:approve
+// without a reports scope) may decide at any stage. Approving the last stage
+// approves the request; rejecting or asking for changes at any stage ends the
+// round, and the employee can edit and resubmit a request sent back for
+// changes. Employees can cancel a request until its start date. Requests for
+// leave types with a policy must fit the employee's balance (leave-balances.js).
+
+const LEAVE_STATUSES = ['pending', 'changes_requested', 'approved', 'rejected', 'cancelled'];
+
+const CANCELLABLE_STATUSES = ['pending', 'changes_requested', 'approved'];
+
+const STAGE_NAMES = { line_manager: 'your line manager', hr: 'HR' };
+
+// What each decision does to a pending request
+const DECISIONS = {
+  approve: { audit: 'leave.approve', commentRequired: false },
+  reject: { audit: 'leave.reject', status: 'rejected', commentRequired: true },
+  request_changes: { audit: 'leave.request_changes', status: 'changes_requested', commentRequired: true }
+};
+
+const describeLeave = (request) =>
+  `${request.leave_type} leave from ${toDateString(request.start_date)} to ${toDateString(request.end_date)}`;
+
+// Stage a request is waiting on, or null once it is decided
+const currentStage = (request) => (request.status === 'pending' ? request.approval_chain[request.current_step] || null : null);
+
+// The company's approval chain as it applies to one employee
+const approvalChainFor = async (db, companyId, employeeId) => {
+  const company = await db.query('SELECT leave_approval_chain FROM companies WHERE id = $1', [companyId]);
+  let chain = company.rows[0].leave_approval_chain;
+
+  if (chain.includes('line_manager')) {
+    const managerIds = await getManagerIds(db, companyId, employeeId);
+    const approvers = await db.query(
+      'SELECT 1 FROM company_users WHERE company_id = $1 AND employee_id = ANY($2::int[])',
+      [companyId, managerIds]
+    );
+
+    if (approvers.rows.length === 0) {
+      chain = chain.filter(stage => stage !== 'line_manager');
+    }
+  }
+
+  return chain.length > 0 ? chain : ['hr'];
+};
+
+// Employees the user manages, through their linked employee record
+const getManagedIds = async (admin) => (admin.employee_id ? getReportIds(pool, admin.company_id, admin.employee_id) : new Set());
+
+// Whether the request is waiting on this user (`expected`) and whether they
+// may decide it at all (`allowed`). Nobody decides their own leave (`own`).
+const approvalRights = (admin, request, managedIds) => {
+  const stage = currentStage(request);
+
+  if (!stage) {
+    return { expected: false, allowed: false };
+  }
+
+  if (admin.employee_id && request.employee_id === admin.employee_id) {
+    return { expected: false, allowed: false, own: true };
+  }
+
+  const expected = stage === 'hr' ? !isReportScoped(admin) : managedIds.has(request.employee_id);
+  return { expected, allowed: expected || !isReportScoped(admin) };
+};
+
+const recordAction = (client, request, action, { stage = null, comment = null, userId = null, employeeId = null } = {}) => client.query(
+  `INSERT INTO leave_request_actions (leave_request_id, company_id, stage, action, comment, actor_user_id, actor_employee_id)
+   VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+  [request.id, request.company_id, stage, action, comment || null, userId, employeeId]
+);
+
+const getActions = async (db, requestIds) => {
+  const result = await db.query(
+    `SELECT a.leave_request_id, a.stage, a.action, a.comment, a.created_at,
+       COALESCE(cu.username, e.name) as actor_name
+     FROM leave_request_actions a
+     LEFT JOIN company_users cu ON a.actor_user_id = cu.id
+     LEFT JOIN employees e ON a.actor_employee_id = e.id
+     WHERE a.leave_request_id = ANY($1::int[])
+     ORDER BY a.id`,
+    [requestIds]
+  );
+
+  const actions = new Map(requestIds.map(id => [id, []]));
+  result.rows.forEach(({ leave_request_id: requestId, ...action }) => actions.get(requestId).push(action));
+  return actions;
+};
+
+// Request rows as returned to either side
+const presentRequest = (request, actions) => ({
+  ...request,
+  start_date: toDateString(request.start_date),
+  end_date: toDateString(request.end_date),
+  stage: currentStage(request),
+  actions: actions.get(request.id) || []
+});
+
+// Emailed once the decision is committed, on top of the portal notification
+const emailEmployee = async (employeeId, message) => {
+  try {
+    const result = await pool.query('SELECT name, email FROM employees WHERE id = $1', [employeeId]);
+    const employee = result.rows[0];
+
+    if (employee && employee.email) {
+      await sendMail({
+        to: employee.email,
+        subject: 'Update on your leave request',
+        text: `Hello ${employee.name},\n\n${message}\n\nYou can see the details in the employee portal.`
+      });
+    }
+  } catch (error) {
+    console.error('Error emailing leave update:', error);
+  }
+};
+
+// When each pending request's current stage should be decided by: the
+// company's SLA in working days from when the stage began (its last action)
+const stageDeadlines = async (companyId, requests, actions) => {
+  const starts = new Map(requests
+    .filter(request => request.status === 'pending')
+    .map(request => {
+      const trail = actions.get(request.id);
+      return [request.id, toDateString(trail.length > 0 ? trail[trail.length - 1].created_at : request.created_at)];
+    }));
+
+  if (starts.size === 0) {
+    return new Map();
+  }
+
+  const company = await pool.query('SELECT leave_approval_sla_days FROM companies WHERE id = $1', [companyId]);
+  const slaDays = company.rows[0].leave_approval_sla_days;
+  const dates = [...starts.values()].sort();
+  const holidays = await getHolidays(pool, companyId, dates[0], workingDayWindow(dates[dates.length - 1], slaDays));
+
+  return new Map([...starts].map(([id, start]) => [id, addWorkingDays(start, slaDays, holidays)]));
+};
+
+// HR: leave requests with where each stands, and the days approving a pending
+// one would leave its department short of staff. `queue=mine` lists only those
+// waiting on the caller; line managers only ever see their reports' requests.
+const getLeaveRequests = async (req, res) => {
+  const { status, queue } = req.query;
+
+  if (status && !LEAVE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `status must be one of: ${LEAVE_STATUSES.join(', ')}` });
+  }
+
+  try {
+    const params = [getCompanyId(req)];
+    const scope = await reportScopeCondition(req, 'lr.employee_id', params);
+    let statusFilter = '';
+
+    if (status) {
+      params.push(status);
+      statusFilter = `AND lr.status = $${params.length}`;
+    }
+
+    const result = await pool.query(
+      `SELECT lr.*, e.name as employee_name, e.employee_id as employee_code, e.department, e.department_id,
+         cu.username as approved_by_name
+       FROM leave_requests lr
+       JOIN employees e ON lr.employee_id = e.id
+       LEFT JOIN company_users cu ON lr.approved_by = cu.id
+       WHERE lr.company_id = $1 AND ${scope} ${statusFilter}
+       ORDER BY lr.created_at DESC`,
+      params
+    );
+
+    const managedIds = await getManagedIds(req.admin);
+    const actions = await getActions(pool, result.rows.map(request => request.id));
+    const deadlines = await stageDeadlines(getCompanyId(req), result.rows, actions);
+    const warnings = await getStaffingWarnings(pool, getCompanyId(req), result.rows);
+    const date = today();
+    const requests = result.rows
+      .map(request => {
+        const rights = approvalRights(req.admin, request, managedIds);
+        const due = deadlines.get(request.id) || null;
+        return {
+          ...presentRequest(request, actions),
+          awaiting_you: rights.expected,
+          can_decide: rights.allowed,
+          stage_due: due,
+          overdue: due !== null && date > due,
+          staffing_warnings: warnings.get(request.id) || []
+        };
+      })
+      .filter(request => queue !== 'mine' || request.awaiting_you);
+
+    res.json({ success: true, data: requests });
+  } catch (error) {
+    console.error('Error fetching leave requests:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: approve, reject or ask for changes at the current stage, with a comment
+const decideLeaveRequest = (decision) => async (req, res) => {
+  const { audit: auditAction, status, commentRequired } = DECISIONS[decision];
+  const comment = (req.body.comment || '').trim();
+
+  if (commentRequired && !comment) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: ['comment is required'] });
+  }
+
+  try {
+    const managedIds = await getManagedIds(req.admin);
+    let message = null;
+
+    const outcome = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM leave_requests WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, getCompanyId(req)]
+      );
+
+      if (before.rows.length === 0) {
+        return null;
+      }
+
+      const request = before.rows[0];
+      const stage = currentStage(request);
+
+      if (!stage) {
+        return { error: 409, message: `Leave request is ${request.status.replace('_', ' ')}` };
+      }
+
+      const rights = approvalRights(req.admin, request, managedIds);
+
+      if (rights.own) {
+        return { error: 403, message: 'Someone else must decide your own leave request' };
+      }
+
+      if (!rights.allowed) {
+        return { error: 403, message: `Leave request is waiting on ${stage === 'hr' ? 'HR' : 'the line manager'}` };
+      }
+
+      // HR deciding in the line manager's place is reported as HR
+      const decidedBy = rights.expected ? STAGE_NAMES[stage] : STAGE_NAMES.hr;
+
+      await recordAction(client, request, decision, { stage, comment, userId: req.admin.id });
+
+      let result;
+      const lastStage = request.current_step >= request.approval_chain.length - 1;
+
+      if (decision === 'approve' && !lastStage) {
+        result = await client.query(
+          'UPDATE leave_requests SET current_step = current_step + 1, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+          [request.id]
+        );
+        message = `Your ${describeLeave(request)} was approved by ${decidedBy} and is now with ` +
+          `${STAGE_NAMES[request.approval_chain[request.current_step + 1]]}.`;
+      } else if (decision === 'approve') {
+        result = await client.query(
+          `UPDATE leave_requests SET status = 'approved', approved_by = $1, approved_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+           WHERE id = $2 RETURNING *`,
+          [req.admin.id, request.id]
+        );
+        message = `Your ${describeLeave(request)} has been approved.`;
+      } else {
+        result = await client.query(
+          'UPDATE leave_requests SET status = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+          [status, request.id]
+        );
+        message = decision === 'reject'
+          ? `Your ${describeLeave(request)} was rejected by ${decidedBy}: ${comment}`
+          : `Changes to your ${describeLeave(request)} were requested by ${decidedBy}: ${comment}`;
+      }
+
+      await notifyEmployee(client, {
+        companyId: request.company_id,
+        employeeId: request.employee_id,
+        type: `leave.${decision}`,
+        message,
+        leaveRequestId: request.id
+      });
+
+      audit({
+        action: auditAction,
+        entityType: 'leave_request',
+        entityId: request.id,
+        before: request,
+        after: result.rows[0],
+        metadata: { stage, comment: comment || null }
+      });
+
+      return { request: result.rows[0] };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ error: 'Leave request not found' });
+    }
+
+    if (outcome.error) {
+      return res.status(outcome.error).json({ error: outcome.message });
+    }
+
+    await emailEmployee(outcome.request.employee_id, message);
+
+    const actions = await getActions(pool, [outcome.request.id]);
+    res.json({ success: true, data: presentRequest(outcome.request, actions) });
+  } catch (error) {
+    console.error(`Error recording leave decision (${decision}):`, error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const getLeaveApprovalChain = async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT leave_approval_chain, leave_approval_sla_days FROM companies WHERE id = $1',
+      [getCompanyId(req)]
+    );
+    res.json({
+      success: true,
+      data: { chain: result.rows[0].leave_approval_chain, sla_days: result.rows[0].leave_approval_sla_days }
+    });
+  } catch (error) {
+    console.error('Error fetching leave approval chain:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// The chain applies to requests submitted (or resubmitted) from now on.
+// `sla_days` is how many working days each stage should take.
+const updateLeaveApprovalChain = async (req, res) => {
+  const { chain } = req.body;
+  const errors = validateLeaveApprovalChain(chain);
+  const slaDays = req.body.sla_days === undefined ? null : Number(req.body.sla_days);
+
+  if (slaDays !== null && (!Number.isInteger(slaDays) || slaDays < 1 || slaDays > 30)) {
+    errors.push('sla_days must be a whole number of working days between 1 and 30');
+  }
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const settings = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT leave_approval_chain, leave_approval_sla_days FROM companies WHERE id = $1',
+        [getCompanyId(req)]
+      );
+      const result = await client.query(
+        `UPDATE companies SET leave_approval_chain = $1, leave_approval_sla_days = COALESCE($2, leave_approval_sla_days),
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 RETURNING leave_approval_chain, leave_approval_sla_days`,
+        [JSON.stringify(chain), slaDays, getCompanyId(req)]
+      );
+      audit({
+        action: 'company.leave_approval_chain',
+        entityType: 'company',
+        entityId: getCompanyId(req),
+        before: before.rows[0],
+        after: result.rows[0]
+      });
+      return result.rows[0];
+    });
+
+    res.json({ success: true, data: { chain, sla_days: settings.leave_approval_sla_days } });
+  } catch (error) {
+    console.error('Error updating leave approval chain:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// The logged-in employee, or null
+const findSessionEmployee = async (db, req) => {
+  const result = await db.query(
+    'SELECT id, company_id, name FROM employees WHERE employee_id = $1 AND company_id = $2',
+    [req.session.employeeId, req.session.companyId]
+  );
+
+  return result.rows[0] || null;
+};
+
+// The request as saved, counting its working days rather than trusting the
+// client's number
+const leaveFields = async (db, companyId, body) => ({
+  leave_type: body.leave_type,
+  start_date: body.start_date,
+  end_date: body.end_date,
+  days_requested: await workingDaysBetween(db, companyId, body.start_date, body.end_date),
+  reason: body.reason || null
+});
+
+const NO_WORKING_DAYS = 'There are no working days between those dates';
+
+const leaveValues = (leave) => [leave.leave_type, leave.start_date, leave.end_date, leave.days_requested, leave.reason];
+
+// Check the balance with the employee locked, so two requests can't both take
+// the last days
+const balanceShortfall = async (client, employee, leave, excludeRequestId) => {
+  await client.query('SELECT id FROM employees WHERE id = $1 FOR UPDATE', [employee.id]);
+  return checkLeaveBalance(client, employee, leave, excludeRequestId);
+};
+
+// Employee: submit a request, which starts at the first approval stage
+const submitLeaveRequest = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  const errors = validateLeaveRequest(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: errors.join(', '), errors });
+  }
+
+  try {
+    const employee = await findSessionEmployee(pool, req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const leave = await leaveFields(pool, employee.company_id, req.body);
+
+    if (leave.days_requested === 0) {
+      return res.status(400).json({ message: NO_WORKING_DAYS });
+    }
+
+    const outcome = await withAudit(req, async (client, audit) => {
+      const shortfall = await balanceShortfall(client, employee, leave);
+
+      if (shortfall) {
+        return { error: shortfall };
+      }
+
+      const chain = await approvalChainFor(client, employee.company_id, employee.id);
+      const result = await client.query(
+        `INSERT INTO leave_requests (employee_id, leave_type, start_date, end_date, days_requested, reason,
+           company_id, approval_chain)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+        [employee.id, ...leaveValues(leave), employee.company_id, JSON.stringify(chain)]
+      );
+      await recordAction(client, result.rows[0], 'submit', { employeeId: employee.id });
+      audit({ action: 'leave.request', entityType: 'leave_request', entityId: result.rows[0].id, after: result.rows[0] });
+      return { request: result.rows[0] };
+    });
+
+    if (outcome.error) {
+      return res.status(400).json({ message: outcome.error });
+    }
+
+    const actions = await getActions(pool, [outcome.request.id]);
+    res.status(201).json({ message: 'Leave request submitted successfully', leaveRequest: presentRequest(outcome.request, actions) });
+  } catch (error) {
+    console.error('Leave request error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Employee: edit a request sent back for changes and submit it again, which
+// restarts its approval
+const resubmitLeaveRequest = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  const errors = validateLeaveRequest(req.body);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ message: errors.join(', '), errors });
+  }
+
+  try {
+    const employee = await findSessionEmployee(pool, req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const leave = await leaveFields(pool, employee.company_id, req.body);
+
+    if (leave.days_requested === 0) {
+      return res.status(400).json({ message: NO_WORKING_DAYS });
+    }
+
+    const outcome = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM leave_requests WHERE id = $1 AND employee_id = $2 FOR UPDATE',
+        [req.params.id, employee.id]
+      );
+
+      if (before.rows.length === 0) {
+        return null;
+      }
+
+      if (before.rows[0].status !== 'changes_requested') {
+        return { error: 409, message: 'Only requests sent back for changes can be resubmitted' };
+      }
+
+      const shortfall = await balanceShortfall(client, employee, leave, before.rows[0].id);
+
+      if (shortfall) {
+        return { error: 400, message: shortfall };
+      }
+
+      const chain = await approvalChainFor(client, employee.company_id, employee.id);
+      const result = await client.query(
+        `UPDATE leave_requests SET leave_type = $1, start_date = $2, end_date = $3, days_requested = $4, reason = $5,
+           status = 'pending', approval_chain = $6, current_step = 0, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $7 RETURNING *`,
+        [...leaveValues(leave), JSON.stringify(chain), before.rows[0].id]
+      );
+      await recordAction(client, result.rows[0], 'resubmit', { comment: req.body.comment, employeeId: employee.id });
+      audit({ action: 'leave.resubmit', entityType: 'leave_request', entityId: before.rows[0].id, before: before.rows[0], after: result.rows[0] });
+      return { request: result.rows[0] };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ message: 'Leave request not found' });
+    }
+
+    if (outcome.error) {
+      return res.status(outcome.error).json({ message: outcome.message });
+    }
+
+    const actions = await getActions(pool, [outcome.request.id]);
+    res.json({ message: 'Leave request resubmitted', leaveRequest: presentRequest(outcome.request, actions) });
+  } catch (error) {
+    console.error('Leave resubmission error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Employee: withdraw a request, approved or not, before it starts
+const cancelLeaveRequest = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const employee = await findSessionEmployee(pool, req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const outcome = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM leave_requests WHERE id = $1 AND employee_id = $2 FOR UPDATE',
+        [req.params.id, employee.id]
+      );
+
+      if (before.rows.length === 0) {
+        return null;
+      }
+
+      const request = before.rows[0];
+
+      if (!CANCELLABLE_STATUSES.includes(request.status)) {
+        return { error: `A ${request.status} request cannot be cancelled` };
+      }
+
+      if (toDateString(request.start_date) <= today()) {
+        return { error: 'Leave can only be cancelled before its start date' };
+      }
+
+      const result = await client.query(
+        `UPDATE leave_requests SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 RETURNING *`,
+        [request.id]
+      );
+      await recordAction(client, request, 'cancel', { comment: req.body.comment, employeeId: employee.id });
+      audit({ action: 'leave.cancel', entityType: 'leave_request', entityId: request.id, before: request, after: result.rows[0] });
+      return { request: result.rows[0] };
+    });
+
+    if (!outcome) {
+      return res.status(404).json({ message: 'Leave request not found' });
+    }
+
+    if (outcome.error) {
+      return res.status(409).json({ message: outcome.error });
+    }
+
+    res.json({ message: 'Leave request cancelled' });
+  } catch (error) {
+    console.error('Leave cancellation error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Employee: their requests with the approval trail, plus unread leave
+// notifications
+const getLeaveHistory = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const employee = await findSessionEmployee(pool, req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const [requests, notifications] = await Promise.all([
+      pool.query('SELECT * FROM leave_requests WHERE employee_id = $1 ORDER BY created_at DESC', [employee.id]),
+      pool.query(
+        `SELECT id, type, message, leave_request_id, created_at FROM employee_notifications
+         WHERE employee_id = $1 AND read_at IS NULL AND type LIKE 'leave.%'
+         ORDER BY created_at DESC`,
+        [employee.id]
+      )
+    ]);
+
+    const actions = await getActions(pool, requests.rows.map(request => request.id));
+    const date = today();
+
+    res.json({
+      requests: requests.rows.map(request => ({
+        ...presentRequest(request, actions),
+        can_cancel: CANCELLABLE_STATUSES.includes(request.status) && toDateString(request.start_date) > date,
+        can_resubmit: request.status === 'changes_requested'
+      })),
+      notifications: notifications.rows
+    });
+  } catch (error) {
+    console.error('Leave history error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Employee: their leave balances and the ledger behind each
+const getMyLeaveBalances = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const employee = await findSessionEmployee(pool, req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    res.json({ balances: await getLeaveBalances(pool, employee.company_id, employee.id) });
+  } catch (error) {
+    console.error('Leave balance error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Employee: mark notifications as read, all of them unless `ids` are given
+const markNotificationsRead = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const employee = await findSessionEmployee(pool, req);
+
+    if (!employee) {
+      return res.status(404).json({ message: 'Employee not found' });
+    }
+
+    const ids = Array.isArray(req.body.ids) ? req.body.ids.map(id => parseInt(id)).filter(id => !isNaN(id)) : null;
+
+    await pool.query(
+      `UPDATE employee_notifications SET read_at = CURRENT_TIMESTAMP
+       WHERE employee_id = $1 AND read_at IS NULL AND ($2::int[] IS NULL OR id = ANY($2::int[]))`,
+      [employee.id, ids]
+    );
+
+    res.json({ message: 'Notifications marked as read' });
+  } catch (error) {
+    console.error('Notification update error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  LEAVE_STATUSES,
+  getLeaveRequests,
+  approveLeaveRequest: decideLeaveRequest('approve'),
+  rejectLeaveRequest: decideLeaveRequest('reject'),
+  requestLeaveChanges: decideLeaveRequest('request_changes'),
+  getLeaveApprovalChain,
+  updateLeaveApprovalChain,
+  submitLeaveRequest,
+  resubmitLeaveRequest,
+  cancelLeaveRequest,
+  getLeaveHistory,
+  getMyLeaveBalances,
+  markNotificationsRead
+};
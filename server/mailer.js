@@ -0,0 +1,74 @@
+const nodemailer = require('nodemailer');
+
+// Outgoing mail. The transport is chosen from the environment the first time
+// mail is sent:
+//   MAIL_TRANSPORT=smtp   SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   MAIL_TRANSPORT=json   build the message and log it instead of sending
+// When MAIL_TRANSPORT is unset, SMTP is used if SMTP_HOST is set, JSON otherwise.
+// Tests can install their own transport (e.g. a stub or stream transport)
+// with setTransport().
+
+let transporter = null;
+
+const createTransportFromEnv = () => {
+  const transport = process.env.MAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'json');
+
+  if (transport === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+  }
+
+  if (transport === 'json') {
+    return nodemailer.createTransport({ jsonTransport: true });
+  }
+
+  throw new Error(`Unknown MAIL_TRANSPORT "${transport}"`);
+};
+
+// Replace the transport; accepts nodemailer transport options, a transport
+// plugin or an existing transporter. Pass null to go back to the environment.
+const setTransport = (transport) => {
+  if (!transport) {
+    transporter = null;
+  } else if (typeof transport.sendMail === 'function') {
+    transporter = transport;
+  } else {
+    transporter = nodemailer.createTransport(transport);
+  }
+};
+
+const getTransporter = () => {
+  if (!transporter) {
+    transporter = createTransportFromEnv();
+  }
+  return transporter;
+};
+
+// Base URL used in links sent by email
+const getAppUrl = () => {
+  return (process.env.APP_URL || `http://localhost:${process.env.PORT || 3001}`).replace(/\/$/, '');
+};
+
+const sendMail = async (options) => {
+  const info = await getTransporter().sendMail({
+    from: process.env.MAIL_FROM || 'HR Platform <no-reply@hrplatform.com>',
+    ...options
+  });
+
+  // JSON transport doesn't deliver anything, so make the message visible
+  if (info.message && typeof info.message === 'string') {
+    console.log('Mail (not sent):', info.message);
+  }
+
+  return info;
+};
+
+module.exports = {
+  setTransport,
+  getAppUrl,
+  sendMail
+};
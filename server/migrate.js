@@ -0,0 +1,56 @@
+// Schema migration CLI
+//   node migrate.js up              apply all pending migrations
+//   node migrate.js down [steps]    roll back the last migration (or the last N)
+//   node migrate.js status          list migrations and whether they are applied
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Values encrypted with the public development key could be read by anyone
+if (process.env.NODE_ENV === 'production' && !process.env.ENCRYPTION_KEYS) {
+  console.error('Refusing to migrate in production without ENCRYPTION_KEYS set');
+  process.exit(1);
+}
+
+const { pool, ensureDatabase } = require('./database');
+const { migrate, rollback, status } = require('./migrations');
+
+const run = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  await ensureDatabase();
+
+  switch (command) {
+    case 'up': {
+      const applied = await migrate(pool);
+      console.log(applied.length > 0 ? `${applied.length} migration(s) applied` : 'Database is up to date');
+      break;
+    }
+    case 'down': {
+      const steps = parseInt(arg) || 1;
+      const reverted = await rollback(pool, steps);
+      console.log(reverted.length > 0 ? `${reverted.length} migration(s) rolled back` : 'Nothing to roll back');
+      break;
+    }
+    case 'status': {
+      const migrations = await status(pool);
+      migrations.forEach(migration => {
+        const state = migration.applied
+          ? `applied ${new Date(migration.appliedAt).toISOString()}`
+          : 'pending';
+        console.log(`${migration.version}_${migration.name}  ${state}`);
+      });
+      break;
+    }
+    default:
+      throw new Error(`Unknown command "${command}". Use up, down [steps] or status.`);
+  }
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error(error.message);
+    await pool.end();
+    process.exit(1);
+  });
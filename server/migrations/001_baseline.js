@@ -0,0 +1,519 @@
+// Baseline schema: reproduces the tables and columns that createTables used to
+// build on every boot. Every statement is idempotent so the migration can be
+// recorded against databases that were created before migrations existed.
+
+const up = async (client) => {
+  // Create admins table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS admins (
+      id SERIAL PRIMARY KEY,
+      username VARCHAR(50) UNIQUE NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) DEFAULT 'admin',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create jobs table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(200) NOT NULL,
+      department VARCHAR(100) NOT NULL,
+      location VARCHAR(100) NOT NULL,
+      type VARCHAR(50) NOT NULL,
+      description TEXT,
+      requirements TEXT,
+      salary VARCHAR(100),
+      status VARCHAR(20) DEFAULT 'active',
+      posted_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by INTEGER REFERENCES admins(id),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create candidates table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS candidates (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      phone VARCHAR(20),
+      position VARCHAR(100),
+      experience INTEGER,
+      skills TEXT[],
+      resume_filename VARCHAR(255),
+      status VARCHAR(20) DEFAULT 'new',
+      applied_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      job_id INTEGER REFERENCES jobs(id),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create interviews table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS interviews (
+      id SERIAL PRIMARY KEY,
+      candidate_id INTEGER REFERENCES candidates(id),
+      job_id INTEGER REFERENCES jobs(id),
+      interviewer VARCHAR(200),
+      interview_date DATE,
+      interview_time TIME,
+      type VARCHAR(50),
+      status VARCHAR(20) DEFAULT 'scheduled',
+      notes TEXT,
+      feedback TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create employees table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS employees (
+      id SERIAL PRIMARY KEY,
+      employee_id VARCHAR(50) UNIQUE NOT NULL,
+      name VARCHAR(200) NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      department VARCHAR(100),
+      position VARCHAR(100),
+      salary DECIMAL(12,2),
+      start_date DATE,
+      status VARCHAR(20) DEFAULT 'active',
+      benefits JSONB DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create payroll table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payroll (
+      id SERIAL PRIMARY KEY,
+      period VARCHAR(20) NOT NULL,
+      employee_ids INTEGER[],
+      total_amount DECIMAL(15,2),
+      taxes DECIMAL(15,2),
+      deductions DECIMAL(15,2),
+      status VARCHAR(20) DEFAULT 'processed',
+      processed_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      processed_by INTEGER REFERENCES admins(id)
+    );
+  `);
+
+  // Create performance table (goals)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS performance_goals (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id),
+      title VARCHAR(200) NOT NULL,
+      description TEXT,
+      target_date DATE,
+      status VARCHAR(20) DEFAULT 'active',
+      progress INTEGER DEFAULT 0,
+      created_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create performance reviews table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS performance_reviews (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id),
+      reviewer_id INTEGER REFERENCES admins(id),
+      period VARCHAR(20),
+      ratings JSONB,
+      feedback TEXT,
+      goals JSONB,
+      status VARCHAR(20) DEFAULT 'completed',
+      review_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create policies table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS policies (
+      id SERIAL PRIMARY KEY,
+      title VARCHAR(200) NOT NULL,
+      content TEXT,
+      category VARCHAR(100),
+      effective_date DATE,
+      status VARCHAR(20) DEFAULT 'active',
+      created_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by INTEGER REFERENCES admins(id),
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create documents table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS documents (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      type VARCHAR(100),
+      category VARCHAR(100),
+      filename VARCHAR(255),
+      upload_date TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      employee_id INTEGER REFERENCES employees(id),
+      uploaded_by INTEGER REFERENCES admins(id)
+    );
+  `);
+
+  // Create companies table for multi-tenant support
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS companies (
+      id SERIAL PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      email VARCHAR(100) UNIQUE NOT NULL,
+      phone VARCHAR(20),
+      address TEXT,
+      industry VARCHAR(100),
+      size VARCHAR(50),
+      subscription_plan VARCHAR(50) DEFAULT 'basic',
+      subscription_status VARCHAR(20) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create company_users table (for company admins)
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS company_users (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER REFERENCES companies(id),
+      username VARCHAR(50) NOT NULL,
+      email VARCHAR(100) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      role VARCHAR(20) DEFAULT 'company_admin',
+      permissions JSONB DEFAULT '[]',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(company_id, username),
+      UNIQUE(company_id, email)
+    );
+  `);
+
+  // Create employee_self_service table for employee portal access
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS employee_self_service (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id),
+      username VARCHAR(50) NOT NULL,
+      password_hash VARCHAR(255) NOT NULL,
+      last_login TIMESTAMP,
+      password_reset_token VARCHAR(255),
+      password_reset_expires TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(employee_id)
+    );
+  `);
+
+  // Create training_programs table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS training_programs (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER REFERENCES companies(id),
+      title VARCHAR(200) NOT NULL,
+      description TEXT,
+      duration_hours INTEGER,
+      category VARCHAR(100),
+      status VARCHAR(20) DEFAULT 'active',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      created_by INTEGER REFERENCES company_users(id)
+    );
+  `);
+
+  // Create employee_training table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS employee_training (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id),
+      training_program_id INTEGER REFERENCES training_programs(id),
+      status VARCHAR(20) DEFAULT 'enrolled',
+      start_date DATE,
+      completion_date DATE,
+      score INTEGER,
+      certificate_url VARCHAR(255),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create leave_requests table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS leave_requests (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id),
+      leave_type VARCHAR(50) NOT NULL,
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      days_requested INTEGER NOT NULL,
+      reason TEXT,
+      status VARCHAR(20) DEFAULT 'pending',
+      approved_by INTEGER REFERENCES company_users(id),
+      approved_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create attendance table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS attendance (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id),
+      date DATE NOT NULL,
+      clock_in TIME,
+      clock_out TIME,
+      break_duration INTEGER DEFAULT 0,
+      total_hours DECIMAL(4,2),
+      status VARCHAR(20) DEFAULT 'present',
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE(employee_id, date)
+    );
+  `);
+
+  // Create payroll_items table for detailed payroll breakdown
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payroll_items (
+      id SERIAL PRIMARY KEY,
+      payroll_id INTEGER REFERENCES payroll(id),
+      employee_id INTEGER REFERENCES employees(id),
+      basic_salary DECIMAL(12,2),
+      allowances DECIMAL(12,2) DEFAULT 0,
+      overtime DECIMAL(12,2) DEFAULT 0,
+      bonuses DECIMAL(12,2) DEFAULT 0,
+      gross_pay DECIMAL(12,2),
+      tax_deduction DECIMAL(12,2) DEFAULT 0,
+      pension_deduction DECIMAL(12,2) DEFAULT 0,
+      other_deductions DECIMAL(12,2) DEFAULT 0,
+      net_pay DECIMAL(12,2),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create compliance_reports table
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS compliance_reports (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER REFERENCES companies(id),
+      report_type VARCHAR(100) NOT NULL,
+      period VARCHAR(20) NOT NULL,
+      data JSONB,
+      status VARCHAR(20) DEFAULT 'generated',
+      generated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      generated_by INTEGER REFERENCES company_users(id)
+    );
+  `);
+
+  // Create training_assignments table for performance-linked training
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS training_assignments (
+      id SERIAL PRIMARY KEY,
+      employee_id INTEGER REFERENCES employees(id),
+      program_name VARCHAR(200) NOT NULL,
+      description TEXT,
+      training_type VARCHAR(50),
+      duration_hours INTEGER,
+      due_date DATE,
+      status VARCHAR(20) DEFAULT 'assigned',
+      progress INTEGER DEFAULT 0,
+      completion_notes TEXT,
+      completed_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create bank_connections table for banking integrations
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS bank_connections (
+      id SERIAL PRIMARY KEY,
+      bank_code VARCHAR(20) UNIQUE NOT NULL,
+      api_key_encrypted TEXT NOT NULL,
+      api_secret_encrypted TEXT NOT NULL,
+      account_number VARCHAR(20),
+      environment VARCHAR(20) DEFAULT 'sandbox',
+      status VARCHAR(20) DEFAULT 'connected',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create payment_transactions table for salary disbursements
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS payment_transactions (
+      id SERIAL PRIMARY KEY,
+      transaction_id VARCHAR(50) UNIQUE NOT NULL,
+      employee_id INTEGER REFERENCES employees(id),
+      bank_connection_id INTEGER REFERENCES bank_connections(id),
+      payroll_item_id INTEGER REFERENCES payroll_items(id),
+      amount DECIMAL(12,2) NOT NULL,
+      type VARCHAR(20) DEFAULT 'salary',
+      status VARCHAR(20) DEFAULT 'pending',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create tax_filings table for generated statutory returns
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS tax_filings (
+      id SERIAL PRIMARY KEY,
+      filing_type VARCHAR(20) NOT NULL,
+      period_year INTEGER NOT NULL,
+      period_month INTEGER,
+      total_amount DECIMAL(15,2) DEFAULT 0,
+      status VARCHAR(20) DEFAULT 'generated',
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  // Create sessions table for admin sessions
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS sessions (
+      sid VARCHAR(255) PRIMARY KEY,
+      sess JSONB NOT NULL,
+      expire TIMESTAMP NOT NULL
+    );
+  `);
+
+  // Update employees table to include company_id for multi-tenant support
+  await client.query(`
+    ALTER TABLE employees 
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id),
+    ADD COLUMN IF NOT EXISTS phone VARCHAR(20),
+    ADD COLUMN IF NOT EXISTS address TEXT,
+    ADD COLUMN IF NOT EXISTS emergency_contact JSONB,
+    ADD COLUMN IF NOT EXISTS bank_details JSONB;
+  `);
+
+  // Update jobs table to include company_id
+  await client.query(`
+    ALTER TABLE jobs 
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id);
+  `);
+
+  // Update candidates table to include company_id
+  await client.query(`
+    ALTER TABLE candidates 
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id);
+  `);
+
+  // Update payroll table to include company_id
+  await client.query(`
+    ALTER TABLE payroll 
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id);
+  `);
+
+  // Update performance_goals table to include company_id
+  await client.query(`
+    ALTER TABLE performance_goals 
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id);
+  `);
+
+  // Update performance_reviews table to include company_id
+  await client.query(`
+    ALTER TABLE performance_reviews 
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id);
+  `);
+
+  // Update policies table to include company_id
+  await client.query(`
+    ALTER TABLE policies 
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id);
+  `);
+
+  // Update documents table to include company_id
+  await client.query(`
+    ALTER TABLE documents 
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id);
+  `);
+
+  // Update jobs table with the recruitment page's posting fields
+  await client.query(`
+    ALTER TABLE jobs 
+    ADD COLUMN IF NOT EXISTS salary_min DECIMAL(12,2),
+    ADD COLUMN IF NOT EXISTS salary_max DECIMAL(12,2),
+    ADD COLUMN IF NOT EXISTS skills TEXT;
+  `);
+
+  // Update candidates table with application fields
+  await client.query(`
+    ALTER TABLE candidates 
+    ADD COLUMN IF NOT EXISTS resume_url VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS cover_letter TEXT;
+  `);
+
+  // Update employees table with tax identification number
+  await client.query(`
+    ALTER TABLE employees 
+    ADD COLUMN IF NOT EXISTS tin VARCHAR(20);
+  `);
+
+  // Update performance_goals table with goal-setting fields
+  await client.query(`
+    ALTER TABLE performance_goals 
+    ADD COLUMN IF NOT EXISTS category VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS due_date DATE,
+    ADD COLUMN IF NOT EXISTS priority VARCHAR(20) DEFAULT 'medium';
+  `);
+
+  // Update performance_reviews table with review cycle fields
+  await client.query(`
+    ALTER TABLE performance_reviews 
+    ADD COLUMN IF NOT EXISTS review_period VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS overall_rating INTEGER,
+    ADD COLUMN IF NOT EXISTS strengths TEXT,
+    ADD COLUMN IF NOT EXISTS areas_for_improvement TEXT,
+    ADD COLUMN IF NOT EXISTS goals_next_period TEXT,
+    ADD COLUMN IF NOT EXISTS due_date DATE,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+  `);
+
+  // Update payroll_items table to track disbursement
+  await client.query(`
+    ALTER TABLE payroll_items 
+    ADD COLUMN IF NOT EXISTS payment_status VARCHAR(20) DEFAULT 'pending';
+  `);
+
+  // Update compliance_reports table with a compliance score
+  await client.query(`
+    ALTER TABLE compliance_reports 
+    ADD COLUMN IF NOT EXISTS compliance_score INTEGER;
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`
+    DROP TABLE IF EXISTS
+      sessions,
+      compliance_reports,
+      tax_filings,
+      payment_transactions,
+      bank_connections,
+      training_assignments,
+      payroll_items,
+      attendance,
+      leave_requests,
+      employee_training,
+      training_programs,
+      employee_self_service,
+      company_users,
+      documents,
+      policies,
+      performance_reviews,
+      performance_goals,
+      payroll,
+      employees,
+      interviews,
+      candidates,
+      jobs,
+      admins,
+      companies
+    CASCADE;
+  `);
+};
+
+module.exports = { up, down };
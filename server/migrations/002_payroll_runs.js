@@ -0,0 +1,58 @@
+// Payroll runs: lifecycle stamps on payroll, NHF split out on payroll_items
+// and a per-employee allowances figure that runs snapshot from.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE payroll 
+    ALTER COLUMN status SET DEFAULT 'draft',
+    ADD COLUMN IF NOT EXISTS reviewed_by INTEGER REFERENCES admins(id),
+    ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS approved_by INTEGER REFERENCES admins(id),
+    ADD COLUMN IF NOT EXISTS approved_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS paid_by INTEGER REFERENCES admins(id),
+    ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS reopened_by INTEGER REFERENCES admins(id),
+    ADD COLUMN IF NOT EXISTS reopened_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS payroll_company_period_idx ON payroll (company_id, period);
+  `);
+
+  await client.query(`
+    ALTER TABLE payroll_items 
+    ADD COLUMN IF NOT EXISTS nhf_deduction DECIMAL(12,2) DEFAULT 0;
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS payroll_items_payroll_idx ON payroll_items (payroll_id);
+  `);
+
+  await client.query(`
+    ALTER TABLE employees 
+    ADD COLUMN IF NOT EXISTS allowances DECIMAL(12,2) DEFAULT 0;
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE employees DROP COLUMN IF EXISTS allowances;');
+  await client.query('DROP INDEX IF EXISTS payroll_items_payroll_idx;');
+  await client.query('ALTER TABLE payroll_items DROP COLUMN IF EXISTS nhf_deduction;');
+  await client.query('DROP INDEX IF EXISTS payroll_company_period_idx;');
+  await client.query(`
+    ALTER TABLE payroll 
+    ALTER COLUMN status SET DEFAULT 'processed',
+    DROP COLUMN IF EXISTS reviewed_by,
+    DROP COLUMN IF EXISTS reviewed_at,
+    DROP COLUMN IF EXISTS approved_by,
+    DROP COLUMN IF EXISTS approved_at,
+    DROP COLUMN IF EXISTS paid_by,
+    DROP COLUMN IF EXISTS paid_at,
+    DROP COLUMN IF EXISTS reopened_by,
+    DROP COLUMN IF EXISTS reopened_at,
+    DROP COLUMN IF EXISTS updated_at;
+  `);
+};
+
+module.exports = { up, down };
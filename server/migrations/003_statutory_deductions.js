@@ -0,0 +1,30 @@
+// Statutory deduction engine: per-item PAYE working and employer
+// contributions, plus the annual rent used for rent relief.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE payroll_items 
+    ADD COLUMN IF NOT EXISTS employer_pension DECIMAL(12,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS nsitf DECIMAL(12,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS itf DECIMAL(12,2) DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS tax_breakdown JSONB;
+  `);
+
+  await client.query(`
+    ALTER TABLE employees 
+    ADD COLUMN IF NOT EXISTS annual_rent DECIMAL(12,2) DEFAULT 0;
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE employees DROP COLUMN IF EXISTS annual_rent;');
+  await client.query(`
+    ALTER TABLE payroll_items 
+    DROP COLUMN IF EXISTS employer_pension,
+    DROP COLUMN IF EXISTS nsitf,
+    DROP COLUMN IF EXISTS itf,
+    DROP COLUMN IF EXISTS tax_breakdown;
+  `);
+};
+
+module.exports = { up, down };
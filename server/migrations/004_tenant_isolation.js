@@ -0,0 +1,77 @@
+// Tenant isolation: every admin belongs to a company and every HR table is
+// keyed by company_id. Rows created before multi-tenancy are assigned to a
+// default company so existing installs keep working.
+
+const DEFAULT_COMPANY_EMAIL = 'admin@hrplatform.com';
+
+// Tables that already had company_id from the baseline
+const BASELINE_TENANT_TABLES = [
+  'employees', 'jobs', 'candidates', 'payroll', 'performance_goals',
+  'performance_reviews', 'policies', 'documents', 'training_programs', 'compliance_reports'
+];
+
+// Tables that gain company_id here
+const NEW_TENANT_TABLES = [
+  'admins', 'interviews', 'training_assignments', 'bank_connections', 'payment_transactions', 'tax_filings'
+];
+
+const up = async (client) => {
+  for (const table of NEW_TENANT_TABLES) {
+    await client.query(`
+      ALTER TABLE ${table} 
+      ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id);
+    `);
+  }
+
+  // Derive the company from the parent record where there is one
+  await client.query(`
+    UPDATE interviews SET company_id = (
+      SELECT company_id FROM candidates WHERE candidates.id = interviews.candidate_id
+    ) WHERE company_id IS NULL;
+  `);
+
+  for (const table of ['training_assignments', 'payment_transactions']) {
+    await client.query(`
+      UPDATE ${table} SET company_id = (
+        SELECT company_id FROM employees WHERE employees.id = ${table}.employee_id
+      ) WHERE company_id IS NULL;
+    `);
+  }
+
+  const company = await client.query(`
+    INSERT INTO companies (name, email) VALUES ('Default Company', $1)
+    ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email
+    RETURNING id
+  `, [DEFAULT_COMPANY_EMAIL]);
+  const companyId = company.rows[0].id;
+
+  for (const table of [...BASELINE_TENANT_TABLES, ...NEW_TENANT_TABLES]) {
+    await client.query(`UPDATE ${table} SET company_id = $1 WHERE company_id IS NULL`, [companyId]);
+    await client.query(`CREATE INDEX IF NOT EXISTS ${table}_company_idx ON ${table} (company_id);`);
+  }
+
+  // Bank connections are unique per company rather than globally
+  await client.query('ALTER TABLE bank_connections DROP CONSTRAINT IF EXISTS bank_connections_bank_code_key;');
+  await client.query(`
+    ALTER TABLE bank_connections 
+    ADD CONSTRAINT bank_connections_company_bank_code_key UNIQUE (company_id, bank_code);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE bank_connections DROP CONSTRAINT IF EXISTS bank_connections_company_bank_code_key;');
+  await client.query(`
+    ALTER TABLE bank_connections 
+    ADD CONSTRAINT bank_connections_bank_code_key UNIQUE (bank_code);
+  `);
+
+  for (const table of BASELINE_TENANT_TABLES) {
+    await client.query(`DROP INDEX IF EXISTS ${table}_company_idx;`);
+  }
+
+  for (const table of NEW_TENANT_TABLES) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS company_id;`);
+  }
+};
+
+module.exports = { up, down };
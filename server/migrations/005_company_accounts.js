@@ -0,0 +1,69 @@
+// Company accounts: HR staff sign in as company_users rather than global
+// admins. Existing admins are copied into company_users for their company
+// and every "acting user" column is re-pointed at company_users.
+
+// Columns recording which HR user performed an action
+const ACTOR_COLUMNS = [
+  ['jobs', 'created_by'],
+  ['payroll', 'processed_by'],
+  ['payroll', 'reviewed_by'],
+  ['payroll', 'approved_by'],
+  ['payroll', 'paid_by'],
+  ['payroll', 'reopened_by'],
+  ['performance_reviews', 'reviewer_id'],
+  ['policies', 'created_by'],
+  ['documents', 'uploaded_by']
+];
+
+// Re-point an actor column from one account table to another, translating
+// ids through the (company_id, username) pair both tables share
+const repointActorColumn = async (client, table, column, from, to) => {
+  await client.query(`ALTER TABLE ${table} DROP CONSTRAINT IF EXISTS ${table}_${column}_fkey;`);
+  await client.query(`
+    UPDATE ${table} SET ${column} = (
+      SELECT target.id FROM ${from} source
+      JOIN ${to} target ON target.company_id = source.company_id AND target.username = source.username
+      WHERE source.id = ${table}.${column}
+    ) WHERE ${column} IS NOT NULL;
+  `);
+  await client.query(`
+    ALTER TABLE ${table} 
+    ADD CONSTRAINT ${table}_${column}_fkey FOREIGN KEY (${column}) REFERENCES ${to}(id);
+  `);
+};
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE companies 
+    ADD COLUMN IF NOT EXISTS website VARCHAR(255),
+    ADD COLUMN IF NOT EXISTS contact_person VARCHAR(200),
+    ADD COLUMN IF NOT EXISTS contact_position VARCHAR(100);
+  `);
+
+  await client.query(`
+    INSERT INTO company_users (company_id, username, email, password_hash, role, created_at)
+    SELECT company_id, username, email, password_hash,
+      CASE WHEN role = 'super_admin' THEN 'owner' ELSE 'admin' END, created_at
+    FROM admins
+    ON CONFLICT DO NOTHING;
+  `);
+
+  for (const [table, column] of ACTOR_COLUMNS) {
+    await repointActorColumn(client, table, column, 'admins', 'company_users');
+  }
+};
+
+const down = async (client) => {
+  for (const [table, column] of ACTOR_COLUMNS) {
+    await repointActorColumn(client, table, column, 'company_users', 'admins');
+  }
+
+  await client.query(`
+    ALTER TABLE companies 
+    DROP COLUMN IF EXISTS website,
+    DROP COLUMN IF EXISTS contact_person,
+    DROP COLUMN IF EXISTS contact_position;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,25 @@
+// Named roles for company users (see permissions.js). Generic admin roles
+// from earlier versions become HR managers.
+
+const up = async (client) => {
+  await client.query(`
+    UPDATE company_users SET role = 'hr_manager'
+    WHERE role IS NULL OR role IN ('admin', 'company_admin');
+  `);
+
+  await client.query(`ALTER TABLE company_users ALTER COLUMN role SET DEFAULT 'hr_manager';`);
+
+  await client.query(`
+    UPDATE company_users SET permissions = '[]'::jsonb WHERE permissions IS NULL;
+  `);
+};
+
+const down = async (client) => {
+  await client.query(`ALTER TABLE company_users ALTER COLUMN role SET DEFAULT 'company_admin';`);
+
+  await client.query(`
+    UPDATE company_users SET role = 'admin' WHERE role <> 'owner';
+  `);
+};
+
+module.exports = { up, down };
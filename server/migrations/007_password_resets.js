@@ -0,0 +1,27 @@
+// Password reset tokens for company users. Only a SHA-256 hash of the
+// emailed token is stored, and it is cleared once used.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE company_users 
+    ADD COLUMN IF NOT EXISTS password_reset_token VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS password_reset_expires TIMESTAMP;
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS company_users_password_reset_token_idx 
+    ON company_users (password_reset_token);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS company_users_password_reset_token_idx;');
+
+  await client.query(`
+    ALTER TABLE company_users 
+    DROP COLUMN IF EXISTS password_reset_token,
+    DROP COLUMN IF EXISTS password_reset_expires;
+  `);
+};
+
+module.exports = { up, down };
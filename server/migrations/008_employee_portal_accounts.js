@@ -0,0 +1,56 @@
+// Employee portal accounts are created by an HR invite. Until the employee
+// follows the emailed activation link the account has no username or
+// password. Usernames become unique because employees sign in with the
+// username alone.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE employee_self_service 
+    ALTER COLUMN username DROP NOT NULL,
+    ALTER COLUMN password_hash DROP NOT NULL;
+  `);
+
+  await client.query(`
+    ALTER TABLE employee_self_service 
+    ADD COLUMN IF NOT EXISTS activation_token VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS activation_expires TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS invited_by INTEGER REFERENCES company_users(id),
+    ADD COLUMN IF NOT EXISTS invited_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS activated_at TIMESTAMP;
+  `);
+
+  // Accounts created before invites existed are already usable
+  await client.query(`
+    UPDATE employee_self_service SET activated_at = created_at 
+    WHERE activated_at IS NULL AND password_hash IS NOT NULL;
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS employee_self_service_username_key 
+    ON employee_self_service (username);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS employee_self_service_username_key;');
+
+  await client.query(`
+    ALTER TABLE employee_self_service 
+    DROP COLUMN IF EXISTS activation_token,
+    DROP COLUMN IF EXISTS activation_expires,
+    DROP COLUMN IF EXISTS invited_by,
+    DROP COLUMN IF EXISTS invited_at,
+    DROP COLUMN IF EXISTS activated_at;
+  `);
+
+  // Invited accounts that were never activated can't satisfy NOT NULL
+  await client.query('DELETE FROM employee_self_service WHERE username IS NULL OR password_hash IS NULL;');
+
+  await client.query(`
+    ALTER TABLE employee_self_service 
+    ALTER COLUMN username SET NOT NULL,
+    ALTER COLUMN password_hash SET NOT NULL;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// TOTP two-factor authentication for company users. A secret is kept pending
+// until the user confirms it with a code. Recovery codes are stored as
+// SHA-256 hashes, and companies can require 2FA for all their users.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE company_users
+    ADD COLUMN IF NOT EXISTS two_factor_enabled BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS two_factor_secret VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS two_factor_pending_secret VARCHAR(64),
+    ADD COLUMN IF NOT EXISTS two_factor_last_step BIGINT,
+    ADD COLUMN IF NOT EXISTS two_factor_enabled_at TIMESTAMP;
+  `);
+
+  await client.query(`
+    ALTER TABLE companies
+    ADD COLUMN IF NOT EXISTS require_two_factor BOOLEAN NOT NULL DEFAULT false;
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS company_user_recovery_codes (
+      id SERIAL PRIMARY KEY,
+      company_user_id INTEGER NOT NULL REFERENCES company_users(id) ON DELETE CASCADE,
+      code_hash VARCHAR(64) NOT NULL,
+      used_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS company_user_recovery_codes_user_idx
+    ON company_user_recovery_codes (company_user_id);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS company_user_recovery_codes;');
+
+  await client.query('ALTER TABLE companies DROP COLUMN IF EXISTS require_two_factor;');
+
+  await client.query(`
+    ALTER TABLE company_users
+    DROP COLUMN IF EXISTS two_factor_enabled,
+    DROP COLUMN IF EXISTS two_factor_secret,
+    DROP COLUMN IF EXISTS two_factor_pending_secret,
+    DROP COLUMN IF EXISTS two_factor_last_step,
+    DROP COLUMN IF EXISTS two_factor_enabled_at;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,61 @@
+const bcrypt = require('bcryptjs');
+
+// Login attempt history for throttling and lockout, and a forced password
+// change for accounts created with a known password (the seeded admin).
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS login_attempts (
+      id SERIAL PRIMARY KEY,
+      user_type VARCHAR(20) NOT NULL,
+      username VARCHAR(255) NOT NULL,
+      company_user_id INTEGER REFERENCES company_users(id) ON DELETE SET NULL,
+      employee_account_id INTEGER REFERENCES employee_self_service(id) ON DELETE SET NULL,
+      company_id INTEGER REFERENCES companies(id) ON DELETE CASCADE,
+      ip_address VARCHAR(64),
+      user_agent TEXT,
+      success BOOLEAN NOT NULL,
+      reason VARCHAR(50),
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS login_attempts_username_idx
+    ON login_attempts (user_type, username, created_at);
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS login_attempts_ip_idx
+    ON login_attempts (ip_address, created_at);
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS login_attempts_company_idx
+    ON login_attempts (company_id, created_at);
+  `);
+
+  await client.query(`
+    ALTER TABLE company_users
+    ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN NOT NULL DEFAULT false;
+  `);
+
+  // The seeded admin must pick a new password if it still uses the default
+  const seeded = await client.query(
+    "SELECT id, password_hash FROM company_users WHERE username = 'admin' AND email = 'admin@hrplatform.com'"
+  );
+
+  for (const admin of seeded.rows) {
+    if (await bcrypt.compare('admin123', admin.password_hash)) {
+      await client.query('UPDATE company_users SET must_change_password = true WHERE id = $1', [admin.id]);
+    }
+  }
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE company_users DROP COLUMN IF EXISTS must_change_password;');
+
+  await client.query('DROP TABLE IF EXISTS login_attempts;');
+};
+
+module.exports = { up, down };
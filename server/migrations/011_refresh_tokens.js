@@ -0,0 +1,36 @@
+// Rotating refresh tokens for company users. Only a SHA-256 hash of each
+// token is stored. Tokens from one login share a family_id, so reuse of a
+// rotated token can revoke the whole family.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS refresh_tokens (
+      id SERIAL PRIMARY KEY,
+      company_user_id INTEGER NOT NULL REFERENCES company_users(id) ON DELETE CASCADE,
+      family_id VARCHAR(64) NOT NULL,
+      session_id VARCHAR(255) NOT NULL,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      expires_at TIMESTAMP NOT NULL,
+      used_at TIMESTAMP,
+      revoked_at TIMESTAMP,
+      replaced_by INTEGER REFERENCES refresh_tokens(id) ON DELETE SET NULL,
+      ip_address VARCHAR(64),
+      user_agent TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS refresh_tokens_family_idx ON refresh_tokens (family_id);
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS refresh_tokens_session_idx ON refresh_tokens (session_id);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS refresh_tokens;');
+};
+
+module.exports = { up, down };
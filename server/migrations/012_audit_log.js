@@ -0,0 +1,63 @@
+// Append-only audit log of HR data changes. Each company's entries form a
+// hash chain (prev_hash -> hash), and a trigger rejects updates and deletes
+// so entries can only be added.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      actor_type VARCHAR(20) NOT NULL,
+      actor_id VARCHAR(100),
+      actor_name VARCHAR(255),
+      action VARCHAR(100) NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id VARCHAR(100),
+      changes JSONB NOT NULL DEFAULT '{}',
+      metadata JSONB NOT NULL DEFAULT '{}',
+      ip_address VARCHAR(64),
+      user_agent TEXT,
+      created_at TIMESTAMPTZ NOT NULL,
+      prev_hash VARCHAR(64) NOT NULL,
+      hash VARCHAR(64) NOT NULL UNIQUE
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS audit_log_company_idx ON audit_log (company_id, id);
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS audit_log_entity_idx ON audit_log (company_id, entity_type, entity_id);
+  `);
+
+  await client.query(`
+    CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+
+  await client.query(`
+    DROP TRIGGER IF EXISTS audit_log_no_update ON audit_log;
+    CREATE TRIGGER audit_log_no_update
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE PROCEDURE audit_log_append_only();
+  `);
+
+  await client.query(`
+    DROP TRIGGER IF EXISTS audit_log_no_truncate ON audit_log;
+    CREATE TRIGGER audit_log_no_truncate
+    BEFORE TRUNCATE ON audit_log
+    FOR EACH STATEMENT EXECUTE PROCEDURE audit_log_append_only();
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS audit_log;');
+
+  await client.query('DROP FUNCTION IF EXISTS audit_log_append_only();');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,105 @@
+const { encrypt, decrypt, encryptJson, decryptJson, isEncrypted } = require('../encryption');
+
+// Encrypt bank API credentials, the company's bank account number and
+// employees' bank details and emergency contacts (see encryption.js). The
+// JSONB columns become TEXT holding the encrypted JSON. Needs the same
+// ENCRYPTION_KEYS as the server.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE bank_connections
+    ALTER COLUMN account_number TYPE TEXT;
+  `);
+
+  await client.query(`
+    ALTER TABLE employees
+    ALTER COLUMN bank_details TYPE TEXT USING bank_details::text,
+    ALTER COLUMN emergency_contact TYPE TEXT USING emergency_contact::text;
+  `);
+
+  // Credentials were stored base64-encoded
+  const connections = await client.query(
+    'SELECT id, api_key_encrypted, api_secret_encrypted, account_number FROM bank_connections'
+  );
+
+  for (const connection of connections.rows) {
+    if (isEncrypted(connection.api_key_encrypted)) {
+      continue;
+    }
+
+    await client.query(
+      'UPDATE bank_connections SET api_key_encrypted = $1, api_secret_encrypted = $2, account_number = $3 WHERE id = $4',
+      [
+        encrypt(Buffer.from(connection.api_key_encrypted, 'base64').toString('utf8')),
+        encrypt(Buffer.from(connection.api_secret_encrypted, 'base64').toString('utf8')),
+        encrypt(connection.account_number),
+        connection.id
+      ]
+    );
+  }
+
+  const employees = await client.query(
+    'SELECT id, bank_details, emergency_contact FROM employees WHERE bank_details IS NOT NULL OR emergency_contact IS NOT NULL'
+  );
+
+  for (const employee of employees.rows) {
+    if (isEncrypted(employee.bank_details) || isEncrypted(employee.emergency_contact)) {
+      continue;
+    }
+
+    await client.query(
+      'UPDATE employees SET bank_details = $1, emergency_contact = $2 WHERE id = $3',
+      [
+        employee.bank_details && encryptJson(JSON.parse(employee.bank_details)),
+        employee.emergency_contact && encryptJson(JSON.parse(employee.emergency_contact)),
+        employee.id
+      ]
+    );
+  }
+};
+
+const down = async (client) => {
+  const connections = await client.query(
+    'SELECT id, api_key_encrypted, api_secret_encrypted, account_number FROM bank_connections'
+  );
+
+  for (const connection of connections.rows) {
+    await client.query(
+      'UPDATE bank_connections SET api_key_encrypted = $1, api_secret_encrypted = $2, account_number = $3 WHERE id = $4',
+      [
+        Buffer.from(decrypt(connection.api_key_encrypted)).toString('base64'),
+        Buffer.from(decrypt(connection.api_secret_encrypted)).toString('base64'),
+        decrypt(connection.account_number),
+        connection.id
+      ]
+    );
+  }
+
+  const employees = await client.query(
+    'SELECT id, bank_details, emergency_contact FROM employees WHERE bank_details IS NOT NULL OR emergency_contact IS NOT NULL'
+  );
+
+  for (const employee of employees.rows) {
+    await client.query(
+      'UPDATE employees SET bank_details = $1, emergency_contact = $2 WHERE id = $3',
+      [
+        employee.bank_details && JSON.stringify(decryptJson(employee.bank_details)),
+        employee.emergency_contact && JSON.stringify(decryptJson(employee.emergency_contact)),
+        employee.id
+      ]
+    );
+  }
+
+  await client.query(`
+    ALTER TABLE employees
+    ALTER COLUMN bank_details TYPE JSONB USING bank_details::jsonb,
+    ALTER COLUMN emergency_contact TYPE JSONB USING emergency_contact::jsonb;
+  `);
+
+  await client.query(`
+    ALTER TABLE bank_connections
+    ALTER COLUMN account_number TYPE VARCHAR(20);
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,58 @@
+// Employee termination and offboarding. Terminated employees keep their
+// record with the exit date and reason; final_pay keeps them on payroll up
+// to their exit month. Each termination generates an offboarding checklist,
+// and the employee's portal account is disabled.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE employees
+    ADD COLUMN IF NOT EXISTS exit_date DATE,
+    ADD COLUMN IF NOT EXISTS termination_reason VARCHAR(50),
+    ADD COLUMN IF NOT EXISTS termination_notes TEXT,
+    ADD COLUMN IF NOT EXISTS final_pay BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS terminated_by INTEGER REFERENCES company_users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS terminated_at TIMESTAMP;
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS offboarding_tasks (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      category VARCHAR(30) NOT NULL,
+      title VARCHAR(255) NOT NULL,
+      position INTEGER NOT NULL DEFAULT 0,
+      completed_at TIMESTAMP,
+      completed_by INTEGER REFERENCES company_users(id) ON DELETE SET NULL,
+      notes TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS offboarding_tasks_employee_idx ON offboarding_tasks (employee_id, position);
+  `);
+
+  await client.query(`
+    ALTER TABLE employee_self_service
+    ADD COLUMN IF NOT EXISTS disabled_at TIMESTAMP;
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE employee_self_service DROP COLUMN IF EXISTS disabled_at;');
+
+  await client.query('DROP TABLE IF EXISTS offboarding_tasks;');
+
+  await client.query(`
+    ALTER TABLE employees
+    DROP COLUMN IF EXISTS exit_date,
+    DROP COLUMN IF EXISTS termination_reason,
+    DROP COLUMN IF EXISTS termination_notes,
+    DROP COLUMN IF EXISTS final_pay,
+    DROP COLUMN IF EXISTS terminated_by,
+    DROP COLUMN IF EXISTS terminated_at;
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,43 @@
+// Effective-dated employment history. Each record changes one or more of
+// department, position, salary and allowances from its effective date on;
+// a NULL column leaves that value as it was. The matching employees columns
+// keep mirroring whatever is in force today.
+//
+// Existing employees get a 'hire' record from their current values, dated
+// from their start date (or when they were added, if it is unknown).
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS employment_history (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      effective_date DATE NOT NULL,
+      change_type VARCHAR(30) NOT NULL,
+      department VARCHAR(100),
+      position VARCHAR(100),
+      salary DECIMAL(12,2),
+      allowances DECIMAL(12,2),
+      reason TEXT,
+      created_by INTEGER REFERENCES company_users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS employment_history_employee_idx ON employment_history (employee_id, effective_date, id);
+  `);
+
+  await client.query(`
+    INSERT INTO employment_history (company_id, employee_id, effective_date, change_type, department, position, salary, allowances, reason)
+    SELECT e.company_id, e.id, COALESCE(e.start_date, e.created_at::date, CURRENT_DATE), 'hire',
+      e.department, e.position, e.salary, COALESCE(e.allowances, 0), 'Recorded from the employee record'
+    FROM employees e;
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS employment_history;');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,75 @@
+// Organisation structure: departments become records with an optional head,
+// employees get a manager, and company users can be linked to their own
+// employee record so line managers can be scoped to their reports.
+//
+// employees.department keeps the department's name (it is what employment
+// history records), with department_id pointing at the department itself.
+// Existing department names are turned into departments, merging names that
+// differ only in case or surrounding spaces.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS departments (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      name VARCHAR(100) NOT NULL,
+      description TEXT,
+      head_employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS departments_company_name_key ON departments (company_id, LOWER(name));
+  `);
+
+  await client.query(`
+    ALTER TABLE employees
+    ADD COLUMN IF NOT EXISTS manager_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS department_id INTEGER REFERENCES departments(id) ON DELETE SET NULL;
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS employees_manager_idx ON employees (manager_id);
+  `);
+
+  await client.query(`
+    ALTER TABLE company_users
+    ADD COLUMN IF NOT EXISTS employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL;
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS company_users_employee_key ON company_users (employee_id) WHERE employee_id IS NOT NULL;
+  `);
+
+  await client.query(`
+    INSERT INTO departments (company_id, name)
+    SELECT company_id, MIN(TRIM(department))
+    FROM employees
+    WHERE company_id IS NOT NULL AND TRIM(COALESCE(department, '')) <> ''
+    GROUP BY company_id, LOWER(TRIM(department))
+    ON CONFLICT DO NOTHING;
+  `);
+
+  await client.query(`
+    UPDATE employees SET department_id = d.id
+    FROM departments d
+    WHERE d.company_id = employees.company_id AND LOWER(d.name) = LOWER(TRIM(employees.department));
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS company_users_employee_key;');
+  await client.query('ALTER TABLE company_users DROP COLUMN IF EXISTS employee_id;');
+
+  await client.query(`
+    ALTER TABLE employees
+    DROP COLUMN IF EXISTS manager_id,
+    DROP COLUMN IF EXISTS department_id;
+  `);
+
+  await client.query('DROP TABLE IF EXISTS departments;');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,83 @@
+// Leave approval workflow. Each company configures the chain of approval
+// stages ('line_manager', 'hr'); a request keeps the chain it was submitted
+// with and the index of the stage it is waiting on. Every decision, with its
+// comment, is kept in leave_request_actions, and employees are told about
+// decisions through employee_notifications. Requests submitted before this
+// go straight to HR.
+//
+// Statuses: pending, changes_requested, approved, rejected, cancelled.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE companies
+    ADD COLUMN IF NOT EXISTS leave_approval_chain JSONB NOT NULL DEFAULT '["line_manager", "hr"]';
+  `);
+
+  await client.query(`
+    ALTER TABLE leave_requests
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id),
+    ADD COLUMN IF NOT EXISTS approval_chain JSONB NOT NULL DEFAULT '["hr"]',
+    ADD COLUMN IF NOT EXISTS current_step INTEGER NOT NULL DEFAULT 0,
+    ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+  `);
+
+  await client.query(`
+    UPDATE leave_requests SET company_id = e.company_id
+    FROM employees e
+    WHERE e.id = leave_requests.employee_id AND leave_requests.company_id IS NULL;
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS leave_request_actions (
+      id SERIAL PRIMARY KEY,
+      leave_request_id INTEGER NOT NULL REFERENCES leave_requests(id) ON DELETE CASCADE,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      stage VARCHAR(20),
+      action VARCHAR(20) NOT NULL,
+      comment TEXT,
+      actor_user_id INTEGER REFERENCES company_users(id) ON DELETE SET NULL,
+      actor_employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS leave_request_actions_request_idx ON leave_request_actions (leave_request_id, id);
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS employee_notifications (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      type VARCHAR(50) NOT NULL,
+      message TEXT NOT NULL,
+      leave_request_id INTEGER REFERENCES leave_requests(id) ON DELETE CASCADE,
+      read_at TIMESTAMP,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS employee_notifications_employee_idx ON employee_notifications (employee_id, read_at);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS employee_notifications;');
+  await client.query('DROP TABLE IF EXISTS leave_request_actions;');
+
+  await client.query(`
+    ALTER TABLE leave_requests
+    DROP COLUMN IF EXISTS company_id,
+    DROP COLUMN IF EXISTS approval_chain,
+    DROP COLUMN IF EXISTS current_step,
+    DROP COLUMN IF EXISTS cancelled_at,
+    DROP COLUMN IF EXISTS updated_at;
+  `);
+
+  await client.query('ALTER TABLE companies DROP COLUMN IF EXISTS leave_approval_chain;');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,51 @@
+// Leave entitlements. A company's policy for a leave type sets the days earned
+// per leave year (the calendar year), whether they accrue monthly or arrive
+// all at once, how long new starters wait before taking any, and how many
+// unused days carry into the next year and for how long. Leave types without
+// a policy aren't limited.
+//
+// Balances are worked out from the policy, the employee's start date and their
+// approved leave; leave_adjustments holds the only entries entered by hand.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS leave_policies (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      leave_type VARCHAR(50) NOT NULL,
+      entitlement_days DECIMAL(6,2) NOT NULL,
+      accrual VARCHAR(10) NOT NULL DEFAULT 'annual',
+      probation_months INTEGER NOT NULL DEFAULT 0,
+      carry_over_cap DECIMAL(6,2) DEFAULT 0,
+      carry_over_expiry_months INTEGER,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (company_id, leave_type)
+    );
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS leave_adjustments (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      leave_type VARCHAR(50) NOT NULL,
+      days DECIMAL(6,2) NOT NULL,
+      effective_date DATE NOT NULL DEFAULT CURRENT_DATE,
+      note TEXT NOT NULL,
+      created_by INTEGER REFERENCES company_users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS leave_adjustments_employee_idx ON leave_adjustments (employee_id, leave_type);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS leave_adjustments;');
+  await client.query('DROP TABLE IF EXISTS leave_policies;');
+};
+
+module.exports = { up, down };
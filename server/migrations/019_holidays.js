@@ -0,0 +1,98 @@
+// Public holiday calendar. Rows without a company are Nigerian federal
+// holidays and apply to every company; a company adds its own holidays, and
+// holidays the Federal Government declares at short notice, as rows of its
+// own. A company row with observed = false makes that date a working day for
+// the company even if it is a federal holiday (e.g. when an Eid holiday is
+// moved after the moon sighting).
+//
+// The seeded Islamic holidays are the expected dates; weekend holidays are
+// observed on the following working day(s). Add a new migration for later
+// years rather than editing this one.
+//
+// Also adds the number of working days each leave approval stage should take.
+// Existing leave requests keep the day counts they were submitted with.
+
+const FEDERAL_HOLIDAYS = [
+  ['2025-01-01', "New Year's Day"],
+  ['2025-03-31', 'Eid-el-Fitr'],
+  ['2025-04-01', 'Eid-el-Fitr holiday'],
+  ['2025-04-18', 'Good Friday'],
+  ['2025-04-21', 'Easter Monday'],
+  ['2025-05-01', "Workers' Day"],
+  ['2025-06-06', 'Eid-el-Kabir'],
+  ['2025-06-09', 'Eid-el-Kabir holiday'],
+  ['2025-06-12', 'Democracy Day'],
+  ['2025-09-05', 'Eid-el-Maulud'],
+  ['2025-10-01', 'Independence Day'],
+  ['2025-12-25', 'Christmas Day'],
+  ['2025-12-26', 'Boxing Day'],
+
+  ['2026-01-01', "New Year's Day"],
+  ['2026-03-20', 'Eid-el-Fitr'],
+  ['2026-03-23', 'Eid-el-Fitr holiday'],
+  ['2026-04-03', 'Good Friday'],
+  ['2026-04-06', 'Easter Monday'],
+  ['2026-05-01', "Workers' Day"],
+  ['2026-05-27', 'Eid-el-Kabir'],
+  ['2026-05-28', 'Eid-el-Kabir holiday'],
+  ['2026-06-12', 'Democracy Day'],
+  ['2026-08-26', 'Eid-el-Maulud'],
+  ['2026-10-01', 'Independence Day'],
+  ['2026-12-25', 'Christmas Day'],
+  ['2026-12-28', 'Boxing Day (observed)'],
+
+  ['2027-01-01', "New Year's Day"],
+  ['2027-03-10', 'Eid-el-Fitr'],
+  ['2027-03-11', 'Eid-el-Fitr holiday'],
+  ['2027-03-26', 'Good Friday'],
+  ['2027-03-29', 'Easter Monday'],
+  ['2027-05-03', "Workers' Day (observed)"],
+  ['2027-05-17', 'Eid-el-Kabir'],
+  ['2027-05-18', 'Eid-el-Kabir holiday'],
+  ['2027-06-14', 'Democracy Day (observed)'],
+  ['2027-08-16', 'Eid-el-Maulud (observed)'],
+  ['2027-10-01', 'Independence Day'],
+  ['2027-12-27', 'Christmas Day (observed)'],
+  ['2027-12-28', 'Boxing Day (observed)']
+];
+
+const up = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS holidays (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER REFERENCES companies(id),
+      date DATE NOT NULL,
+      name VARCHAR(100) NOT NULL,
+      observed BOOLEAN NOT NULL DEFAULT TRUE,
+      created_by INTEGER REFERENCES company_users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS holidays_company_date_key ON holidays (company_id, date) WHERE company_id IS NOT NULL;
+  `);
+
+  await client.query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS holidays_federal_date_key ON holidays (date) WHERE company_id IS NULL;
+  `);
+
+  for (const [date, name] of FEDERAL_HOLIDAYS) {
+    await client.query(
+      'INSERT INTO holidays (date, name) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+      [date, name]
+    );
+  }
+
+  await client.query(`
+    ALTER TABLE companies
+    ADD COLUMN IF NOT EXISTS leave_approval_sla_days INTEGER NOT NULL DEFAULT 2;
+  `);
+};
+
+const down = async (client) => {
+  await client.query('ALTER TABLE companies DROP COLUMN IF EXISTS leave_approval_sla_days;');
+  await client.query('DROP TABLE IF EXISTS holidays;');
+};
+
+module.exports = { up, down };
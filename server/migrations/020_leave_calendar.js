@@ -0,0 +1,31 @@
+// Team leave calendar: departments get an optional minimum number of people
+// who must be at work on any working day, and each company user or employee
+// can have one private iCalendar feed of the leave they can see. Feed tokens
+// are stored hashed; creating a new one replaces the old.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE departments
+    ADD COLUMN IF NOT EXISTS min_staffing INTEGER;
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS calendar_feeds (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      company_user_id INTEGER UNIQUE REFERENCES company_users(id) ON DELETE CASCADE,
+      employee_id INTEGER UNIQUE REFERENCES employees(id) ON DELETE CASCADE,
+      token_hash VARCHAR(64) NOT NULL UNIQUE,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      last_used_at TIMESTAMP,
+      CHECK ((company_user_id IS NULL) <> (employee_id IS NULL))
+    );
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS calendar_feeds;');
+  await client.query('ALTER TABLE departments DROP COLUMN IF EXISTS min_staffing;');
+};
+
+module.exports = { up, down };
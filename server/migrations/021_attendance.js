@@ -0,0 +1,96 @@
+// Attendance. Employees clock in and out through the portal, taking any
+// number of breaks (attendance_breaks); times are the server's local time of
+// day and hours are worked out by the server. Each company has one work
+// schedule: when the working day starts and ends, and how many minutes after
+// the start a clock-in still counts as on time. Days an employee should have
+// worked but has no record for are shown as absent rather than stored.
+//
+// Corrections to a day are requested by the employee or by HR and only change
+// the attendance record once someone else approves them.
+//
+// Statuses: pending, approved, rejected.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE companies
+    ADD COLUMN IF NOT EXISTS work_day_start TIME NOT NULL DEFAULT '09:00',
+    ADD COLUMN IF NOT EXISTS work_day_end TIME NOT NULL DEFAULT '17:00',
+    ADD COLUMN IF NOT EXISTS late_after_minutes INTEGER NOT NULL DEFAULT 15;
+  `);
+
+  await client.query(`
+    ALTER TABLE attendance
+    ADD COLUMN IF NOT EXISTS company_id INTEGER REFERENCES companies(id),
+    ADD COLUMN IF NOT EXISTS corrected BOOLEAN NOT NULL DEFAULT false,
+    ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP;
+  `);
+
+  await client.query(`
+    UPDATE attendance SET company_id = e.company_id
+    FROM employees e
+    WHERE e.id = attendance.employee_id AND attendance.company_id IS NULL;
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS attendance_company_date_idx ON attendance (company_id, date);
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS attendance_breaks (
+      id SERIAL PRIMARY KEY,
+      attendance_id INTEGER NOT NULL REFERENCES attendance(id) ON DELETE CASCADE,
+      started_at TIME NOT NULL,
+      ended_at TIME
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS attendance_breaks_attendance_idx ON attendance_breaks (attendance_id);
+  `);
+
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS attendance_corrections (
+      id SERIAL PRIMARY KEY,
+      company_id INTEGER NOT NULL REFERENCES companies(id),
+      employee_id INTEGER NOT NULL REFERENCES employees(id) ON DELETE CASCADE,
+      date DATE NOT NULL,
+      clock_in TIME NOT NULL,
+      clock_out TIME NOT NULL,
+      break_minutes INTEGER NOT NULL DEFAULT 0,
+      reason TEXT NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending',
+      requested_by_user_id INTEGER REFERENCES company_users(id) ON DELETE SET NULL,
+      requested_by_employee_id INTEGER REFERENCES employees(id) ON DELETE SET NULL,
+      decided_by INTEGER REFERENCES company_users(id) ON DELETE SET NULL,
+      decided_at TIMESTAMP,
+      decision_comment TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS attendance_corrections_company_idx ON attendance_corrections (company_id, status);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP TABLE IF EXISTS attendance_corrections;');
+  await client.query('DROP TABLE IF EXISTS attendance_breaks;');
+  await client.query('DROP INDEX IF EXISTS attendance_company_date_idx;');
+
+  await client.query(`
+    ALTER TABLE attendance
+    DROP COLUMN IF EXISTS company_id,
+    DROP COLUMN IF EXISTS corrected,
+    DROP COLUMN IF EXISTS updated_at;
+  `);
+
+  await client.query(`
+    ALTER TABLE companies
+    DROP COLUMN IF EXISTS work_day_start,
+    DROP COLUMN IF EXISTS work_day_end,
+    DROP COLUMN IF EXISTS late_after_minutes;
+  `);
+};
+
+module.exports = { up, down };
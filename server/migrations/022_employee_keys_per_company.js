@@ -0,0 +1,33 @@
+// Employee IDs and emails are unique within a company rather than across
+// every company, so two tenants can both have an employee A1.
+
+const up = async (client) => {
+  await client.query(`
+    ALTER TABLE employees
+    DROP CONSTRAINT IF EXISTS employees_employee_id_key,
+    DROP CONSTRAINT IF EXISTS employees_email_key;
+  `);
+
+  await client.query(`
+    ALTER TABLE employees
+    ADD CONSTRAINT employees_company_employee_id_key UNIQUE (company_id, employee_id),
+    ADD CONSTRAINT employees_company_email_key UNIQUE (company_id, email);
+  `);
+};
+
+// Fails if two companies now share an employee ID or email
+const down = async (client) => {
+  await client.query(`
+    ALTER TABLE employees
+    DROP CONSTRAINT IF EXISTS employees_company_employee_id_key,
+    DROP CONSTRAINT IF EXISTS employees_company_email_key;
+  `);
+
+  await client.query(`
+    ALTER TABLE employees
+    ADD CONSTRAINT employees_employee_id_key UNIQUE (employee_id),
+    ADD CONSTRAINT employees_email_key UNIQUE (email);
+  `);
+};
+
+module.exports = { up, down };
@@ -0,0 +1,22 @@
+// Login throttling counts failures per account (company user or employee
+// portal account) rather than per username, which can repeat across
+// companies.
+
+const up = async (client) => {
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS login_attempts_company_user_idx
+    ON login_attempts (company_user_id, created_at);
+  `);
+
+  await client.query(`
+    CREATE INDEX IF NOT EXISTS login_attempts_employee_account_idx
+    ON login_attempts (employee_account_id, created_at);
+  `);
+};
+
+const down = async (client) => {
+  await client.query('DROP INDEX IF EXISTS login_attempts_company_user_idx;');
+  await client.query('DROP INDEX IF EXISTS login_attempts_employee_account_idx;');
+};
+
+module.exports = { up, down };
@@ -0,0 +1,134 @@
+const fs = require('fs');
+const path = require('path');
+
+// Migration files are named NNN_description.js and export { up, down }
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+// Arbitrary key for pg_advisory_lock so concurrent boots don't race each other
+const MIGRATION_LOCK_KEY = 727465;
+
+// Load migration modules from this directory, ordered by version
+const loadMigrations = () => {
+  return fs.readdirSync(__dirname)
+    .map(file => file.match(MIGRATION_FILE_PATTERN))
+    .filter(Boolean)
+    .map(([file, version, name]) => ({
+      version,
+      name,
+      ...require(path.join(__dirname, file))
+    }))
+    .sort((a, b) => parseInt(a.version) - parseInt(b.version));
+};
+
+const ensureMigrationsTable = async (client) => {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(200) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+};
+
+const getAppliedVersions = async (client) => {
+  const result = await client.query('SELECT version FROM schema_migrations ORDER BY version');
+  return result.rows.map(row => row.version);
+};
+
+// Run a callback while holding the migration lock
+const withMigrationLock = async (pool, callback) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await callback(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    client.release();
+  }
+};
+
+// Run a single migration step inside its own transaction
+const runStep = async (client, migration, direction) => {
+  try {
+    await client.query('BEGIN');
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    error.message = `Migration ${migration.version}_${migration.name} (${direction}) failed: ${error.message}`;
+    throw error;
+  }
+};
+
+// Apply all pending migrations, returning the ones that ran
+const migrate = async (pool) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = loadMigrations().filter(migration => !applied.includes(migration.version));
+
+    for (const migration of pending) {
+      await runStep(client, migration, 'up');
+      console.log(`Applied migration ${migration.version}_${migration.name}`);
+    }
+
+    return pending;
+  });
+};
+
+// Roll back the most recently applied migrations
+const rollback = async (pool, steps = 1) => {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const migrations = loadMigrations();
+    const toRevert = applied.slice(-steps).reverse();
+    const reverted = [];
+
+    for (const version of toRevert) {
+      const migration = migrations.find(m => m.version === version);
+
+      if (!migration) {
+        throw new Error(`Migration file for applied version ${version} not found`);
+      }
+
+      await runStep(client, migration, 'down');
+      console.log(`Rolled back migration ${migration.version}_${migration.name}`);
+      reverted.push(migration);
+    }
+
+    return reverted;
+  });
+};
+
+// List every known migration with its applied state
+const status = async (pool) => {
+  return withMigrationLock(pool, async (client) => {
+    const result = await client.query('SELECT version, applied_at FROM schema_migrations');
+    const appliedAt = new Map(result.rows.map(row => [row.version, row.applied_at]));
+
+    return loadMigrations().map(migration => ({
+      version: migration.version,
+      name: migration.name,
+      applied: appliedAt.has(migration.version),
+      appliedAt: appliedAt.get(migration.version) || null
+    }));
+  });
+};
+
+module.exports = {
+  loadMigrations,
+  migrate,
+  rollback,
+  status
+};
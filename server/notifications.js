@@ -0,0 +1,10 @@
+// Messages for employees, shown in the portal until they mark them read.
+// Pass the transaction's client so a notification is only kept if the change
+// it describes is.
+const notifyEmployee = (db, { companyId, employeeId, type, message, leaveRequestId = null }) => db.query(
+  `INSERT INTO employee_notifications (company_id, employee_id, type, message, leave_request_id)
+   VALUES ($1, $2, $3, $4, $5)`,
+  [companyId, employeeId, type, message, leaveRequestId]
+);
+
+module.exports = { notifyEmployee };
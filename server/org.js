@@ -0,0 +1,435 @@
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { isReportScoped } = require('./permissions');
+const { withAudit } = require('./audit');
+
+// Organisation structure: reporting lines (employees.manager_id), departments
+// with heads, the org chart, and scoping line managers to their reports.
+
+// Tables whose rows belong to one employee, for requireReportAccess
+const EMPLOYEE_RECORD_TABLES = [
+  'performance_goals', 'performance_reviews', 'training_assignments', 'leave_requests', 'attendance_corrections'
+];
+
+// Direct reports of every manager in the company, keyed by manager id
+const getReportingLines = async (db, companyId) => {
+  const result = await db.query('SELECT id, manager_id FROM employees WHERE company_id = $1', [companyId]);
+  const reports = new Map();
+
+  result.rows.forEach(({ id, manager_id: managerId }) => {
+    if (managerId !== null) {
+      if (!reports.has(managerId)) {
+        reports.set(managerId, []);
+      }
+      reports.get(managerId).push(id);
+    }
+  });
+
+  return reports;
+};
+
+// Everyone below a manager, directly or indirectly
+const collectReports = (reports, managerId) => {
+  const found = new Set();
+  const queue = [...(reports.get(managerId) || [])];
+
+  while (queue.length > 0) {
+    const id = queue.shift();
+
+    if (!found.has(id) && id !== managerId) {
+      found.add(id);
+      queue.push(...(reports.get(id) || []));
+    }
+  }
+
+  return found;
+};
+
+const getReportIds = async (db, companyId, managerId) => collectReports(await getReportingLines(db, companyId), managerId);
+
+// Everyone above an employee, nearest first: their manager, their manager's
+// manager and so on
+const getManagerIds = async (db, companyId, employeeId) => {
+  const result = await db.query('SELECT id, manager_id FROM employees WHERE company_id = $1', [companyId]);
+  const managers = new Map(result.rows.map(row => [row.id, row.manager_id]));
+  const found = [];
+  let current = managers.get(employeeId);
+
+  while (current !== null && current !== undefined && current !== employeeId && !found.includes(current)) {
+    found.push(current);
+    current = managers.get(current);
+  }
+
+  return found;
+};
+
+// Employee ids a report-scoped user may act on, or null when the user has
+// company-wide access. Scoped users not linked to an employee have no reports.
+const getReportScope = async (req) => {
+  if (!isReportScoped(req.admin)) {
+    return null;
+  }
+
+  if (!req.reportScope) {
+    req.reportScope = req.admin.employee_id
+      ? [...await getReportIds(pool, getCompanyId(req), req.admin.employee_id)]
+      : [];
+  }
+
+  return req.reportScope;
+};
+
+// SQL condition limiting an employee id column to the caller's reports; its
+// parameter is appended to `params`
+const reportScopeCondition = async (req, column, params) => {
+  const scope = await getReportScope(req);
+
+  if (!scope) {
+    return 'TRUE';
+  }
+
+  params.push(scope);
+  return `${column} = ANY($${params.length}::int[])`;
+};
+
+/**
+ * Reject report-scoped users acting on anyone outside their reports.
+ *
+ * `references` maps a request field to the table it points at, as for
+ * requireCompanyRecords: employee ids are checked directly, rows of the
+ * EMPLOYEE_RECORD_TABLES by their employee_id. Fields are read from the route
+ * params first, then the body; missing ones are skipped. Run it after
+ * requireCompanyRecords, which deals with unknown ids.
+ */
+const requireReportAccess = (references) => {
+  return async (req, res, next) => {
+    try {
+      const scope = await getReportScope(req);
+
+      if (!scope) {
+        return next();
+      }
+
+      for (const [field, table] of Object.entries(references)) {
+        const value = req.params[field] !== undefined ? req.params[field] : req.body && req.body[field];
+
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+          continue;
+        }
+
+        let employeeIds = [].concat(value).map(id => parseInt(id));
+
+        if (table !== 'employees') {
+          if (!EMPLOYEE_RECORD_TABLES.includes(table)) {
+            throw new Error(`${table} does not belong to employees`);
+          }
+
+          const result = await pool.query(
+            `SELECT employee_id FROM ${table} WHERE id = ANY($1::int[]) AND company_id = $2`,
+            [employeeIds.filter(id => !isNaN(id)), getCompanyId(req)]
+          );
+          employeeIds = result.rows.map(row => row.employee_id);
+        }
+
+        if (employeeIds.some(id => !scope.includes(id))) {
+          return res.status(403).json({ error: 'Access denied. You can only manage your own reports' });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Report scope check error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+};
+
+// Why `managerId` can't manage the employee, or null if they can. Reporting
+// lines must stay within the company and can't loop back on themselves.
+const checkManager = async (db, companyId, employeeId, managerId) => {
+  if (managerId === null) {
+    return null;
+  }
+
+  if (managerId === employeeId) {
+    return 'An employee cannot be their own manager';
+  }
+
+  const manager = await db.query(
+    'SELECT status FROM employees WHERE id = $1 AND company_id = $2',
+    [managerId, companyId]
+  );
+
+  if (manager.rows.length === 0) {
+    return 'Manager not found';
+  }
+
+  if (manager.rows[0].status === 'terminated') {
+    return 'A terminated employee cannot be a manager';
+  }
+
+  if ((await getReportIds(db, companyId, employeeId)).has(managerId)) {
+    return 'The manager reports to this employee, so the reporting line would loop';
+  }
+
+  return null;
+};
+
+// Id of the company's department with this name (ignoring case), creating
+// the department if it is new
+const resolveDepartmentId = async (db, companyId, name) => {
+  const trimmed = (name || '').trim();
+
+  if (!trimmed) {
+    return null;
+  }
+
+  const find = () => db.query(
+    'SELECT id FROM departments WHERE company_id = $1 AND LOWER(name) = LOWER($2)',
+    [companyId, trimmed]
+  );
+
+  const existing = await find();
+  if (existing.rows.length > 0) {
+    return existing.rows[0].id;
+  }
+
+  const created = await db.query(
+    'INSERT INTO departments (company_id, name) VALUES ($1, $2) ON CONFLICT DO NOTHING RETURNING id',
+    [companyId, trimmed]
+  );
+
+  // Created by someone else in the meantime
+  return created.rows.length > 0 ? created.rows[0].id : (await find()).rows[0].id;
+};
+
+// A department's minimum staffing: a whole number of people, or empty for none
+const parseMinStaffing = (value) => {
+  if (value === null || value === '') {
+    return { value: null };
+  }
+
+  const number = Number(value);
+  return Number.isInteger(number) && number >= 0 ? { value: number } : { error: 'min_staffing must be a whole number of 0 or more' };
+};
+
+const getDepartments = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT d.*, h.name as head_name,
+         (SELECT COUNT(*) FROM employees e WHERE e.department_id = d.id AND e.status <> 'terminated')::int as employee_count
+       FROM departments d
+       LEFT JOIN employees h ON d.head_employee_id = h.id
+       WHERE d.company_id = $1
+       ORDER BY d.name`,
+      [getCompanyId(req)]
+    );
+
+    res.json({ success: true, data: result.rows });
+  } catch (error) {
+    console.error('Error fetching departments:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+const createDepartment = async (req, res) => {
+  const name = (req.body.name || '').trim();
+
+  const minStaffing = parseMinStaffing(req.body.min_staffing === undefined ? null : req.body.min_staffing);
+  const errors = [!name && 'name is required', minStaffing.error].filter(Boolean);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const department = await withAudit(req, async (client, audit) => {
+      const result = await client.query(
+        `INSERT INTO departments (company_id, name, description, head_employee_id, min_staffing)
+         VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+        [getCompanyId(req), name, req.body.description || null, req.body.head_employee_id || null, minStaffing.value]
+      );
+      audit({ action: 'department.create', entityType: 'department', entityId: result.rows[0].id, after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    res.status(201).json({ success: true, data: department });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A department with this name already exists' });
+    }
+
+    console.error('Error creating department:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Rename a department, change its description, head or minimum staffing. A
+// rename carries over to its employees and their employment history.
+const updateDepartment = async (req, res) => {
+  const minStaffing = req.body.min_staffing !== undefined ? parseMinStaffing(req.body.min_staffing) : {};
+  const errors = [
+    req.body.name !== undefined && !String(req.body.name).trim() && 'name cannot be empty',
+    minStaffing.error
+  ].filter(Boolean);
+
+  if (errors.length > 0) {
+    return res.status(400).json({ success: false, error: 'Validation failed', details: errors });
+  }
+
+  try {
+    const department = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM departments WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, getCompanyId(req)]
+      );
+
+      if (before.rows.length === 0) {
+        return null;
+      }
+
+      const existing = before.rows[0];
+      const name = req.body.name !== undefined ? String(req.body.name).trim() : existing.name;
+
+      const result = await client.query(
+        `UPDATE departments SET name = $1, description = $2, head_employee_id = $3, min_staffing = $4,
+           updated_at = CURRENT_TIMESTAMP
+         WHERE id = $5 RETURNING *`,
+        [
+          name,
+          req.body.description !== undefined ? req.body.description || null : existing.description,
+          req.body.head_employee_id !== undefined ? req.body.head_employee_id || null : existing.head_employee_id,
+          'value' in minStaffing ? minStaffing.value : existing.min_staffing,
+          existing.id
+        ]
+      );
+
+      if (name !== existing.name) {
+        await client.query(
+          'UPDATE employees SET department = $1, updated_at = CURRENT_TIMESTAMP WHERE department_id = $2',
+          [name, existing.id]
+        );
+        await client.query(
+          'UPDATE employment_history SET department = $1 WHERE company_id = $2 AND LOWER(TRIM(department)) = LOWER($3)',
+          [name, existing.company_id, existing.name]
+        );
+      }
+
+      audit({ action: 'department.update', entityType: 'department', entityId: existing.id, before: existing, after: result.rows[0] });
+      return result.rows[0];
+    });
+
+    if (!department) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    res.json({ success: true, data: department });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ error: 'A department with this name already exists' });
+    }
+
+    console.error('Error updating department:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Only empty departments can be deleted
+const deleteDepartment = async (req, res) => {
+  try {
+    const outcome = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM departments WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, getCompanyId(req)]
+      );
+
+      if (before.rows.length === 0) {
+        return { found: false };
+      }
+
+      const members = await client.query('SELECT COUNT(*) as count FROM employees WHERE department_id = $1', [before.rows[0].id]);
+
+      if (parseInt(members.rows[0].count) > 0) {
+        return { found: true, members: parseInt(members.rows[0].count) };
+      }
+
+      await client.query('DELETE FROM departments WHERE id = $1', [before.rows[0].id]);
+      audit({ action: 'department.delete', entityType: 'department', entityId: before.rows[0].id, before: before.rows[0] });
+      return { found: true, members: 0 };
+    });
+
+    if (!outcome.found) {
+      return res.status(404).json({ error: 'Department not found' });
+    }
+
+    if (outcome.members > 0) {
+      return res.status(409).json({ error: `Move the department's ${outcome.members} employee(s) elsewhere before deleting it` });
+    }
+
+    res.json({ success: true, message: 'Department deleted' });
+  } catch (error) {
+    console.error('Error deleting department:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Current employees as a tree of reporting lines. Anyone without a (current)
+// manager is a root. `team_size` counts direct and indirect reports.
+const getOrgChart = async (req, res) => {
+  try {
+    const companyId = getCompanyId(req);
+    const [employees, departments] = await Promise.all([
+      pool.query(
+        `SELECT id, employee_id, name, email, position, department, department_id, manager_id
+         FROM employees
+         WHERE company_id = $1 AND status <> 'terminated'
+         ORDER BY name`,
+        [companyId]
+      ),
+      pool.query(
+        'SELECT id, name, head_employee_id FROM departments WHERE company_id = $1 ORDER BY name',
+        [companyId]
+      )
+    ]);
+
+    const heads = new Set(departments.rows.map(department => department.head_employee_id).filter(Boolean));
+    const nodes = new Map(employees.rows.map(employee => [employee.id, {
+      ...employee,
+      is_department_head: heads.has(employee.id),
+      reports: []
+    }]));
+
+    const roots = [];
+    nodes.forEach(node => {
+      const manager = node.manager_id !== null ? nodes.get(node.manager_id) : null;
+      (manager ? manager.reports : roots).push(node);
+    });
+
+    const countTeam = (node, seen = new Set()) => {
+      seen.add(node.id);
+      node.team_size = node.reports.reduce((sum, report) => (seen.has(report.id) ? sum : sum + 1 + countTeam(report, seen)), 0);
+      return node.team_size;
+    };
+    roots.forEach(root => countTeam(root));
+
+    res.json({ success: true, data: { departments: departments.rows, roots } });
+  } catch (error) {
+    console.error('Error building org chart:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  getReportIds,
+  getManagerIds,
+  getReportScope,
+  reportScopeCondition,
+  requireReportAccess,
+  checkManager,
+  resolveDepartmentId,
+  getDepartments,
+  createDepartment,
+  updateDepartment,
+  deleteDepartment,
+  getOrgChart
+};
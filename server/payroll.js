@@ -0,0 +1,573 @@
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { hasPermission } = require('./permissions');
+const { calculateStatutoryDeductions } = require('./tax');
+const { appendAuditEntry, withAudit } = require('./audit');
+const { getEmploymentRecords, compensationForPeriod } = require('./employment');
+const { getHolidays, isWorkingDay, addDays } = require('./holidays');
+
+// Payroll run lifecycle. Each action moves a run from one of `from` to `to`
+// and stamps the acting admin and time in the matching *_by / *_at columns.
+// `permission` is what the acting user needs to take the action. A run is only
+// paid once the banking payout (POST /api/banking/process-payroll) has paid
+// every item; that route moves it to paid itself.
+const RUN_TRANSITIONS = {
+  review: { from: ['draft'], to: 'reviewed', stamp: 'reviewed', permission: 'payroll:process' },
+  approve: { from: ['reviewed'], to: 'approved', stamp: 'approved', permission: 'payroll:approve' },
+  pay: { from: ['approved'], to: 'paid', stamp: 'paid', permission: 'payroll:pay', requiresPaidItems: true },
+  reopen: { from: ['draft', 'reviewed', 'approved'], to: 'reopened', stamp: 'reopened', permission: 'payroll:approve' }
+};
+
+// Runs that still need action before money leaves the account
+const OPEN_RUN_STATUSES = ['draft', 'reviewed', 'approved', 'reopened'];
+
+const PERIOD_PATTERN = /^\d{4}-(0[1-9]|1[0-2])$/;
+
+// Adjustable per-employee amounts on a draft run
+const ADJUSTABLE_FIELDS = ['allowances', 'overtime', 'bonuses', 'other_deductions'];
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+// Build one employee's payroll line for a month from their pay for the period
+// plus any run-specific adjustments (overtime, bonuses, one-off deductions).
+// Statutory deductions use the rate table in force for the period.
+const calculatePayrollItem = (employee, adjustments = {}, period) => {
+  const basicSalary = roundCurrency(parseFloat(employee.salary) || 0);
+  const allowances = roundCurrency(parseFloat(adjustments.allowances ?? employee.allowances) || 0);
+  const overtime = roundCurrency(parseFloat(adjustments.overtime) || 0);
+  const bonuses = roundCurrency(parseFloat(adjustments.bonuses) || 0);
+  const otherDeductions = roundCurrency(parseFloat(adjustments.other_deductions) || 0);
+
+  const statutory = calculateStatutoryDeductions(
+    { basic: basicSalary, allowances, overtime, bonuses, annualRent: employee.annual_rent },
+    { frequency: 'monthly', date: period }
+  );
+
+  return {
+    employee_id: employee.id,
+    basic_salary: basicSalary,
+    allowances,
+    overtime,
+    bonuses,
+    gross_pay: statutory.grossPay,
+    tax_deduction: statutory.employee.paye,
+    pension_deduction: statutory.employee.pension,
+    nhf_deduction: statutory.employee.nhf,
+    other_deductions: otherDeductions,
+    net_pay: roundCurrency(statutory.netPay - otherDeductions),
+    // Employer-side statutory charges, not deducted from pay
+    employer_pension: statutory.employer.pension,
+    nsitf: statutory.employer.nsitf,
+    itf: statutory.employer.itf,
+    tax_breakdown: {
+      rateTable: statutory.rateTable,
+      reliefs: statutory.reliefs,
+      taxableIncome: statutory.taxableIncome,
+      employer: statutory.employer,
+      computation: statutory.computation,
+      ...(employee.proration ? { proration: employee.proration } : {})
+    }
+  };
+};
+
+// First day of the month after a YYYY-MM period
+const nextPeriodStart = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return month === 12 ? `${year + 1}-01-01` : `${year}-${String(month + 1).padStart(2, '0')}-01`;
+};
+
+// Active employees who have started by the end of the period, plus terminated
+// ones owed final pay up to their exit month. Salary and allowances are those
+// in force during the period, pro-rated by working day across mid-period
+// changes.
+const getPayableEmployees = async (client, companyId, period) => {
+  const result = await client.query(
+    `SELECT * FROM employees
+     WHERE company_id = $1
+       AND (status = 'active' OR (status = 'terminated' AND final_pay = true AND exit_date >= $2))
+       AND (start_date IS NULL OR start_date < $3)
+     ORDER BY id`,
+    [companyId, `${period}-01`, nextPeriodStart(period)]
+  );
+
+  const records = await getEmploymentRecords(client, companyId, result.rows.map(employee => employee.id));
+  const holidays = await getHolidays(client, companyId, `${period}-01`, addDays(nextPeriodStart(period), -1));
+  const workingDay = (date) => isWorkingDay(date, holidays);
+
+  return result.rows.map(employee => {
+    const pay = compensationForPeriod(employee, records.get(employee.id), period, workingDay);
+
+    return {
+      ...employee,
+      salary: pay.salary,
+      allowances: pay.allowances,
+      proration: pay.prorated ? pay.segments : null
+    };
+  });
+};
+
+// Recompute the run-level totals from its items; returns the updated run
+const refreshRunTotals = async (client, runId) => {
+  const result = await client.query(`
+    UPDATE payroll SET
+      employee_ids = totals.employee_ids,
+      total_amount = totals.net_pay,
+      taxes = totals.taxes,
+      deductions = totals.deductions,
+      updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT
+        COALESCE(ARRAY_AGG(employee_id ORDER BY employee_id), '{}') as employee_ids,
+        COALESCE(SUM(net_pay), 0) as net_pay,
+        COALESCE(SUM(tax_deduction), 0) as taxes,
+        COALESCE(SUM(tax_deduction + pension_deduction + nhf_deduction + other_deductions), 0) as deductions
+      FROM payroll_items WHERE payroll_id = $1
+    ) totals
+    WHERE payroll.id = $1
+    RETURNING payroll.*
+  `, [runId]);
+  return result.rows[0];
+};
+
+const insertPayrollItem = async (client, runId, item) => {
+  await client.query(
+    `INSERT INTO payroll_items (payroll_id, employee_id, basic_salary, allowances, overtime, bonuses,
+       gross_pay, tax_deduction, pension_deduction, nhf_deduction, other_deductions, net_pay,
+       employer_pension, nsitf, itf, tax_breakdown)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)`,
+    [runId, item.employee_id, item.basic_salary, item.allowances, item.overtime, item.bonuses,
+      item.gross_pay, item.tax_deduction, item.pension_deduction, item.nhf_deduction, item.other_deductions, item.net_pay,
+      item.employer_pension, item.nsitf, item.itf, JSON.stringify(item.tax_breakdown)]
+  );
+};
+
+// Dashboard statistics for the payroll page
+const getPayrollStats = async (req, res) => {
+  try {
+    const companyId = getCompanyId(req);
+    const currentMonth = new Date().toISOString().slice(0, 7);
+
+    const [employeeCount, currentRun, pendingRuns] = await Promise.all([
+      pool.query(
+        "SELECT COUNT(*) as count FROM employees WHERE company_id = $1 AND status = 'active'",
+        [companyId]
+      ),
+      pool.query(
+        'SELECT total_amount, taxes FROM payroll WHERE company_id = $1 AND period = $2',
+        [companyId, currentMonth]
+      ),
+      pool.query(
+        'SELECT COUNT(*) as count FROM payroll WHERE company_id = $1 AND status = ANY($2)',
+        [companyId, OPEN_RUN_STATUSES]
+      )
+    ]);
+
+    const run = currentRun.rows[0];
+
+    res.json({
+      totalEmployees: parseInt(employeeCount.rows[0].count),
+      monthlyPayroll: run ? parseFloat(run.total_amount) : 0,
+      pendingPayroll: parseInt(pendingRuns.rows[0].count),
+      taxLiability: run ? parseFloat(run.taxes) : 0
+    });
+  } catch (error) {
+    console.error('Error fetching payroll stats:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// List payroll runs with their aggregated figures
+const getPayrollRuns = async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT
+        p.id,
+        p.period,
+        p.status,
+        COUNT(pi.id) as employee_count,
+        COALESCE(SUM(pi.gross_pay), 0) as gross_pay,
+        COALESCE(SUM(pi.tax_deduction + pi.pension_deduction + pi.nhf_deduction + pi.other_deductions), 0) as total_deductions,
+        COALESCE(SUM(pi.net_pay), 0) as net_pay,
+        COALESCE(SUM(pi.tax_deduction), 0) as total_tax,
+        p.processed_date,
+        p.reviewed_at,
+        p.approved_at,
+        p.paid_at
+      FROM payroll p
+      LEFT JOIN payroll_items pi ON pi.payroll_id = p.id
+      WHERE p.company_id = $1
+      GROUP BY p.id
+      ORDER BY p.period DESC
+    `, [getCompanyId(req)]);
+
+    res.json(result.rows);
+  } catch (error) {
+    console.error('Error fetching payroll history:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Get one payroll run with its employee items
+const getPayrollRun = async (req, res) => {
+  try {
+    const run = await pool.query(
+      'SELECT * FROM payroll WHERE id = $1 AND company_id = $2',
+      [req.params.id, getCompanyId(req)]
+    );
+
+    if (run.rows.length === 0) {
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+
+    const items = await pool.query(`
+      SELECT pi.*, e.employee_id as employee_code, e.name as employee_name, e.department
+      FROM payroll_items pi
+      JOIN employees e ON pi.employee_id = e.id
+      WHERE pi.payroll_id = $1
+      ORDER BY e.name
+    `, [req.params.id]);
+
+    res.json({ ...run.rows[0], items: items.rows });
+  } catch (error) {
+    console.error('Error fetching payroll run:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Preview what a run for the month would cost without persisting anything
+const previewPayroll = async (req, res) => {
+  try {
+    const month = req.query.month || new Date().toISOString().slice(0, 7);
+
+    if (!PERIOD_PATTERN.test(month)) {
+      return res.status(400).json({ message: 'Month must be in YYYY-MM format' });
+    }
+
+    const employees = await getPayableEmployees(pool, getCompanyId(req), month);
+    const items = employees.map(employee => calculatePayrollItem(employee, {}, month));
+
+    const totals = items.reduce((acc, item) => {
+      acc.grossPay += item.gross_pay;
+      acc.totalDeductions += item.tax_deduction + item.pension_deduction + item.nhf_deduction + item.other_deductions;
+      acc.netPay += item.net_pay;
+      acc.taxes.paye += item.tax_deduction;
+      acc.taxes.pension += item.pension_deduction;
+      acc.taxes.nhf += item.nhf_deduction;
+      acc.taxes.employerPension += item.employer_pension;
+      acc.taxes.nsitf += item.nsitf;
+      acc.taxes.itf += item.itf;
+      return acc;
+    }, { grossPay: 0, totalDeductions: 0, netPay: 0, taxes: { paye: 0, pension: 0, nhf: 0, employerPension: 0, nsitf: 0, itf: 0 } });
+
+    Object.keys(totals.taxes).forEach(key => {
+      totals.taxes[key] = roundCurrency(totals.taxes[key]);
+    });
+
+    res.json({
+      month,
+      employeeCount: items.length,
+      grossPay: roundCurrency(totals.grossPay),
+      totalDeductions: roundCurrency(totals.totalDeductions),
+      netPay: roundCurrency(totals.netPay),
+      taxes: totals.taxes,
+      rateTable: items.length > 0 ? items[0].tax_breakdown.rateTable : null
+    });
+  } catch (error) {
+    console.error('Error calculating payroll preview:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Create (or regenerate a reopened) draft run for a month, snapshotting
+// every payable employee into payroll_items
+const processPayroll = async (req, res) => {
+  const companyId = getCompanyId(req);
+  const { month, adjustments = {} } = req.body;
+
+  if (!month || !PERIOD_PATTERN.test(month)) {
+    return res.status(400).json({ message: 'Month is required in YYYY-MM format' });
+  }
+
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    // Serialise processing of the same company/month
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`payroll:${companyId}:${month}`]);
+
+    const existing = await client.query(
+      'SELECT * FROM payroll WHERE company_id = $1 AND period = $2',
+      [companyId, month]
+    );
+
+    let runId;
+
+    if (existing.rows.length > 0) {
+      const run = existing.rows[0];
+
+      if (run.status !== 'reopened') {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          message: `Payroll for ${month} already exists with status "${run.status}". Reopen it to reprocess.`,
+          runId: run.id
+        });
+      }
+
+      runId = run.id;
+      await client.query('DELETE FROM payroll_items WHERE payroll_id = $1', [runId]);
+      await client.query(`
+        UPDATE payroll SET status = 'draft', processed_date = CURRENT_TIMESTAMP, processed_by = $2,
+          reviewed_by = NULL, reviewed_at = NULL, approved_by = NULL, approved_at = NULL
+        WHERE id = $1
+      `, [runId, req.admin.id]);
+    } else {
+      const created = await client.query(
+        "INSERT INTO payroll (company_id, period, status, processed_by) VALUES ($1, $2, 'draft', $3) RETURNING id",
+        [companyId, month, req.admin.id]
+      );
+      runId = created.rows[0].id;
+    }
+
+    const employees = await getPayableEmployees(client, companyId, month);
+
+    for (const employee of employees) {
+      await insertPayrollItem(client, runId, calculatePayrollItem(employee, adjustments[employee.id], month));
+    }
+
+    const processed = await refreshRunTotals(client, runId);
+
+    await appendAuditEntry(client, req, {
+      action: existing.rows.length > 0 ? 'payroll.reprocess' : 'payroll.process',
+      entityType: 'payroll_run',
+      entityId: runId,
+      before: existing.rows[0],
+      after: processed,
+      metadata: { period: month, employeeCount: employees.length, adjustments }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Payroll processed successfully', runId, status: 'draft', processedCount: employees.length });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Error processing payroll:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Adjust a single employee's line while the run is still a draft
+const updatePayrollItem = async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query('BEGIN');
+
+    const run = await client.query(
+      'SELECT id, status, period FROM payroll WHERE id = $1 AND company_id = $2 FOR UPDATE',
+      [req.params.id, getCompanyId(req)]
+    );
+
+    if (run.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+
+    if (run.rows[0].status !== 'draft') {
+      await client.query('ROLLBACK');
+      return res.status(409).json({ message: 'Only draft payroll runs can be adjusted' });
+    }
+
+    const current = await client.query(
+      `SELECT pi.*, e.annual_rent FROM payroll_items pi
+       JOIN employees e ON pi.employee_id = e.id
+       WHERE pi.id = $1 AND pi.payroll_id = $2`,
+      [req.params.itemId, req.params.id]
+    );
+
+    if (current.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return res.status(404).json({ message: 'Payroll item not found' });
+    }
+
+    const existingItem = current.rows[0];
+    const adjustments = {};
+    ADJUSTABLE_FIELDS.forEach(field => {
+      adjustments[field] = req.body[field] !== undefined ? req.body[field] : existingItem[field];
+    });
+
+    // The basic salary was already pro-rated when the run was processed; keep
+    // the segments so the breakdown still shows how it was worked out
+    const item = calculatePayrollItem(
+      {
+        id: existingItem.employee_id,
+        salary: existingItem.basic_salary,
+        annual_rent: existingItem.annual_rent,
+        proration: existingItem.tax_breakdown && existingItem.tax_breakdown.proration
+      },
+      adjustments,
+      run.rows[0].period
+    );
+
+    const updated = await client.query(
+      `UPDATE payroll_items SET allowances = $1, overtime = $2, bonuses = $3, gross_pay = $4,
+         tax_deduction = $5, pension_deduction = $6, nhf_deduction = $7, other_deductions = $8, net_pay = $9,
+         employer_pension = $10, nsitf = $11, itf = $12, tax_breakdown = $13
+       WHERE id = $14 RETURNING *`,
+      [item.allowances, item.overtime, item.bonuses, item.gross_pay, item.tax_deduction,
+        item.pension_deduction, item.nhf_deduction, item.other_deductions, item.net_pay,
+        item.employer_pension, item.nsitf, item.itf, JSON.stringify(item.tax_breakdown), existingItem.id]
+    );
+
+    await refreshRunTotals(client, req.params.id);
+
+    await appendAuditEntry(client, req, {
+      action: 'payroll.item_update',
+      entityType: 'payroll_item',
+      entityId: existingItem.id,
+      before: existingItem,
+      after: updated.rows[0],
+      metadata: { runId: run.rows[0].id, period: run.rows[0].period }
+    });
+
+    await client.query('COMMIT');
+
+    res.json({ message: 'Payroll item updated successfully', item: updated.rows[0] });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Error updating payroll item:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Move a run through draft -> reviewed -> approved -> paid, or reopen it
+const transitionPayrollRun = async (req, res) => {
+  const transition = RUN_TRANSITIONS[req.params.action];
+
+  if (!transition) {
+    return res.status(400).json({ message: `Unknown payroll action "${req.params.action}"` });
+  }
+
+  if (!hasPermission(req.admin, transition.permission)) {
+    return res.status(403).json({ message: `Access denied. Missing permission: ${transition.permission}` });
+  }
+
+  try {
+    const { stamp } = transition;
+    const result = await withAudit(req, async (client, audit) => {
+      const before = await client.query(
+        'SELECT * FROM payroll WHERE id = $1 AND company_id = $2 FOR UPDATE',
+        [req.params.id, getCompanyId(req)]
+      );
+
+      if (transition.requiresPaidItems && before.rows.length > 0) {
+        const unpaid = await client.query(
+          "SELECT COUNT(*) as count FROM payroll_items WHERE payroll_id = $1 AND payment_status <> 'paid'",
+          [before.rows[0].id]
+        );
+        const count = parseInt(unpaid.rows[0].count);
+
+        if (count > 0) {
+          return { unpaid: count };
+        }
+      }
+
+      const updated = await client.query(
+        `UPDATE payroll SET status = $1, ${stamp}_by = $2, ${stamp}_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND company_id = $4 AND status = ANY($5)
+         RETURNING *`,
+        [transition.to, req.admin.id, req.params.id, getCompanyId(req), transition.from]
+      );
+
+      if (updated.rows.length > 0) {
+        audit({
+          action: `payroll.${req.params.action}`,
+          entityType: 'payroll_run',
+          entityId: updated.rows[0].id,
+          before: before.rows[0],
+          after: updated.rows[0]
+        });
+      }
+
+      return updated;
+    });
+
+    if (result.unpaid) {
+      return res.status(409).json({
+        message: `${result.unpaid} payment(s) in this run have not been made. Pay them from banking first.`
+      });
+    }
+
+    if (result.rows.length === 0) {
+      const run = await pool.query(
+        'SELECT status FROM payroll WHERE id = $1 AND company_id = $2',
+        [req.params.id, getCompanyId(req)]
+      );
+
+      if (run.rows.length === 0) {
+        return res.status(404).json({ message: 'Payroll run not found' });
+      }
+
+      return res.status(409).json({
+        message: `Cannot ${req.params.action} a payroll run with status "${run.rows[0].status}"`
+      });
+    }
+
+    res.json({ message: `Payroll run ${transition.to}`, run: result.rows[0] });
+  } catch (error) {
+    console.error('Error updating payroll run status:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Move approved runs among `runIds` whose items have all been paid out to
+// paid; returns the runs moved
+const settlePaidRuns = (req, runIds) => withAudit(req, async (client, audit) => {
+  const before = await client.query(
+    `SELECT * FROM payroll p
+     WHERE p.id = ANY($1::int[]) AND p.company_id = $2 AND p.status = 'approved'
+       AND p.id NOT IN (SELECT payroll_id FROM payroll_items WHERE payroll_id = ANY($1::int[]) AND payment_status <> 'paid')
+     FOR UPDATE`,
+    [runIds, getCompanyId(req)]
+  );
+  const settled = [];
+
+  for (const run of before.rows) {
+    const updated = await client.query(
+      `UPDATE payroll SET status = 'paid', paid_by = $1, paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2 RETURNING *`,
+      [req.admin.id, run.id]
+    );
+    audit({ action: 'payroll.pay', entityType: 'payroll_run', entityId: run.id, before: run, after: updated.rows[0] });
+    settled.push(updated.rows[0]);
+  }
+
+  return settled;
+});
+
+module.exports = {
+  RUN_TRANSITIONS,
+  settlePaidRuns,
+  calculatePayrollItem,
+  getPayrollStats,
+  getPayrollRuns,
+  getPayrollRun,
+  previewPayroll,
+  processPayroll,
+  updatePayrollItem,
+  transitionPayrollRun
+};
@@ -0,0 +1,363 @@
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { decryptJson, maskAccountNumber } = require('./encryption');
+
+// Payslips are only issued once a run has been signed off
+const ISSUED_RUN_STATUSES = ['approved', 'paid'];
+
+const PAYSLIP_QUERY = `
+  SELECT pi.*, p.period, p.status as run_status, p.company_id,
+    e.employee_id as employee_code, e.name as employee_name, e.email as employee_email,
+    e.department, e.position, e.tin, e.bank_details,
+    c.name as company_name, c.address as company_address, c.email as company_email, c.phone as company_phone
+  FROM payroll_items pi
+  JOIN payroll p ON pi.payroll_id = p.id
+  JOIN employees e ON pi.employee_id = e.id
+  LEFT JOIN companies c ON p.company_id = c.id
+`;
+
+const amount = (value) => parseFloat(value) || 0;
+
+const formatMoney = (value) => `NGN ${amount(value).toLocaleString('en-NG', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatPeriod = (period) => {
+  const [year, month] = period.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, 1)).toLocaleString('en-GB', { month: 'long', year: 'numeric', timeZone: 'UTC' });
+};
+
+// Year-to-date totals for an employee up to and including a period,
+// counting only runs that have been issued
+const getYearToDate = async (db, item) => {
+  const year = item.period.slice(0, 4);
+  const result = await db.query(`
+    SELECT
+      COALESCE(SUM(pi.gross_pay), 0) as gross_pay,
+      COALESCE(SUM(pi.tax_deduction), 0) as tax_deduction,
+      COALESCE(SUM(pi.pension_deduction), 0) as pension_deduction,
+      COALESCE(SUM(pi.nhf_deduction), 0) as nhf_deduction,
+      COALESCE(SUM(pi.other_deductions), 0) as other_deductions,
+      COALESCE(SUM(pi.net_pay), 0) as net_pay
+    FROM payroll_items pi
+    JOIN payroll p ON pi.payroll_id = p.id
+    WHERE pi.employee_id = $1
+      AND p.company_id = $2
+      AND p.period BETWEEN $3 AND $4
+      AND (p.status = ANY($5) OR p.id = $6)
+  `, [item.employee_id, item.company_id, `${year}-01`, item.period, ISSUED_RUN_STATUSES, item.payroll_id]);
+
+  const totals = result.rows[0];
+  Object.keys(totals).forEach(key => {
+    totals[key] = amount(totals[key]);
+  });
+  return totals;
+};
+
+// Shape a payroll item row into the payslip structure used by the API and PDF
+const buildPayslip = async (db, item) => {
+  const breakdown = item.tax_breakdown || {};
+  const bankDetails = decryptJson(item.bank_details) || {};
+
+  return {
+    id: item.id,
+    runId: item.payroll_id,
+    period: item.period,
+    periodLabel: formatPeriod(item.period),
+    status: item.run_status,
+    employer: {
+      name: item.company_name || process.env.COMPANY_NAME || 'Employer',
+      address: item.company_address || process.env.COMPANY_ADDRESS || null,
+      email: item.company_email || null,
+      phone: item.company_phone || null
+    },
+    employee: {
+      id: item.employee_code,
+      name: item.employee_name,
+      email: item.employee_email,
+      department: item.department,
+      position: item.position,
+      tin: item.tin,
+      bankName: bankDetails.bank_name || null,
+      accountNumber: maskAccountNumber(bankDetails.account_number)
+    },
+    earnings: [
+      { label: 'Basic salary', amount: amount(item.basic_salary) },
+      { label: 'Allowances', amount: amount(item.allowances) },
+      { label: 'Overtime', amount: amount(item.overtime) },
+      { label: 'Bonuses', amount: amount(item.bonuses) }
+    ],
+    deductions: [
+      { label: 'PAYE tax', amount: amount(item.tax_deduction) },
+      { label: 'Pension (employee)', amount: amount(item.pension_deduction) },
+      { label: 'National Housing Fund', amount: amount(item.nhf_deduction) },
+      { label: 'Other deductions', amount: amount(item.other_deductions) }
+    ],
+    employerContributions: [
+      { label: 'Pension (employer)', amount: amount(item.employer_pension) },
+      { label: 'NSITF', amount: amount(item.nsitf) },
+      { label: 'ITF', amount: amount(item.itf) }
+    ],
+    grossPay: amount(item.gross_pay),
+    totalDeductions: amount(item.tax_deduction) + amount(item.pension_deduction) +
+      amount(item.nhf_deduction) + amount(item.other_deductions),
+    netPay: amount(item.net_pay),
+    rateTable: breakdown.rateTable ? breakdown.rateTable.name : null,
+    yearToDate: await getYearToDate(db, item)
+  };
+};
+
+const drawRows = (doc, title, rows, total) => {
+  doc.moveDown(0.8).font('Helvetica-Bold').fontSize(11).text(title);
+  doc.font('Helvetica').fontSize(10);
+
+  rows.forEach(row => {
+    const y = doc.y + 4;
+    doc.text(row.label, 50, y).text(formatMoney(row.amount), 350, y, { width: 195, align: 'right' });
+  });
+
+  if (total) {
+    const y = doc.y + 6;
+    doc.font('Helvetica-Bold')
+      .text(total.label, 50, y)
+      .text(formatMoney(total.amount), 350, y, { width: 195, align: 'right' })
+      .font('Helvetica');
+  }
+};
+
+// Render a payslip to a PDF buffer
+const renderPayslipPdf = (payslip) => {
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const { employer, employee, yearToDate } = payslip;
+
+    doc.font('Helvetica-Bold').fontSize(16).text(employer.name);
+    doc.font('Helvetica').fontSize(9);
+    [employer.address, employer.email, employer.phone].filter(Boolean).forEach(line => doc.text(line));
+
+    doc.moveDown().font('Helvetica-Bold').fontSize(14).text(`Payslip - ${payslip.periodLabel}`);
+    doc.font('Helvetica').fontSize(10).moveDown(0.5);
+
+    [
+      ['Employee', `${employee.name} (${employee.id})`],
+      ['Department', employee.department],
+      ['Position', employee.position],
+      ['Tax ID (TIN)', employee.tin],
+      ['Bank', employee.bankName && `${employee.bankName} ${employee.accountNumber || ''}`.trim()]
+    ].filter(([, value]) => value).forEach(([label, value]) => doc.text(`${label}: ${value}`));
+
+    drawRows(doc, 'Earnings', payslip.earnings, { label: 'Gross pay', amount: payslip.grossPay });
+    drawRows(doc, 'Deductions', payslip.deductions, { label: 'Total deductions', amount: payslip.totalDeductions });
+
+    doc.moveDown().font('Helvetica-Bold').fontSize(13)
+      .text(`Net pay: ${formatMoney(payslip.netPay)}`, 50, doc.y, { width: 495, align: 'right' });
+
+    drawRows(doc, 'Year to date', [
+      { label: 'Gross pay', amount: yearToDate.gross_pay },
+      { label: 'PAYE tax', amount: yearToDate.tax_deduction },
+      { label: 'Pension (employee)', amount: yearToDate.pension_deduction },
+      { label: 'National Housing Fund', amount: yearToDate.nhf_deduction },
+      { label: 'Other deductions', amount: yearToDate.other_deductions },
+      { label: 'Net pay', amount: yearToDate.net_pay }
+    ]);
+
+    drawRows(doc, 'Employer contributions (not deducted from pay)', payslip.employerContributions);
+
+    if (payslip.rateTable) {
+      doc.moveDown(1.5).fontSize(8).fillColor('#666666')
+        .text(`Statutory deductions computed under ${payslip.rateTable}.`, 50);
+    }
+
+    doc.end();
+  });
+};
+
+const payslipFileName = (payslip) => `payslip-${payslip.period}-${payslip.employee.id}.pdf`;
+
+const sendPayslipPdf = async (res, payslip) => {
+  const pdf = await renderPayslipPdf(payslip);
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${payslipFileName(payslip)}"`);
+  res.send(pdf);
+};
+
+// Find an issued run for the company: the requested one, or the latest
+const findIssuedRun = async (companyId, runId) => {
+  const result = runId
+    ? await pool.query(
+      'SELECT id, period, status FROM payroll WHERE id = $1 AND company_id = $2',
+      [runId, companyId]
+    )
+    : await pool.query(
+      'SELECT id, period, status FROM payroll WHERE company_id = $1 AND status = ANY($2) ORDER BY period DESC LIMIT 1',
+      [companyId, ISSUED_RUN_STATUSES]
+    );
+
+  return result.rows[0];
+};
+
+// Generate payslips for a run (the latest issued run if none is given) and
+// return their summaries plus the bulk download link
+const generatePayslips = async (req, res) => {
+  try {
+    const run = await findIssuedRun(getCompanyId(req), req.body.runId);
+
+    if (!run) {
+      return res.status(404).json({ message: 'No approved payroll run found' });
+    }
+
+    if (!ISSUED_RUN_STATUSES.includes(run.status)) {
+      return res.status(409).json({ message: `Payslips cannot be issued for a run with status "${run.status}"` });
+    }
+
+    const items = await pool.query(`${PAYSLIP_QUERY} WHERE pi.payroll_id = $1 ORDER BY e.name`, [run.id]);
+    const payslips = [];
+
+    for (const item of items.rows) {
+      const payslip = await buildPayslip(pool, item);
+      payslips.push({
+        id: payslip.id,
+        employee: payslip.employee.name,
+        employeeId: payslip.employee.id,
+        grossPay: payslip.grossPay,
+        netPay: payslip.netPay
+      });
+    }
+
+    res.json({
+      message: 'Payslips generated successfully',
+      runId: run.id,
+      period: run.period,
+      count: payslips.length,
+      payslips,
+      downloadUrl: `/api/payroll/runs/${run.id}/payslips.zip`
+    });
+  } catch (error) {
+    console.error('Error generating payslips:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Download every payslip in a run as a zip of PDFs
+const downloadRunPayslips = async (req, res) => {
+  try {
+    const run = await findIssuedRun(getCompanyId(req), req.params.id);
+
+    if (!run) {
+      return res.status(404).json({ message: 'Payroll run not found' });
+    }
+
+    if (!ISSUED_RUN_STATUSES.includes(run.status)) {
+      return res.status(409).json({ message: `Payslips cannot be issued for a run with status "${run.status}"` });
+    }
+
+    const items = await pool.query(`${PAYSLIP_QUERY} WHERE pi.payroll_id = $1 ORDER BY e.name`, [run.id]);
+    const files = [];
+
+    for (const item of items.rows) {
+      const payslip = await buildPayslip(pool, item);
+      files.push({ name: payslipFileName(payslip), pdf: await renderPayslipPdf(payslip) });
+    }
+
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', `attachment; filename="payslips-${run.period}.zip"`);
+
+    const archive = archiver('zip');
+    archive.on('error', error => {
+      console.error('Error zipping payslips:', error);
+      res.destroy(error);
+    });
+    archive.pipe(res);
+    files.forEach(file => archive.append(file.pdf, { name: file.name }));
+    await archive.finalize();
+  } catch (error) {
+    console.error('Error downloading payslips:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Download one employee's payslip from a run
+const downloadPayslip = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${PAYSLIP_QUERY} WHERE pi.id = $1 AND pi.payroll_id = $2 AND p.company_id = $3`,
+      [req.params.itemId, req.params.id, getCompanyId(req)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Payslip not found' });
+    }
+
+    if (!ISSUED_RUN_STATUSES.includes(result.rows[0].run_status)) {
+      return res.status(409).json({ message: `Payslips cannot be issued for a run with status "${result.rows[0].run_status}"` });
+    }
+
+    await sendPayslipPdf(res, await buildPayslip(pool, result.rows[0]));
+  } catch (error) {
+    console.error('Error downloading payslip:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// List the logged-in employee's issued payslips, newest first
+const getEmployeePayslips = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const result = await pool.query(
+      `${PAYSLIP_QUERY} WHERE e.employee_id = $1 AND e.company_id = $2 AND p.status = ANY($3) ORDER BY p.period DESC`,
+      [req.session.employeeId, req.session.companyId, ISSUED_RUN_STATUSES]
+    );
+
+    const payslips = [];
+    for (const item of result.rows) {
+      payslips.push(await buildPayslip(pool, item));
+    }
+
+    res.json(payslips);
+  } catch (error) {
+    console.error('Employee payslips error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Download one of the logged-in employee's payslips
+const downloadEmployeePayslip = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const result = await pool.query(
+      `${PAYSLIP_QUERY} WHERE pi.id = $1 AND e.employee_id = $2 AND e.company_id = $3 AND p.status = ANY($4)`,
+      [req.params.id, req.session.employeeId, req.session.companyId, ISSUED_RUN_STATUSES]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ message: 'Payslip not found' });
+    }
+
+    await sendPayslipPdf(res, await buildPayslip(pool, result.rows[0]));
+  } catch (error) {
+    console.error('Employee payslip download error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  buildPayslip,
+  renderPayslipPdf,
+  generatePayslips,
+  downloadRunPayslips,
+  downloadPayslip,
+  getEmployeePayslips,
+  downloadEmployeePayslip
+};
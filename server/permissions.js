@@ -0,0 +1,130 @@
+// Role and permission model for company users.
+//
+// A user's effective permissions are those of their role plus any extra
+// grants stored in company_users.permissions. Routes declare what they need
+// with requirePermission(). Roles with `scope: 'reports'` only reach leave,
+// performance and attendance records of their direct and indirect reports
+// (see org.js).
+
+const PERMISSIONS = {
+  'users:manage': 'Create users and assign roles',
+  'security:read': 'View sign-in history and failed logins',
+  'audit:read': 'View, export and verify the audit log',
+  'employees:read': 'View employee records',
+  'employees:write': 'Create and update employees, run onboarding',
+  'employees:read_salary': 'View employee salaries',
+  'employees:read_bank_details': 'View full employee bank account numbers',
+  'leave:read': 'View leave requests',
+  'leave:approve': 'Approve and reject leave requests',
+  'leave:configure': 'Configure the leave approval chain',
+  'attendance:read': 'View attendance and timesheets',
+  'attendance:approve': 'Request, approve and reject attendance corrections',
+  'attendance:configure': 'Set the work schedule',
+  'jobs:read': 'View job postings',
+  'jobs:write': 'Create and update job postings',
+  'candidates:read': 'View candidates and interviews',
+  'candidates:write': 'Manage candidates, interviews and background checks',
+  'payroll:read': 'View payroll runs, payments and bank connections',
+  'payroll:process': 'Process and review payroll runs',
+  'payroll:approve': 'Approve and reopen payroll runs',
+  'payroll:pay': 'Pay approved runs and manage bank connections',
+  'performance:read': 'View goals, reviews and training',
+  'performance:write': 'Manage goals, reviews and training',
+  'compliance:read': 'View policies, documents and compliance reports',
+  'compliance:write': 'Manage policies and documents, generate reports',
+  'reports:read': 'View analytics and tax reports'
+};
+
+const ROLES = {
+  owner: {
+    name: 'Owner',
+    permissions: Object.keys(PERMISSIONS)
+  },
+  hr_manager: {
+    name: 'HR Manager',
+    permissions: [
+      'employees:read', 'employees:write', 'employees:read_salary',
+      'leave:read', 'leave:approve', 'leave:configure',
+      'attendance:read', 'attendance:approve', 'attendance:configure',
+      'jobs:read', 'jobs:write', 'candidates:read', 'candidates:write',
+      'payroll:read', 'payroll:approve',
+      'performance:read', 'performance:write',
+      'compliance:read', 'compliance:write',
+      'reports:read'
+    ]
+  },
+  payroll_officer: {
+    name: 'Payroll Officer',
+    permissions: [
+      'employees:read', 'employees:read_salary', 'employees:read_bank_details',
+      'attendance:read',
+      'payroll:read', 'payroll:process', 'payroll:pay',
+      'reports:read'
+    ]
+  },
+  recruiter: {
+    name: 'Recruiter',
+    permissions: ['jobs:read', 'jobs:write', 'candidates:read', 'candidates:write']
+  },
+  line_manager: {
+    name: 'Line Manager',
+    permissions: [
+      'employees:read', 'leave:read', 'leave:approve', 'attendance:read', 'attendance:approve',
+      'performance:read', 'performance:write', 'compliance:read'
+    ],
+    scope: 'reports'
+  }
+};
+
+// Effective permissions of a company user row
+const getPermissions = (user) => {
+  const role = ROLES[user.role];
+  const granted = Array.isArray(user.permissions) ? user.permissions : [];
+
+  return [...new Set([...(role ? role.permissions : []), ...granted])]
+    .filter(permission => PERMISSIONS[permission]);
+};
+
+// Expects req.admin as resolved by authenticateAdmin
+const hasPermission = (admin, permission) => {
+  return Boolean(admin && admin.permissions && admin.permissions.includes(permission));
+};
+
+// Whether the user only reaches their own reports' leave, performance and
+// attendance
+const isReportScoped = (admin) => {
+  const role = admin && ROLES[admin.role];
+  return Boolean(role && role.scope === 'reports');
+};
+
+// Reject the request unless the user holds every listed permission
+const requirePermission = (...permissions) => {
+  return (req, res, next) => {
+    const missing = permissions.filter(permission => !hasPermission(req.admin, permission));
+
+    if (missing.length > 0) {
+      return res.status(403).json({ error: `Access denied. Missing permission: ${missing.join(', ')}` });
+    }
+
+    next();
+  };
+};
+
+// Drop salary figures from employee rows the user may not see
+const redactSalaries = (admin, employees) => {
+  if (hasPermission(admin, 'employees:read_salary')) {
+    return employees;
+  }
+
+  return employees.map(({ salary, ...employee }) => employee);
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  getPermissions,
+  hasPermission,
+  isReportScoped,
+  requirePermission,
+  redactSalaries
+};
@@ -0,0 +1,362 @@
+const bcrypt = require('bcryptjs');
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { isValidPassword } = require('./validation');
+const { sendMail, getAppUrl } = require('./mailer');
+const { PASSWORD_RESET_TTL_MINUTES, hashToken, createResetToken } = require('./auth');
+const { startSession, revokeUserSessions } = require('./sessions');
+const { checkLoginAllowed, rejectLogin, recordLoginFailure, recordLoginSuccess } = require('./throttle');
+
+// Employee portal accounts (employee_self_service). HR invites an employee,
+// the employee picks a username and password from the emailed activation
+// link, and can later reset the password by email.
+
+// Activation links stay valid for a week
+const ACTIVATION_TTL_MINUTES = 7 * 24 * 60;
+
+const USERNAME_PATTERN = /^[a-zA-Z0-9._-]{3,50}$/;
+
+const PASSWORD_RULE_MESSAGE = 'Password must be at least 8 characters with uppercase, lowercase, and number';
+
+// Create or refresh the portal account for an employee and email the
+// activation link. Returns false if the account is already active.
+const sendEmployeeInvite = async (db, employee, invitedBy) => {
+  const existing = await db.query(
+    'SELECT activated_at FROM employee_self_service WHERE employee_id = $1',
+    [employee.id]
+  );
+
+  if (existing.rows.length > 0 && existing.rows[0].activated_at) {
+    return false;
+  }
+
+  const { token, hash, expires } = createResetToken(ACTIVATION_TTL_MINUTES);
+
+  // A new invite replaces any earlier, unused activation link
+  await db.query(
+    `INSERT INTO employee_self_service (employee_id, activation_token, activation_expires, invited_by, invited_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+     ON CONFLICT (employee_id) DO UPDATE SET
+       activation_token = EXCLUDED.activation_token,
+       activation_expires = EXCLUDED.activation_expires,
+       invited_by = EXCLUDED.invited_by,
+       invited_at = EXCLUDED.invited_at`,
+    [employee.id, hash, expires, invitedBy]
+  );
+
+  await sendMail({
+    to: employee.email,
+    subject: `Activate your ${employee.company_name || 'employee'} portal account`,
+    text: `Hello ${employee.name},\n\n` +
+      'You have been invited to the employee portal, where you can view your payslips and request leave. ' +
+      'Open the link below to choose your username and password:\n\n' +
+      `${getAppUrl()}/employee/activate?token=${token}\n\n` +
+      'The link expires in 7 days. Ask HR for a new invite if it has expired.'
+  });
+
+  return true;
+};
+
+// HR: invite an employee to the portal
+const inviteEmployee = async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT e.id, e.name, e.email, e.status, c.name as company_name
+       FROM employees e
+       LEFT JOIN companies c ON e.company_id = c.id
+       WHERE e.id = $1 AND e.company_id = $2`,
+      [req.params.id, getCompanyId(req)]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Employee not found' });
+    }
+
+    const employee = result.rows[0];
+
+    if (employee.status === 'terminated') {
+      return res.status(409).json({ error: 'Terminated employees cannot be invited to the portal' });
+    }
+
+    if (!employee.email) {
+      return res.status(400).json({ error: 'Employee has no email address' });
+    }
+
+    if (!(await sendEmployeeInvite(pool, employee, req.admin.id))) {
+      return res.status(409).json({ error: 'Employee has already activated their portal account' });
+    }
+
+    res.json({ success: true, message: `Invitation sent to ${employee.email}` });
+  } catch (error) {
+    console.error('Error inviting employee:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Find a pending invite by its emailed token
+const findInvite = async (token) => {
+  const result = await pool.query(
+    `SELECT ess.id, e.name, e.email
+     FROM employee_self_service ess
+     JOIN employees e ON ess.employee_id = e.id
+     WHERE ess.activation_token = $1 AND ess.activation_expires > CURRENT_TIMESTAMP
+       AND ess.activated_at IS NULL`,
+    [hashToken(String(token || ''))]
+  );
+
+  return result.rows[0] || null;
+};
+
+// Check an activation link and show who it is for
+const checkActivationToken = async (req, res) => {
+  try {
+    const invite = await findInvite(req.query.token);
+
+    if (!invite) {
+      return res.status(400).json({ message: 'This activation link is invalid or has expired' });
+    }
+
+    res.json({ name: invite.name, email: invite.email });
+  } catch (error) {
+    console.error('Check activation token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// First login: choose a username and password with the activation token
+const activateAccount = async (req, res) => {
+  try {
+    const { token, username, password } = req.body;
+
+    if (!token || !username || !password) {
+      return res.status(400).json({ message: 'Token, username and password are required' });
+    }
+
+    if (!USERNAME_PATTERN.test(username)) {
+      return res.status(400).json({ message: 'Username must be 3-50 letters, numbers, dots, dashes or underscores' });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ message: PASSWORD_RULE_MESSAGE });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const result = await pool.query(
+      `UPDATE employee_self_service
+       SET username = $1, password_hash = $2, activation_token = NULL, activation_expires = NULL,
+         activated_at = CURRENT_TIMESTAMP
+       WHERE activation_token = $3 AND activation_expires > CURRENT_TIMESTAMP AND activated_at IS NULL
+       RETURNING id`,
+      [username, hashedPassword, hashToken(String(token))]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'This activation link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Account activated. You can now sign in.' });
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({ message: 'This username is already taken' });
+    }
+
+    console.error('Activate account error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const loginEmployee = async (req, res) => {
+  const { username, password } = req.body;
+
+  if (!username || !password) {
+    return res.status(400).json({ message: 'Username and password are required' });
+  }
+
+  try {
+    const attempt = { userType: 'employee', username, req };
+
+    const result = await pool.query(
+      `SELECT ess.id as account_id, ess.password_hash, ess.disabled_at, e.employee_id, e.company_id, e.name, e.email, e.department, e.position
+       FROM employee_self_service ess
+       JOIN employees e ON ess.employee_id = e.id
+       WHERE ess.username = $1 AND ess.activated_at IS NOT NULL`,
+      [username]
+    );
+
+    const employee = result.rows[0] || null;
+    if (employee) {
+      Object.assign(attempt, { employeeAccountId: employee.account_id, companyId: employee.company_id });
+    }
+
+    const block = await checkLoginAllowed(attempt);
+    if (block) {
+      return rejectLogin(res, block, attempt, 'message');
+    }
+
+    if (!employee) {
+      await recordLoginFailure({ ...attempt, reason: 'unknown_user' });
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    const isValid = await bcrypt.compare(password, employee.password_hash);
+
+    if (!isValid) {
+      await recordLoginFailure({ ...attempt, reason: 'invalid_password' }, employee);
+      return res.status(401).json({ message: 'Invalid credentials' });
+    }
+
+    // Disabled when the employee was terminated
+    if (employee.disabled_at) {
+      await recordLoginFailure({ ...attempt, reason: 'account_disabled' });
+      return res.status(403).json({ message: 'This portal account has been disabled. Please contact HR.' });
+    }
+
+    await recordLoginSuccess(attempt, employee);
+
+    // Update last login
+    await pool.query(
+      'UPDATE employee_self_service SET last_login = CURRENT_TIMESTAMP WHERE id = $1',
+      [employee.account_id]
+    );
+
+    // Set session
+    startSession(req, {
+      employeeId: employee.employee_id,
+      employeeRole: 'employee',
+      companyId: employee.company_id
+    });
+
+    res.json({
+      message: 'Login successful',
+      employee: {
+        id: employee.employee_id,
+        name: employee.name,
+        email: employee.email,
+        department: employee.department,
+        position: employee.position
+      }
+    });
+  } catch (error) {
+    console.error('Employee login error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Email a password reset link; same response whether or not the account exists
+const requestEmployeePasswordReset = async (req, res) => {
+  try {
+    const { username } = req.body;
+
+    if (!username) {
+      return res.status(400).json({ message: 'Username is required' });
+    }
+
+    const result = await pool.query(
+      `SELECT ess.id, ess.username, e.name, e.email
+       FROM employee_self_service ess
+       JOIN employees e ON ess.employee_id = e.id
+       WHERE (ess.username = $1 OR e.email = $1) AND ess.activated_at IS NOT NULL AND ess.disabled_at IS NULL`,
+      [username]
+    );
+
+    for (const account of result.rows) {
+      const { token, hash, expires } = createResetToken();
+
+      await pool.query(
+        'UPDATE employee_self_service SET password_reset_token = $1, password_reset_expires = $2 WHERE id = $3',
+        [hash, expires, account.id]
+      );
+
+      try {
+        await sendMail({
+          to: account.email,
+          subject: 'Reset your employee portal password',
+          text: `Hello ${account.name},\n\n` +
+            `A password reset was requested for the employee portal account "${account.username}". ` +
+            `Open the link below within ${PASSWORD_RESET_TTL_MINUTES} minutes to choose a new password:\n\n` +
+            `${getAppUrl()}/employee/reset-password?token=${token}\n\n` +
+            "If you didn't request this, you can ignore this email."
+        });
+      } catch (mailError) {
+        console.error('Employee password reset email error:', mailError);
+      }
+    }
+
+    res.json({ message: 'If the account exists, password reset instructions have been sent.' });
+  } catch (error) {
+    console.error('Employee forgot password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+const checkEmployeeResetToken = async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT id FROM employee_self_service WHERE password_reset_token = $1 AND password_reset_expires > CURRENT_TIMESTAMP',
+      [hashToken(String(req.query.token || ''))]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    res.json({ message: 'Reset link is valid' });
+  } catch (error) {
+    console.error('Check employee reset token error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Set a new password with a reset token; the token is consumed
+const resetEmployeePassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({ message: 'Token and password are required' });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({ message: PASSWORD_RULE_MESSAGE });
+    }
+
+    const hashedPassword = await bcrypt.hash(password, 10);
+
+    const result = await pool.query(
+      `UPDATE employee_self_service ess
+       SET password_hash = $1, password_reset_token = NULL, password_reset_expires = NULL
+       FROM employees e
+       WHERE ess.employee_id = e.id AND ess.password_reset_token = $2 AND ess.password_reset_expires > CURRENT_TIMESTAMP
+         AND ess.disabled_at IS NULL
+       RETURNING e.employee_id, e.company_id`,
+      [hashedPassword, hashToken(String(token))]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(400).json({ message: 'This reset link is invalid or has expired' });
+    }
+
+    // Sign out every session that used the old password
+    await revokeUserSessions(pool, {
+      employeeId: result.rows[0].employee_id,
+      companyId: result.rows[0].company_id
+    });
+
+    res.json({ message: 'Password has been reset. You can now sign in.' });
+  } catch (error) {
+    console.error('Employee reset password error:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  sendEmployeeInvite,
+  inviteEmployee,
+  checkActivationToken,
+  activateAccount,
+  loginEmployee,
+  requestEmployeePasswordReset,
+  checkEmployeeResetToken,
+  resetEmployeePassword
+};
@@ -0,0 +1,66 @@
+// Encryption key rotation CLI
+//   node rotate-keys.js    re-wrap every encrypted value with the current key
+//
+// Put the new key first in ENCRYPTION_KEYS, keep the old ones after it, run
+// this, then drop the old keys.
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+// Values encrypted with the public development key could be read by anyone
+if (process.env.NODE_ENV === 'production' && !process.env.ENCRYPTION_KEYS) {
+  console.error('Refusing to rotate keys in production without ENCRYPTION_KEYS set');
+  process.exit(1);
+}
+
+const { pool } = require('./database');
+const { ENCRYPTED_COLUMNS, getKeys, needsRewrap, rewrap } = require('./encryption');
+
+const BATCH_SIZE = 500;
+
+const rotateTable = async (table, columns) => {
+  let lastId = 0;
+  let rewrapped = 0;
+
+  for (;;) {
+    const batch = await pool.query(
+      `SELECT id, ${columns.join(', ')} FROM ${table} WHERE id > $1 ORDER BY id LIMIT $2`,
+      [lastId, BATCH_SIZE]
+    );
+
+    for (const row of batch.rows) {
+      const stale = columns.filter(column => needsRewrap(row[column]));
+
+      if (stale.length > 0) {
+        await pool.query(
+          `UPDATE ${table} SET ${stale.map((column, index) => `${column} = $${index + 1}`).join(', ')} WHERE id = $${stale.length + 1}`,
+          [...stale.map(column => rewrap(row[column])), row.id]
+        );
+        rewrapped++;
+      }
+
+      lastId = row.id;
+    }
+
+    if (batch.rows.length < BATCH_SIZE) {
+      return rewrapped;
+    }
+  }
+};
+
+const run = async () => {
+  const { current } = getKeys();
+
+  for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+    const rewrapped = await rotateTable(table, columns);
+    console.log(`${table}: ${rewrapped} row(s) re-wrapped with key "${current.id}"`);
+  }
+};
+
+run()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error(error.message);
+    await pool.end();
+    process.exit(1);
+  });
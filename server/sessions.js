@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const session = require('express-session');
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+
+// express-session store backed by the sessions (sid, sess, expire) table.
+// Logins record who the session belongs to (adminId or employeeId, plus
+// companyId) so sessions can be listed and revoked per user.
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+
+// How often expired rows are deleted
+const PRUNE_INTERVAL_MS = 15 * 60 * 1000;
+
+const getExpiry = (sess) => {
+  return sess && sess.cookie && sess.cookie.expires
+    ? new Date(sess.cookie.expires)
+    : new Date(Date.now() + DEFAULT_TTL_MS);
+};
+
+class PgSessionStore extends session.Store {
+  constructor(options = {}) {
+    super();
+    this.pool = options.pool || pool;
+    this.pruneTimer = null;
+
+    if (options.pruneInterval !== false) {
+      this.startPruning(options.pruneInterval || PRUNE_INTERVAL_MS);
+    }
+  }
+
+  get(sid, callback) {
+    this.pool.query('SELECT sess FROM sessions WHERE sid = $1 AND expire > CURRENT_TIMESTAMP', [sid])
+      .then(result => callback(null, result.rows.length > 0 ? result.rows[0].sess : null))
+      .catch(callback);
+  }
+
+  set(sid, sess, callback = () => {}) {
+    this.pool.query(
+      `INSERT INTO sessions (sid, sess, expire) VALUES ($1, $2, $3)
+       ON CONFLICT (sid) DO UPDATE SET sess = EXCLUDED.sess, expire = EXCLUDED.expire`,
+      [sid, JSON.stringify(sess), getExpiry(sess)]
+    )
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  touch(sid, sess, callback = () => {}) {
+    this.pool.query('UPDATE sessions SET expire = $1 WHERE sid = $2', [getExpiry(sess), sid])
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  destroy(sid, callback = () => {}) {
+    this.pool.query('DELETE FROM sessions WHERE sid = $1', [sid])
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  length(callback) {
+    this.pool.query('SELECT COUNT(*) as count FROM sessions WHERE expire > CURRENT_TIMESTAMP')
+      .then(result => callback(null, parseInt(result.rows[0].count)))
+      .catch(callback);
+  }
+
+  clear(callback = () => {}) {
+    this.pool.query('DELETE FROM sessions')
+      .then(() => callback(null))
+      .catch(callback);
+  }
+
+  async pruneExpired() {
+    const result = await this.pool.query('DELETE FROM sessions WHERE expire <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
+
+  startPruning(interval) {
+    this.stopPruning();
+    this.pruneTimer = setInterval(() => {
+      this.pruneExpired().catch(error => console.error('Session prune error:', error));
+    }, interval);
+    // Don't keep the process alive just to prune
+    this.pruneTimer.unref();
+  }
+
+  stopPruning() {
+    if (this.pruneTimer) {
+      clearInterval(this.pruneTimer);
+      this.pruneTimer = null;
+    }
+  }
+}
+
+// Record who a session belongs to and where it was opened from
+const startSession = (req, fields) => {
+  Object.assign(req.session, fields, {
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip,
+    loginAt: new Date().toISOString()
+  });
+};
+
+// Sign a user out everywhere, e.g. after a password reset
+const revokeUserSessions = async (db, user) => {
+  if (user.adminId) {
+    await db.query("DELETE FROM sessions WHERE sess->>'adminId' = $1", [String(user.adminId)]);
+  } else {
+    await db.query(
+      "DELETE FROM sessions WHERE sess->>'employeeId' = $1 AND sess->>'companyId' = $2",
+      [String(user.employeeId), String(user.companyId)]
+    );
+  }
+};
+
+// Sessions are listed by an opaque id so the cookie's sid is never exposed
+const getSessionKey = (sid) => crypto.createHash('sha256').update(sid).digest('hex').slice(0, 32);
+
+const describeSession = (row, currentSid) => ({
+  id: getSessionKey(row.sid),
+  userAgent: row.sess.userAgent || null,
+  ip: row.sess.ip || null,
+  loginAt: row.sess.loginAt || null,
+  expiresAt: row.expire,
+  current: row.sid === currentSid
+});
+
+const findCompanySessions = async (companyId) => {
+  const result = await pool.query(
+    `SELECT sid, sess, expire FROM sessions
+     WHERE expire > CURRENT_TIMESTAMP AND sess->>'companyId' = $1
+     ORDER BY expire DESC`,
+    [String(companyId)]
+  );
+  return result.rows;
+};
+
+const findEmployeeSessions = async (req) => {
+  const result = await pool.query(
+    `SELECT sid, sess, expire FROM sessions
+     WHERE expire > CURRENT_TIMESTAMP AND sess->>'employeeId' = $1 AND sess->>'companyId' = $2
+     ORDER BY expire DESC`,
+    [String(req.session.employeeId), String(req.session.companyId)]
+  );
+  return result.rows;
+};
+
+// HR: active sessions of every HR user and employee in the company.
+// ?userType=admin|employee&userId=... narrows the list to one user.
+const getCompanySessions = async (req, res) => {
+  try {
+    const { userType, userId } = req.query;
+    const rows = await findCompanySessions(getCompanyId(req));
+
+    const [users, employees] = await Promise.all([
+      pool.query('SELECT id, username FROM company_users WHERE company_id = $1', [getCompanyId(req)]),
+      pool.query('SELECT employee_id, name FROM employees WHERE company_id = $1', [getCompanyId(req)])
+    ]);
+    const usernames = new Map(users.rows.map(user => [String(user.id), user.username]));
+    const employeeNames = new Map(employees.rows.map(employee => [employee.employee_id, employee.name]));
+
+    const sessions = rows
+      .map(row => {
+        const isAdmin = row.sess.adminId !== undefined && row.sess.adminId !== null;
+        return {
+          ...describeSession(row, req.sessionID),
+          userType: isAdmin ? 'admin' : 'employee',
+          userId: isAdmin ? String(row.sess.adminId) : row.sess.employeeId,
+          userName: isAdmin ? usernames.get(String(row.sess.adminId)) : employeeNames.get(row.sess.employeeId)
+        };
+      })
+      .filter(s => (!userType || s.userType === userType) && (!userId || s.userId === String(userId)));
+
+    res.json({ success: true, data: sessions });
+  } catch (error) {
+    console.error('Error fetching sessions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// HR: revoke any session in the company
+const revokeCompanySession = async (req, res) => {
+  try {
+    const rows = await findCompanySessions(getCompanyId(req));
+    const target = rows.find(row => getSessionKey(row.sid) === req.params.id);
+
+    if (!target) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+
+    await pool.query('DELETE FROM sessions WHERE sid = $1', [target.sid]);
+    res.json({ success: true, message: 'Session revoked' });
+  } catch (error) {
+    console.error('Error revoking session:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Employee: their own active sessions
+const getEmployeeSessions = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const rows = await findEmployeeSessions(req);
+    res.json(rows.map(row => describeSession(row, req.sessionID)));
+  } catch (error) {
+    console.error('Error fetching employee sessions:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+// Employee: sign out one of their other sessions
+const revokeEmployeeSession = async (req, res) => {
+  if (!req.session.employeeId) {
+    return res.status(401).json({ message: 'Not authenticated' });
+  }
+
+  try {
+    const rows = await findEmployeeSessions(req);
+    const target = rows.find(row => getSessionKey(row.sid) === req.params.id);
+
+    if (!target) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+
+    await pool.query('DELETE FROM sessions WHERE sid = $1', [target.sid]);
+    res.json({ message: 'Session signed out' });
+  } catch (error) {
+    console.error('Error revoking employee session:', error);
+    res.status(500).json({ message: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  PgSessionStore,
+  startSession,
+  revokeUserSessions,
+  getCompanySessions,
+  revokeCompanySession,
+  getEmployeeSessions,
+  revokeEmployeeSession
+};
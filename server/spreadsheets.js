@@ -0,0 +1,158 @@
+const path = require('path');
+const ExcelJS = require('exceljs');
+
+// Reading and writing tabular files (CSV and XLSX) for imports and exports
+
+const SPREADSHEET_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+// Text starting like a formula is prefixed with ' so spreadsheet apps show it
+// instead of running it; numbers are left as they are
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  let text = value === null || value === undefined ? '' : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  if (typeof value !== 'number' && FORMULA_START.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Undo csvCell's ' prefix when a file we exported is read back
+const unguardFormula = (text) => (text.startsWith("'") && FORMULA_START.test(text.slice(1)) ? text.slice(1) : text);
+
+const toCsv = (rows) => rows.map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+// RFC 4180 CSV: quoted fields may contain commas, doubled quotes and newlines
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Excel writes a byte order mark at the start of UTF-8 CSVs
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+};
+
+// Plain text of an XLSX cell value: dates as YYYY-MM-DD, formulas as their
+// result, rich text and hyperlinks as their text
+const cellText = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString().slice(0, 10);
+  }
+
+  if (typeof value === 'object') {
+    if (value.richText) {
+      return value.richText.map(run => run.text).join('');
+    }
+    if (value.text !== undefined) {
+      return cellText(value.text);
+    }
+    if (value.result !== undefined) {
+      return cellText(value.result);
+    }
+    return '';
+  }
+
+  return String(value);
+};
+
+// Format of an uploaded file from its extension, or null if unsupported
+const spreadsheetFormat = (fileName) => {
+  const extension = path.extname(fileName || '').slice(1).toLowerCase();
+  return SPREADSHEET_FORMATS[extension] ? extension : null;
+};
+
+// Rows of the first sheet as arrays of strings, empty rows dropped
+const readSpreadsheet = async (buffer, format) => {
+  let rows;
+
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    await workbook.xlsx.load(buffer);
+    const sheet = workbook.worksheets[0];
+    rows = [];
+
+    if (sheet) {
+      sheet.eachRow({ includeEmpty: true }, (row) => {
+        // row.values is 1-based
+        rows.push(row.values.slice(1).map(cellText));
+      });
+    }
+  } else {
+    rows = parseCsv(buffer.toString('utf8'));
+  }
+
+  return rows
+    .map(row => Array.from(row, cell => (cell === undefined ? '' : cell)))
+    .filter(row => row.some(cell => cell.trim() !== ''));
+};
+
+// A header row plus data rows as a CSV or XLSX file buffer
+const writeSpreadsheet = async (rows, format, sheetName = 'Sheet1') => {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.Workbook();
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.addRows(rows);
+    sheet.getRow(1).font = { bold: true };
+    return Buffer.from(await workbook.xlsx.writeBuffer());
+  }
+
+  return Buffer.from(toCsv(rows), 'utf8');
+};
+
+module.exports = {
+  SPREADSHEET_FORMATS,
+  csvCell,
+  unguardFormula,
+  toCsv,
+  parseCsv,
+  spreadsheetFormat,
+  readSpreadsheet,
+  writeSpreadsheet
+};
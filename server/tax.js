@@ -0,0 +1,213 @@
+const fs = require('fs');
+const path = require('path');
+
+// Nigerian statutory deduction engine: PAYE (with consolidated relief, pension
+// and NHF reliefs), employee/employer pension, NHF, NSITF and ITF.
+//
+// Rates live in tax-tables/*.json, one file per Finance Act, each with an
+// effectiveFrom date. The table in force on the pay date is used, so a new
+// Act only needs a new JSON file.
+
+const TAX_TABLES_DIR = path.join(__dirname, 'tax-tables');
+
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const formatRate = (rate) => `${roundCurrency(rate * 100)}%`;
+
+const loadRateTables = () => {
+  return fs.readdirSync(TAX_TABLES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => JSON.parse(fs.readFileSync(path.join(TAX_TABLES_DIR, file), 'utf8')))
+    .sort((a, b) => b.effectiveFrom.localeCompare(a.effectiveFrom));
+};
+
+const rateTables = loadRateTables();
+
+// Accepts a Date, 'YYYY-MM-DD' or a payroll period 'YYYY-MM'
+const toDateString = (date) => {
+  if (!date) {
+    return new Date().toISOString().slice(0, 10);
+  }
+  if (date instanceof Date) {
+    return date.toISOString().slice(0, 10);
+  }
+  return /^\d{4}-\d{2}$/.test(date) ? `${date}-01` : String(date).slice(0, 10);
+};
+
+// Find the rate table in force on a given date
+const getRateTable = (date) => {
+  const onDate = toDateString(date);
+  const table = rateTables.find(t => t.effectiveFrom <= onDate);
+
+  if (!table) {
+    throw new Error(`No statutory rate table in force on ${onDate}`);
+  }
+
+  return table;
+};
+
+// Apply progressive bands to an annual taxable income
+const calculateBandedTax = (taxableIncome, bands) => {
+  const lines = [];
+  let tax = 0;
+  let lowerBound = 0;
+
+  for (const band of bands) {
+    if (taxableIncome <= lowerBound) break;
+
+    const upperBound = band.upTo === null ? Infinity : band.upTo;
+    const taxableInBand = Math.min(taxableIncome, upperBound) - lowerBound;
+    const bandTax = taxableInBand * band.rate;
+
+    lines.push({
+      label: `${formatRate(band.rate)} on ${roundCurrency(taxableInBand)}`,
+      amount: roundCurrency(bandTax)
+    });
+
+    tax += bandTax;
+    lowerBound = upperBound;
+  }
+
+  return { tax, lines };
+};
+
+const sumComponents = (earnings, components) => {
+  return components.reduce((sum, component) => sum + (earnings[component] || 0), 0);
+};
+
+/**
+ * Compute statutory deductions for one employee.
+ *
+ * earnings: { basic, allowances, overtime, bonuses, annualRent, otherReliefs }
+ *   in the same frequency as options.frequency (annualRent is always annual).
+ * options.frequency: 'monthly' (default) or 'annual'; results use the same frequency.
+ * options.date: pay date or period used to pick the rate table.
+ *
+ * Returns employee and employer contributions, reliefs, net pay and a
+ * line-by-line `computation` of the annual PAYE working.
+ */
+const calculateStatutoryDeductions = (earnings, options = {}) => {
+  const { frequency = 'monthly', date } = options;
+
+  if (!['monthly', 'annual'].includes(frequency)) {
+    throw new Error(`Unknown frequency "${frequency}"`);
+  }
+
+  const table = getRateTable(date);
+  const periodsPerYear = frequency === 'monthly' ? 12 : 1;
+
+  // Work in annual figures; the Act's bands and reliefs are annual
+  const annual = {};
+  ['basic', 'allowances', 'overtime', 'bonuses', 'otherReliefs'].forEach(component => {
+    annual[component] = (parseFloat(earnings[component]) || 0) * periodsPerYear;
+  });
+  const annualRent = parseFloat(earnings.annualRent) || 0;
+
+  const grossIncome = annual.basic + annual.allowances + annual.overtime + annual.bonuses;
+  const computation = [{ label: 'Annual gross income', amount: roundCurrency(grossIncome) }];
+
+  const pensionableEarnings = sumComponents(annual, table.pension.base);
+  const employeePension = pensionableEarnings * table.pension.employeeRate;
+  const employerPension = pensionableEarnings * table.pension.employerRate;
+  const nhf = sumComponents(annual, table.nhf.base) * table.nhf.rate;
+
+  computation.push(
+    { label: `Pension relief (${formatRate(table.pension.employeeRate)} of ${roundCurrency(pensionableEarnings)})`, amount: roundCurrency(employeePension) },
+    { label: `NHF relief (${formatRate(table.nhf.rate)} of basic)`, amount: roundCurrency(nhf) }
+  );
+
+  if (annual.otherReliefs > 0) {
+    computation.push({ label: 'Other tax-exempt reliefs', amount: roundCurrency(annual.otherReliefs) });
+  }
+
+  const statutoryReliefs = employeePension + nhf + annual.otherReliefs;
+
+  let consolidatedRelief = 0;
+  if (table.consolidatedRelief) {
+    const cra = table.consolidatedRelief;
+    const craBase = cra.base === 'grossLessReliefs' ? grossIncome - statutoryReliefs : grossIncome;
+    consolidatedRelief = Math.max(cra.fixed, craBase * cra.percentOfIncome) + craBase * cra.additionalPercentOfIncome;
+
+    computation.push({
+      label: `Consolidated relief allowance (higher of ${cra.fixed} or ${formatRate(cra.percentOfIncome)}, plus ${formatRate(cra.additionalPercentOfIncome)} of ${roundCurrency(craBase)})`,
+      amount: roundCurrency(consolidatedRelief)
+    });
+  }
+
+  let rentRelief = 0;
+  if (table.rentRelief && annualRent > 0) {
+    rentRelief = Math.min(annualRent * table.rentRelief.rate, table.rentRelief.cap);
+    computation.push({ label: `Rent relief (${formatRate(table.rentRelief.rate)} of rent, max ${table.rentRelief.cap})`, amount: roundCurrency(rentRelief) });
+  }
+
+  const totalReliefs = statutoryReliefs + consolidatedRelief + rentRelief;
+  const taxableIncome = Math.max(0, grossIncome - totalReliefs);
+  computation.push({ label: 'Taxable income', amount: roundCurrency(taxableIncome) });
+
+  const banded = calculateBandedTax(taxableIncome, table.bands);
+  computation.push(...banded.lines);
+
+  let annualPaye = banded.tax;
+
+  if (table.minimumTax) {
+    const minimumTax = grossIncome * table.minimumTax.percentOfGross;
+    if (annualPaye < minimumTax) {
+      annualPaye = minimumTax;
+      computation.push({ label: `Minimum tax applied (${formatRate(table.minimumTax.percentOfGross)} of gross income)`, amount: roundCurrency(minimumTax) });
+    }
+  }
+
+  if (table.exemptionThreshold !== null && grossIncome <= table.exemptionThreshold) {
+    annualPaye = 0;
+    computation.push({ label: `Exempt: gross income at or below ${table.exemptionThreshold}`, amount: 0 });
+  }
+
+  computation.push({ label: 'Annual PAYE', amount: roundCurrency(annualPaye) });
+
+  if (periodsPerYear > 1) {
+    computation.push({ label: 'Monthly PAYE', amount: roundCurrency(annualPaye / periodsPerYear) });
+  }
+
+  const perPeriod = (amount) => roundCurrency(amount / periodsPerYear);
+
+  const employee = {
+    paye: perPeriod(annualPaye),
+    pension: perPeriod(employeePension),
+    nhf: perPeriod(nhf)
+  };
+  employee.total = roundCurrency(employee.paye + employee.pension + employee.nhf);
+
+  const employer = {
+    pension: perPeriod(employerPension),
+    nsitf: perPeriod(grossIncome * table.employer.nsitfRate),
+    itf: perPeriod(grossIncome * table.employer.itfRate)
+  };
+  employer.total = roundCurrency(employer.pension + employer.nsitf + employer.itf);
+
+  const grossPay = perPeriod(grossIncome);
+
+  return {
+    rateTable: { id: table.id, name: table.name, effectiveFrom: table.effectiveFrom },
+    frequency,
+    grossPay,
+    taxableIncome: perPeriod(taxableIncome),
+    reliefs: {
+      consolidated: perPeriod(consolidatedRelief),
+      pension: perPeriod(employeePension),
+      nhf: perPeriod(nhf),
+      rent: perPeriod(rentRelief),
+      other: perPeriod(annual.otherReliefs),
+      total: perPeriod(totalReliefs)
+    },
+    employee,
+    employer,
+    netPay: roundCurrency(grossPay - employee.total),
+    computation
+  };
+};
+
+module.exports = {
+  getRateTable,
+  calculateBandedTax,
+  calculateStatutoryDeductions
+};
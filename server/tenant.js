@@ -0,0 +1,81 @@
+const { pool } = require('./database');
+
+// Tables that carry a company_id and may be referenced by id from a request
+const TENANT_TABLES = [
+  'employees',
+  'jobs',
+  'candidates',
+  'interviews',
+  'payroll',
+  'performance_goals',
+  'performance_reviews',
+  'training_assignments',
+  'leave_requests',
+  'attendance_corrections',
+  'policies',
+  'documents',
+  'bank_connections',
+  'compliance_reports'
+];
+
+// The company every HR query runs against, resolved by authenticateAdmin
+const getCompanyId = (req) => req.admin.company_id;
+
+// Check that every given id in a table belongs to the company
+const belongsToCompany = async (db, table, ids, companyId) => {
+  if (!TENANT_TABLES.includes(table)) {
+    throw new Error(`${table} is not a tenant table`);
+  }
+
+  const wanted = [...new Set([].concat(ids).map(id => parseInt(id)))];
+
+  if (wanted.some(isNaN)) {
+    return false;
+  }
+
+  const result = await db.query(
+    `SELECT COUNT(*) as count FROM ${table} WHERE id = ANY($1::int[]) AND company_id = $2`,
+    [wanted, companyId]
+  );
+
+  return parseInt(result.rows[0].count) === wanted.length;
+};
+
+/**
+ * Reject requests that reference another company's records.
+ *
+ * `references` maps a request field to the table it points at, e.g.
+ * { id: 'jobs', employee_id: 'employees' }. Fields are read from the route
+ * params first, then the body. Missing or empty fields are skipped; arrays
+ * are checked element by element. Foreign or unknown ids get a 404 so the
+ * response never reveals whether the record exists in another tenant.
+ */
+const requireCompanyRecords = (references) => {
+  return async (req, res, next) => {
+    try {
+      for (const [field, table] of Object.entries(references)) {
+        const value = req.params[field] !== undefined ? req.params[field] : req.body && req.body[field];
+
+        if (value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0)) {
+          continue;
+        }
+
+        if (!(await belongsToCompany(pool, table, value, getCompanyId(req)))) {
+          return res.status(404).json({ message: 'Record not found' });
+        }
+      }
+
+      next();
+    } catch (error) {
+      console.error('Tenant check error:', error);
+      res.status(500).json({ message: 'Internal server error' });
+    }
+  };
+};
+
+module.exports = {
+  TENANT_TABLES,
+  getCompanyId,
+  belongsToCompany,
+  requireCompanyRecords
+};
@@ -0,0 +1,58 @@
+const http = require('node:http');
+const { once } = require('node:events');
+const app = require('../server');
+const { signAccessToken } = require('../tokens');
+
+// Requests through the Express app, signed in as the owner of company 101.
+// Tests mock pool.query (and pool.connect) to stand in for the database and
+// answer authenticateAdmin's lookups with authRows.
+
+const COMPANY_ID = 101;
+
+const OWNER = { id: 1, username: 'owner', email: 'owner@example.com', role: 'owner', permissions: null, company_id: COMPANY_ID, employee_id: null };
+
+// Rows for authenticateAdmin's session and user lookups, or null for any
+// other query
+const authRows = (sql, params) => {
+  if (sql.includes('FROM sessions WHERE sid')) {
+    return [{ '?column?': 1 }];
+  }
+
+  if (sql.includes('FROM company_users cu') && sql.includes('cu.id = $1')) {
+    return params[0] === OWNER.id && params[1] === COMPANY_ID ? [OWNER] : [];
+  }
+
+  return null;
+};
+
+// Resolves to { status, body }
+const requestApp = async (method, path, body) => {
+  const server = http.createServer(app).listen(0, '127.0.0.1');
+  await once(server, 'listening');
+
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+      method,
+      headers: {
+        authorization: `Bearer ${signAccessToken(OWNER, 'test-session')}`,
+        'content-type': 'application/json'
+      },
+      body: body === undefined ? undefined : JSON.stringify(body),
+      // A handler that never answers fails the test rather than hanging it
+      signal: AbortSignal.timeout(5000)
+    });
+    const text = await response.text();
+
+    return { status: response.status, body: text ? JSON.parse(text) : null };
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+};
+
+module.exports = {
+  COMPANY_ID,
+  OWNER,
+  authRows,
+  requestApp
+};
@@ -0,0 +1,52 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../database');
+const { refreshAdminToken } = require('../auth');
+const { processPayroll, updatePayrollItem } = require('../payroll');
+const { enableTwoFactor } = require('../twofactor');
+const { authRows, requestApp } = require('./app');
+
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const admin = { id: 1, company_id: 101, role: 'owner', permissions: [] };
+
+const HANDLERS = {
+  refreshAdminToken: [refreshAdminToken, { body: { refreshToken: 'token' } }],
+  processPayroll: [processPayroll, { body: { month: '2026-03' }, admin }],
+  updatePayrollItem: [updatePayrollItem, { params: { id: '1', itemId: '2' }, body: {}, admin }],
+  enableTwoFactor: [enableTwoFactor, { body: { code: '123456' }, admin }]
+};
+
+for (const [name, [handler, req]] of Object.entries(HANDLERS)) {
+  test(`${name} answers 500 when no database connection can be had`, async (t) => {
+    t.mock.method(pool, 'connect', async () => { throw new Error('connection refused'); });
+    t.mock.method(console, 'error', () => {});
+    const res = fakeResponse();
+
+    await handler(req, res);
+
+    assert.equal(res.statusCode, 500);
+  });
+}
+
+test('assigning training answers 500 when no database connection can be had', async (t) => {
+  // Signed in, and the employee belongs to the company
+  t.mock.method(pool, 'query', async (sql, params) => ({ rows: authRows(sql, params) || [{ count: '1' }] }));
+  t.mock.method(pool, 'connect', async () => { throw new Error('connection refused'); });
+  t.mock.method(console, 'error', () => {});
+
+  const res = await requestApp('POST', '/api/performance/training', {
+    program_name: 'Fire safety',
+    employee_ids: [7],
+    training_type: 'safety',
+    due_date: '2026-11-30'
+  });
+
+  assert.equal(res.status, 500);
+  assert.equal(res.body.message, 'Error assigning training');
+});
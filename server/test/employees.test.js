@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../database');
+const { updateEmployee, getOffboardingTasks } = require('../employees');
+
+const EMPLOYEE = { id: 7, company_id: 101, employee_id: 'A1', name: 'Ada Obi', email: 'ada@example.com', bank_details: null, emergency_contact: null };
+
+// A transaction client holding EMPLOYEE; records every query it runs
+const fakeClient = (queries) => ({
+  query: async (sql, params) => {
+    queries.push([sql, params]);
+    return { rows: sql.includes('FROM employees WHERE id = $1') ? [EMPLOYEE] : [] };
+  },
+  release: () => {}
+});
+
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const patchRequest = (permissions, body) => ({
+  method: 'PATCH',
+  params: { id: '7' },
+  body,
+  admin: { id: 1, company_id: 101, permissions }
+});
+
+test('changing bank details needs permission to read them', async (t) => {
+  const query = t.mock.method(pool, 'query', async () => ({ rows: [] }));
+  const res = fakeResponse();
+
+  await updateEmployee(
+    patchRequest(['employees:read', 'employees:write'], { bank_details: { bank: 'GTB', account_number: '0123456789' } }),
+    res
+  );
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'Access denied. Missing permission: employees:read_bank_details');
+  assert.equal(query.mock.callCount(), 0);
+});
+
+test('offboarding tasks of a missing employee are not found', async (t) => {
+  const query = t.mock.method(pool, 'query', async () => ({ rows: [] }));
+  const res = fakeResponse();
+
+  await getOffboardingTasks({ params: { id: '7' }, admin: { id: 1, company_id: 101, permissions: ['employees:read'] } }, res);
+
+  assert.equal(res.statusCode, 404);
+  assert.equal(res.body.error, 'Employee not found');
+  assert.deepEqual(query.mock.calls[0].arguments[1], ['7', 101]);
+});
+
+const sessionDeletes = (queries) => queries.filter(([sql]) => sql.includes('DELETE FROM sessions'));
+
+test('changing an employee ID signs the employee out of the portal', async (t) => {
+  const queries = [];
+  t.mock.method(pool, 'connect', async () => fakeClient(queries));
+  const res = fakeResponse();
+
+  await updateEmployee(patchRequest(['employees:read', 'employees:write'], { employee_id: ' B2 ' }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(sessionDeletes(queries).map(([, params]) => params), [['A1', '101']]);
+  assert.equal(queries.at(-1)[0], 'COMMIT');
+});
+
+test('keeping the same employee ID leaves portal sessions alone', async (t) => {
+  const queries = [];
+  t.mock.method(pool, 'connect', async () => fakeClient(queries));
+  const res = fakeResponse();
+
+  await updateEmployee(patchRequest(['employees:read', 'employees:write'], { employee_id: 'A1', phone: '+2348012345678' }), res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(sessionDeletes(queries), []);
+});
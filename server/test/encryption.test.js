@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { encryptJson, decryptJson } = require('../encryption');
+
+const setEnv = (name, value) => {
+  if (value === undefined) {
+    delete process.env[name];
+  } else {
+    process.env[name] = value;
+  }
+};
+
+// Set environment variables for one test, restoring them after it
+const withEnv = (t, values) => {
+  const saved = Object.keys(values).map(name => [name, process.env[name]]);
+  t.after(() => saved.forEach(([name, value]) => setEnv(name, value)));
+  Object.entries(values).forEach(([name, value]) => setEnv(name, value));
+};
+
+test('the development key is used outside production', (t) => {
+  withEnv(t, { NODE_ENV: 'development', ENCRYPTION_KEYS: undefined });
+  const details = { bank: 'GTB', account_number: '0123456789' };
+  assert.deepEqual(decryptJson(encryptJson(details)), details);
+});
+
+test('production refuses to fall back to the development key', (t) => {
+  withEnv(t, { NODE_ENV: 'production', ENCRYPTION_KEYS: undefined });
+  assert.throws(() => encryptJson({ bank: 'GTB' }), /ENCRYPTION_KEYS must be set in production/);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../database');
+const { approveLeaveRequest } = require('../leave');
+
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// A pending request waiting on HR, from the employee with id 5
+const mockLeaveRequest = (t) => {
+  const statements = [];
+  const client = {
+    query: async (sql) => {
+      statements.push(sql);
+      return sql.startsWith('SELECT * FROM leave_requests')
+        ? { rows: [{ id: 9, employee_id: 5, company_id: 101, status: 'pending', approval_chain: ['hr'], current_step: 0 }] }
+        : { rows: [] };
+    },
+    release: () => {}
+  };
+
+  t.mock.method(pool, 'query', async () => ({ rows: [] }));
+  t.mock.method(pool, 'connect', async () => client);
+  return statements;
+};
+
+const hrRequest = (employeeId) => ({
+  params: { id: '9' },
+  body: {},
+  admin: { id: 1, company_id: 101, employee_id: employeeId, role: 'hr_manager', permissions: ['leave:read', 'leave:approve'] }
+});
+
+test('HR cannot approve their own leave request', async (t) => {
+  const statements = mockLeaveRequest(t);
+  const res = fakeResponse();
+
+  await approveLeaveRequest(hrRequest(5), res);
+
+  assert.equal(res.statusCode, 403);
+  assert.equal(res.body.error, 'Someone else must decide your own leave request');
+  assert.ok(!statements.some(sql => sql.startsWith('UPDATE')));
+});
@@ -0,0 +1,61 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../database');
+const { updatePayrollItem } = require('../payroll');
+
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+// A mid-month raise, as processPayroll records it
+const PRORATION = [
+  { from: '2026-03-02', to: '2026-03-13', days: 10, salary: 300000, allowances: 0 },
+  { from: '2026-03-16', to: '2026-03-31', days: 12, salary: 400000, allowances: 0 }
+];
+
+const ITEM = {
+  id: 2,
+  payroll_id: 1,
+  employee_id: 7,
+  basic_salary: '354545.45',
+  allowances: '0.00',
+  overtime: '0.00',
+  bonuses: '0.00',
+  other_deductions: '0.00',
+  annual_rent: '0',
+  tax_breakdown: { rateTable: 'nta-2025', proration: PRORATION }
+};
+
+test('adjusting a pro-rated payroll item keeps its proration', async (t) => {
+  let saved;
+  const client = {
+    query: async (sql, params) => {
+      if (sql.includes('FROM payroll WHERE id = $1')) {
+        return { rows: [{ id: 1, status: 'draft', period: '2026-03' }] };
+      }
+      if (sql.includes('FROM payroll_items pi')) {
+        return { rows: [ITEM] };
+      }
+      if (sql.includes('UPDATE payroll_items')) {
+        saved = JSON.parse(params[12]);
+        return { rows: [{ ...ITEM, tax_breakdown: saved }] };
+      }
+      return { rows: [] };
+    },
+    release: () => {}
+  };
+  t.mock.method(pool, 'connect', async () => client);
+
+  const res = fakeResponse();
+  await updatePayrollItem({
+    params: { id: '1', itemId: '2' },
+    body: { bonuses: 50000 },
+    admin: { id: 1, company_id: 101, username: 'owner' }
+  }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(saved.proration, PRORATION);
+});
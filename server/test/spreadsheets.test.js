@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { csvCell, unguardFormula, toCsv, parseCsv } = require('../spreadsheets');
+
+test('text that starts like a formula is exported as text', () => {
+  assert.equal(csvCell('=HYPERLINK("http://example.com","Click")'), '"\'=HYPERLINK(""http://example.com"",""Click"")"');
+  assert.equal(csvCell('+2348012345678'), "'+2348012345678");
+  assert.equal(csvCell('-1+1'), "'-1+1");
+  assert.equal(csvCell('@SUM(A1:A2)'), "'@SUM(A1:A2)");
+  assert.equal(csvCell('\tcmd'), "'\tcmd");
+  assert.equal(csvCell('\rcmd'), '"\'\rcmd"');
+});
+
+test('ordinary values are exported unchanged', () => {
+  assert.equal(csvCell('Ada Obi'), 'Ada Obi');
+  assert.equal(csvCell('a@example.com'), 'a@example.com');
+  assert.equal(csvCell(-1500), '-1500');
+  assert.equal(csvCell(null), '');
+  assert.equal(csvCell('Lagos, Nigeria'), '"Lagos, Nigeria"');
+});
+
+test('exported CSV reads back', () => {
+  const rows = [['Name', 'Note'], ['Ada Obi', 'said "hi", then left\r\nearly']];
+  assert.deepEqual(parseCsv(toCsv(rows)), rows);
+});
+
+test('the formula prefix is dropped when an export is read back', () => {
+  assert.equal(unguardFormula("'+2348012345678"), '+2348012345678');
+  assert.equal(unguardFormula("'=1+1"), '=1+1');
+  assert.equal(unguardFormula("O'Brien"), "O'Brien");
+  assert.equal(unguardFormula("'quoted'"), "'quoted'");
+});
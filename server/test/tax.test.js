@@ -0,0 +1,120 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { getRateTable, calculateBandedTax, calculateStatutoryDeductions } = require('../tax');
+
+// Band tax is unrounded; payroll rounds to kobo
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+const annual = (earnings, date) => calculateStatutoryDeductions(earnings, { frequency: 'annual', date });
+
+test('rate tables are picked by the date they take effect', () => {
+  assert.equal(getRateTable('2015-06-30').id, 'pita-2011');
+  assert.equal(getRateTable('2020-01-31').id, 'pita-2011');
+  assert.equal(getRateTable('2020-02-01').id, 'finance-act-2019');
+  assert.equal(getRateTable('2020-12-31').id, 'finance-act-2019');
+  assert.equal(getRateTable('2021-01').id, 'finance-act-2020');
+  assert.equal(getRateTable('2025-12-31').id, 'finance-act-2020');
+  assert.equal(getRateTable('2026-01').id, 'nigeria-tax-act-2025');
+  assert.equal(getRateTable(new Date('2026-03-15T00:00:00Z')).id, 'nigeria-tax-act-2025');
+  assert.throws(() => getRateTable('2010-12-31'), /No statutory rate table in force on 2010-12-31/);
+});
+
+test('consolidated relief is the higher of 200,000 or 1% of income, plus 20%', () => {
+  // Finance Act 2019 and PITA take gross income as the base
+  assert.equal(annual({ basic: 3000000, allowances: 1000000 }, '2020-06').reliefs.consolidated, 1000000);
+  assert.equal(annual({ basic: 30000000 }, '2015-01').reliefs.consolidated, 6300000);
+
+  // Finance Act 2020 takes gross income less pension and NHF
+  const result = annual({ basic: 3000000, allowances: 1000000 }, '2021-06');
+  assert.equal(result.reliefs.pension, 320000);
+  assert.equal(result.reliefs.nhf, 75000);
+  assert.equal(result.reliefs.consolidated, 921000);
+  assert.equal(result.taxableIncome, 2684000);
+  assert.equal(result.employee.paye, 451640);
+});
+
+test('no consolidated relief under the Nigeria Tax Act 2025', () => {
+  assert.equal(annual({ basic: 3000000 }, '2026-02').reliefs.consolidated, 0);
+});
+
+test('each PITA band boundary', () => {
+  const { bands } = getRateTable('2021-01');
+  const taxAt = (income) => roundCurrency(calculateBandedTax(income, bands).tax);
+
+  assert.equal(taxAt(0), 0);
+  assert.equal(taxAt(300000), 21000);
+  assert.equal(taxAt(600000), 54000);
+  assert.equal(taxAt(1100000), 129000);
+  assert.equal(taxAt(1600000), 224000);
+  assert.equal(taxAt(3200000), 560000);
+  assert.equal(taxAt(3200100), 560024);
+
+  // Income exactly at a boundary doesn't open the next band
+  assert.equal(calculateBandedTax(300000, bands).lines.length, 1);
+  assert.equal(calculateBandedTax(300001, bands).lines.length, 2);
+});
+
+test('each Nigeria Tax Act 2025 band boundary', () => {
+  const { bands } = getRateTable('2026-01');
+  const taxAt = (income) => roundCurrency(calculateBandedTax(income, bands).tax);
+
+  assert.equal(taxAt(800000), 0);
+  assert.equal(taxAt(3000000), 330000);
+  assert.equal(taxAt(12000000), 1950000);
+  assert.equal(taxAt(25000000), 4680000);
+  assert.equal(taxAt(50000000), 10430000);
+  assert.equal(taxAt(50000100), 10430025);
+});
+
+test('minimum tax of 1% of gross when banded tax is lower', () => {
+  // Taxable income 8,500 gives 595 banded tax, under 1% of 300,000
+  const result = annual({ basic: 300000 }, '2015-01');
+  assert.equal(result.taxableIncome, 8500);
+  assert.equal(result.employee.paye, 3000);
+  assert.ok(result.computation.some(line => line.label.startsWith('Minimum tax applied')));
+
+  // Banded tax above the minimum is kept
+  const above = annual({ basic: 3000000, allowances: 1000000 }, '2021-06');
+  assert.ok(!above.computation.some(line => line.label.startsWith('Minimum tax applied')));
+});
+
+test('no minimum tax under the Nigeria Tax Act 2025', () => {
+  assert.equal(annual({ basic: 600000 }, '2026-01').employee.paye, 0);
+});
+
+test('gross income at or below the Finance Act exemption threshold pays no PAYE', () => {
+  assert.equal(annual({ basic: 360000 }, '2021-06').employee.paye, 0);
+  assert.ok(annual({ basic: 360100 }, '2021-06').employee.paye > 0);
+});
+
+test('Nigeria Tax Act 2025 rent relief is 20% of rent up to 500,000', () => {
+  assert.equal(annual({ basic: 6000000, annualRent: 1000000 }, '2026-01').reliefs.rent, 200000);
+  assert.equal(annual({ basic: 6000000, annualRent: 2500000 }, '2026-01').reliefs.rent, 500000);
+  assert.equal(annual({ basic: 6000000, annualRent: 5000000 }, '2026-01').reliefs.rent, 500000);
+  assert.equal(annual({ basic: 6000000 }, '2026-01').reliefs.rent, 0);
+
+  // Not available before the Act
+  assert.equal(annual({ basic: 6000000, annualRent: 1000000 }, '2025-12').reliefs.rent, 0);
+});
+
+test('Nigeria Tax Act 2025 monthly PAYE with rent relief', () => {
+  // Annual: 6,000,000 less pension 480,000, NHF 150,000 and rent relief
+  // 200,000 leaves 5,170,000 taxable: 330,000 + 2,170,000 at 18%
+  const result = calculateStatutoryDeductions(
+    { basic: 500000, annualRent: 1000000 },
+    { frequency: 'monthly', date: '2026-03' }
+  );
+
+  assert.equal(result.rateTable.id, 'nigeria-tax-act-2025');
+  assert.equal(result.employee.paye, 60050);
+  assert.equal(result.employee.pension, 40000);
+  assert.equal(result.employee.nhf, 12500);
+  assert.equal(result.netPay, 500000 - 60050 - 40000 - 12500);
+  assert.equal(result.employer.pension, 50000);
+  assert.equal(result.employer.nsitf, 5000);
+  assert.equal(result.employer.itf, 5000);
+});
+
+test('unknown frequencies are rejected', () => {
+  assert.throws(() => calculateStatutoryDeductions({ basic: 1 }, { frequency: 'weekly' }), /Unknown frequency "weekly"/);
+});
@@ -0,0 +1,288 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../database');
+const { getEmployeePayslips, downloadEmployeePayslip } = require('../payslips');
+const { importEmployees } = require('../employee-import');
+const { belongsToCompany, requireCompanyRecords } = require('../tenant');
+const migration = require('../migrations/022_employee_keys_per_company');
+const { COMPANY_ID, authRows, requestApp } = require('./app');
+
+// Two companies that both have an employee A1
+const EMPLOYEES = [
+  { company_id: 101, employee_id: 'A1', email: 'ada@example.com' },
+  { company_id: 202, employee_id: 'A1', email: 'bola@example.com' },
+  { company_id: 202, employee_id: 'B7', email: 'chi@example.com' }
+];
+
+const PAYSLIPS = [
+  { 'pi.id': 11, 'e.employee_id': 'A1', 'e.company_id': 101, period: '2026-01', employee_name: 'Ada Obi' },
+  { 'pi.id': 12, 'e.employee_id': 'A1', 'e.company_id': 101, period: '2026-02', employee_name: 'Ada Obi' },
+  { 'pi.id': 21, 'e.employee_id': 'A1', 'e.company_id': 202, period: '2026-02', employee_name: 'Bola Ade' }
+];
+
+// Applies the `alias.column = $n` conditions of the query, so a lookup that
+// leaves out the company matches the other company's rows too
+const fakePayslipQuery = async (sql, params) => {
+  // Year-to-date totals
+  if (sql.includes('SUM(')) {
+    return { rows: [{ gross_pay: '0', net_pay: '0' }] };
+  }
+
+  const conditions = [...sql.matchAll(/\b(\w+\.\w+) = \$(\d+)/g)]
+    .map(([, column, index]) => [column, params[index - 1]]);
+
+  const rows = PAYSLIPS
+    .filter(row => conditions.every(([column, value]) => String(row[column]) === String(value)))
+    .map(row => ({ ...row, employee_code: row['e.employee_id'], company_id: row['e.company_id'] }));
+
+  return { rows };
+};
+
+// The import's lookup of existing employee IDs and emails
+const fakeEmployeeQuery = async (sql, params) => {
+  const scoped = sql.includes('company_id = $1');
+  const [emails, employeeIds] = scoped ? params.slice(1) : params;
+
+  const rows = EMPLOYEES
+    .filter(row => !scoped || row.company_id === params[0])
+    .filter(row => emails.includes(row.email) || employeeIds.includes(row.employee_id));
+
+  return { rows };
+};
+
+const fakeResponse = () => {
+  const res = { statusCode: 200, body: null };
+  res.status = (code) => { res.statusCode = code; return res; };
+  res.json = (body) => { res.body = body; return res; };
+  return res;
+};
+
+const employeeRequest = (companyId, params = {}) => ({ session: { employeeId: 'A1', companyId }, params });
+
+test('employees only see payslips from their own company', async (t) => {
+  t.mock.method(pool, 'query', fakePayslipQuery);
+
+  const first = fakeResponse();
+  await getEmployeePayslips(employeeRequest(101), first);
+  assert.equal(first.statusCode, 200);
+  assert.deepEqual(first.body.map(payslip => payslip.employee.name), ['Ada Obi', 'Ada Obi']);
+
+  const second = fakeResponse();
+  await getEmployeePayslips(employeeRequest(202), second);
+  assert.deepEqual(second.body.map(payslip => payslip.employee.name), ['Bola Ade']);
+});
+
+test('another company\'s payslip with the same employee ID is not found', async (t) => {
+  t.mock.method(pool, 'query', fakePayslipQuery);
+
+  const res = fakeResponse();
+  await downloadEmployeePayslip(employeeRequest(101, { id: '21' }), res);
+  assert.equal(res.statusCode, 404);
+});
+
+test('import previews only flag IDs and emails the importing company uses', async (t) => {
+  t.mock.method(pool, 'query', fakeEmployeeQuery);
+  const csv = [
+    'Employee ID,Name,Email,Department,Position',
+    'A1,Ada Obi,new@example.com,Finance,Accountant',
+    'B7,Chi Eze,chi@example.com,Finance,Clerk'
+  ].join('\n');
+
+  const res = fakeResponse();
+  await importEmployees({
+    file: { originalname: 'staff.csv', buffer: Buffer.from(csv) },
+    body: { dry_run: 'true' },
+    query: {},
+    admin: { id: 1, company_id: 101, permissions: ['employees:write'] }
+  }, res);
+
+  assert.equal(res.statusCode, 200);
+  assert.deepEqual(res.body.data.rows.map(row => row.errors), [
+    ['Employee ID A1 already exists'],
+    []
+  ]);
+});
+
+test('employee IDs and emails are unique per company', async () => {
+  const statements = [];
+  await migration.up({ query: async (sql) => statements.push(sql) });
+  const sql = statements.join('\n');
+
+  assert.match(sql, /DROP CONSTRAINT IF EXISTS employees_employee_id_key/);
+  assert.match(sql, /DROP CONSTRAINT IF EXISTS employees_email_key/);
+  assert.match(sql, /UNIQUE \(company_id, employee_id\)/);
+  assert.match(sql, /UNIQUE \(company_id, email\)/);
+});
+
+// Company 101 (signed in through requestApp) has record 1 in every table and
+// company 202 has record 2. Names say whose a record is.
+const TABLES = {
+  employees: [
+    { id: 1, company_id: COMPANY_ID, employee_id: 'A1', name: 'Ours', status: 'active', bank_details: null },
+    { id: 2, company_id: 202, employee_id: 'A1', name: 'Theirs', status: 'active', bank_details: null }
+  ],
+  jobs: [
+    { id: 1, company_id: COMPANY_ID, title: 'Ours', status: 'active' },
+    { id: 2, company_id: 202, title: 'Theirs', status: 'active' }
+  ],
+  candidates: [
+    { id: 1, company_id: COMPANY_ID, name: 'Ours', status: 'applied' },
+    { id: 2, company_id: 202, name: 'Theirs', status: 'applied' }
+  ],
+  interviews: [
+    { id: 1, company_id: COMPANY_ID, candidate_id: 1, notes: 'Ours', status: 'scheduled' },
+    { id: 2, company_id: 202, candidate_id: 2, notes: 'Theirs', status: 'scheduled' }
+  ],
+  payroll: [
+    { id: 1, company_id: COMPANY_ID, period: '2026-01', status: 'draft', notes: 'Ours' },
+    { id: 2, company_id: 202, period: '2026-02', status: 'draft', notes: 'Theirs' }
+  ],
+  payroll_items: [
+    { id: 1, company_id: COMPANY_ID, payroll_id: 1, employee_id: 1, employee_name: 'Ours', period: '2026-01', run_status: 'approved' },
+    { id: 2, company_id: 202, payroll_id: 2, employee_id: 2, employee_name: 'Theirs', period: '2026-02', run_status: 'approved' }
+  ],
+  compliance_reports: [
+    { id: 1, company_id: COMPANY_ID, name: 'Ours' },
+    { id: 2, company_id: 202, name: 'Theirs' }
+  ]
+};
+
+// Answers queries from TABLES, applying the `column = $n` and
+// `column = ANY($n)` conditions after WHERE. Records of a company only point
+// at records of the same company, so a condition on any joined table's
+// company_id is checked against the main table's row. A lookup that leaves
+// out the company therefore finds the other company's record, as it would in
+// Postgres.
+const fakeDatabase = (sql, params) => {
+  const auth = authRows(sql, params);
+  if (auth) {
+    return { rows: auth };
+  }
+
+  // The first table read or updated that TABLES holds; subqueries on other
+  // tables (counts of offboarding tasks and the like) are ignored
+  const from = [...sql.matchAll(/\b(?:FROM|UPDATE)\s+(\w+)(?:\s+(?!WHERE\b|JOIN\b|LEFT\b|ORDER\b|SET\b|GROUP\b)(\w+))?/gi)]
+    .find(([, name]) => TABLES[name]);
+  const table = from && !/^\s*INSERT/i.test(sql) ? TABLES[from[1]] : null;
+
+  if (!table) {
+    return { rows: [] };
+  }
+
+  const alias = from[2] || from[1];
+  const where = sql.slice(sql.search(/\bWHERE\b/i) + 1 || sql.length);
+  const conditions = [...where.matchAll(/(?:\b(\w+)\.)?\b(\w+) = (ANY\()?\$(\d+)/g)]
+    .filter(([, prefix, column]) => column in table[0] && (!prefix || prefix === alias || column === 'company_id'))
+    .map(([, , column, any, index]) => [column, [].concat(params[index - 1]).map(String), any]);
+
+  const rows = table.filter(row => conditions.every(([column, values]) => values.includes(String(row[column]))));
+
+  if (/^\s*SELECT COUNT\(\*\)/i.test(sql)) {
+    return { rows: [{ count: String(rows.length) }] };
+  }
+
+  return { rows };
+};
+
+const mockDatabase = (t) => {
+  t.mock.method(pool, 'query', async (sql, params = []) => fakeDatabase(sql, params));
+  t.mock.method(pool, 'connect', async () => ({
+    query: async (sql, params = []) => fakeDatabase(sql, params),
+    release: () => {}
+  }));
+};
+
+const LISTS = [
+  '/api/hr/employees',
+  '/api/hr/jobs',
+  '/api/hr/candidates',
+  '/api/hr/interviews',
+  '/api/hr/payroll',
+  '/api/payroll/runs',
+  '/api/compliance/reports'
+];
+
+for (const path of LISTS) {
+  test(`GET ${path} lists only the company's own records`, async (t) => {
+    mockDatabase(t);
+    const res = await requestApp('GET', path);
+
+    assert.equal(res.status, 200);
+    const listed = JSON.stringify(res.body);
+    assert.ok(listed.includes('Ours'), `${path} lists the company's record`);
+    assert.ok(!listed.includes('Theirs'), `${path} lists another company's record`);
+  });
+}
+
+// Each with another company's ids; none may be found
+const FOREIGN_READS = [
+  '/api/hr/employees/2/history',
+  '/api/hr/employees/2/bank-details',
+  '/api/hr/employees/2/offboarding',
+  '/api/payroll/runs/2',
+  '/api/payroll/runs/2/items/2/payslip'
+];
+
+for (const path of FOREIGN_READS) {
+  test(`GET ${path} doesn't find another company's record`, async (t) => {
+    mockDatabase(t);
+    const res = await requestApp('GET', path);
+
+    assert.equal(res.status, 404);
+    assert.ok(!JSON.stringify(res.body).includes('Theirs'));
+  });
+}
+
+const FOREIGN_WRITES = [
+  ['PATCH', '/api/hr/employees/2', { phone: '+2348012345678' }],
+  ['POST', '/api/hr/employees/2/terminate', { exit_date: '2026-10-31', reason: 'resignation' }],
+  ['POST', '/api/hr/employees', { employee_id: 'A9', name: 'New', email: 'new@example.com', department: 'Finance', position: 'Clerk', manager_id: 2 }],
+  ['PUT', '/api/hr/jobs/2/status', { status: 'closed' }],
+  ['PUT', '/api/hr/candidates/2/status', { status: 'hired' }],
+  ['PUT', '/api/hr/interviews/2/status', { status: 'completed' }],
+  ['POST', '/api/hr/interviews', { candidate_id: 2, job_id: 1, interviewer: 'Ours', interview_date: '2026-11-02', interview_time: '10:00' }],
+  ['PUT', '/api/payroll/runs/2/items/2', { other_deductions: 1000 }],
+  ['POST', '/api/payroll/runs/2/review', {}]
+];
+
+for (const [method, path, body] of FOREIGN_WRITES) {
+  test(`${method} ${path} can't change another company's record`, async (t) => {
+    mockDatabase(t);
+    const res = await requestApp(method, path, body);
+
+    assert.equal(res.status, 404);
+    assert.ok(!JSON.stringify(res.body).includes('Theirs'));
+  });
+}
+
+test('belongsToCompany only accepts ids that are all the company\'s', async () => {
+  const db = { query: async (sql, params) => fakeDatabase(sql, params) };
+
+  assert.equal(await belongsToCompany(db, 'employees', 1, COMPANY_ID), true);
+  assert.equal(await belongsToCompany(db, 'employees', ['1', '1'], COMPANY_ID), true);
+  assert.equal(await belongsToCompany(db, 'employees', 2, COMPANY_ID), false);
+  assert.equal(await belongsToCompany(db, 'employees', [1, 2], COMPANY_ID), false);
+  assert.equal(await belongsToCompany(db, 'employees', 'abc', COMPANY_ID), false);
+  await assert.rejects(belongsToCompany(db, 'company_users', 1, COMPANY_ID), /company_users is not a tenant table/);
+});
+
+test('requireCompanyRecords answers 404 for another company\'s ids', async (t) => {
+  mockDatabase(t);
+  const check = requireCompanyRecords({ id: 'candidates', job_id: 'jobs' });
+  const admin = { id: 1, company_id: COMPANY_ID };
+
+  const run = async (req) => {
+    const res = fakeResponse();
+    let passed = false;
+    await check({ admin, params: {}, body: {}, ...req }, res, () => { passed = true; });
+    return { passed, res };
+  };
+
+  assert.equal((await run({ params: { id: '1' }, body: { job_id: 1 } })).passed, true);
+  assert.equal((await run({ body: {} })).passed, true);
+
+  const foreign = await run({ params: { id: '1' }, body: { job_id: 2 } });
+  assert.equal(foreign.passed, false);
+  assert.equal(foreign.res.statusCode, 404);
+  assert.equal(foreign.res.body.message, 'Record not found');
+});
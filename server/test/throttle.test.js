@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { pool } = require('../database');
+const { checkLoginAllowed } = require('../throttle');
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Five wrong passwords a minute ago for "admin" in company 101 (company user
+// 1); company 202 also has an "admin" (company user 2)
+const ATTEMPTS = [1, 2, 3, 4, 5].map(id => ({
+  id,
+  user_type: 'admin',
+  username: 'admin',
+  company_user_id: 1,
+  employee_account_id: null,
+  ip_address: '10.0.0.1',
+  success: false,
+  reason: 'invalid_password',
+  created_at: minutesAgo(1)
+}));
+
+// Answers throttle.js's login_attempts queries from ATTEMPTS
+const fakeQuery = async (sql, params) => {
+  if (sql.includes('ip_address = $1')) {
+    return { rows: [{ count: '0', first_failure: null }] };
+  }
+
+  const account = ATTEMPTS.filter(row => row.user_type === params[0]).filter(row => {
+    if (sql.includes('company_user_id = $2')) {
+      return row.company_user_id === params[1];
+    }
+    if (sql.includes('employee_account_id = $2')) {
+      return row.employee_account_id === params[1];
+    }
+    return row.username === params[1] && !row.company_user_id && !row.employee_account_id;
+  });
+
+  if (sql.includes('MAX(id)')) {
+    return { rows: [{ id: Math.max(0, ...account.filter(row => row.success).map(row => row.id)) || null }] };
+  }
+
+  const failures = account.filter(row => !row.success && row.reason !== 'blocked' && row.id > params[2] && row.created_at > params[3]);
+  return {
+    rows: [{
+      count: String(failures.length),
+      last_failure: failures.length > 0 ? new Date(Math.max(...failures.map(row => row.created_at))) : null
+    }]
+  };
+};
+
+const attempt = (account) => ({
+  userType: 'admin',
+  username: 'admin',
+  req: { ip: '10.0.0.9', get: () => null },
+  ...account
+});
+
+test('failed sign-ins lock the account they were made on', async (t) => {
+  t.mock.method(pool, 'query', fakeQuery);
+  const block = await checkLoginAllowed(attempt({ companyUserId: 1, companyId: 101 }));
+  assert.match(block.message, /This account is locked/);
+});
+
+test('failed sign-ins don\'t lock the same username in another company', async (t) => {
+  t.mock.method(pool, 'query', fakeQuery);
+  assert.equal(await checkLoginAllowed(attempt({ companyUserId: 2, companyId: 202 })), null);
+});
+
+test('usernames that match no account are throttled on their own', async (t) => {
+  t.mock.method(pool, 'query', fakeQuery);
+  assert.equal(await checkLoginAllowed(attempt({})), null);
+});
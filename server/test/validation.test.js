@@ -0,0 +1,62 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { isValidDate, validateNewEmployee, validateLeaveRequest } = require('../validation');
+
+const NEW_EMPLOYEE = {
+  employee_id: 'A1',
+  name: 'Ada Obi',
+  email: 'ada@example.com',
+  department: 'Finance',
+  position: 'Accountant',
+  salary: '450000',
+  start_date: '2026-01-05'
+};
+
+test('a complete new employee passes', () => {
+  assert.deepEqual(validateNewEmployee(NEW_EMPLOYEE), []);
+});
+
+test('new employees need an employee ID and the fields an update needs', () => {
+  assert.deepEqual(validateNewEmployee({}), [
+    'employee_id is required',
+    'name is required',
+    'email is required',
+    'department is required',
+    'position is required'
+  ]);
+});
+
+test('new employees are checked like a full update', () => {
+  const errors = validateNewEmployee({
+    ...NEW_EMPLOYEE,
+    email: 'not-an-email',
+    salary: '-1',
+    start_date: 'someday',
+    manager_id: 'boss',
+    bank_details: 'GTB 0123456789'
+  });
+
+  assert.deepEqual(errors, [
+    'Invalid email format',
+    'Salary must be a positive number',
+    'Invalid start date format',
+    'manager_id must be an employee id',
+    'bank_details must be an object'
+  ]);
+});
+
+test('impossible calendar days are not valid dates', () => {
+  assert.equal(isValidDate('2026-02-28'), true);
+  assert.equal(isValidDate('2024-02-29'), true);
+  assert.equal(isValidDate('2025-02-29'), false);
+  assert.equal(isValidDate('2026-02-31'), false);
+  assert.equal(isValidDate('2026-04-31'), false);
+  assert.equal(isValidDate('2026-13-01'), false);
+});
+
+test('leave requests reject impossible dates', () => {
+  assert.deepEqual(validateLeaveRequest({ leave_type: 'annual', start_date: '2026-02-31', end_date: '2026-03-04' }), [
+    'start_date must be a date (YYYY-MM-DD)'
+  ]);
+  assert.deepEqual(validateLeaveRequest({ leave_type: 'annual', start_date: '2026-02-27', end_date: '2026-03-04' }), []);
+});
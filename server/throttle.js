@@ -0,0 +1,255 @@
+const { pool } = require('./database');
+const { getCompanyId } = require('./tenant');
+const { sendMail } = require('./mailer');
+
+// Login throttling for HR users and employees, based on the login_attempts
+// history. Each failed attempt on an account doubles the wait before the
+// next one, and enough failures lock the account for a while. IP addresses
+// with many failures across accounts are blocked too.
+//
+// Accounts are told apart by id rather than username, since the same
+// username can exist in several companies and failures in one mustn't lock
+// the others. Failures for usernames that match no account are counted by
+// username, so they are throttled like real accounts.
+
+// Failures older than this no longer count
+const FAILURE_WINDOW_MINUTES = 15;
+
+// Failures on one account before it is locked, and for how long
+const MAX_ACCOUNT_FAILURES = 5;
+const LOCKOUT_MINUTES = 15;
+
+// Wait after the nth failure: 1s, 2s, 4s, 8s, ... up to the cap
+const MAX_DELAY_SECONDS = 30;
+
+// Failures from one IP address, across all accounts, before it is blocked
+const MAX_IP_FAILURES = 20;
+
+// Failures that count towards throttling; blocked attempts don't extend it
+const COUNTED_FAILURE = "success = false AND (reason IS NULL OR reason <> 'blocked')";
+
+const normalizeUsername = (username) => String(username || '').trim().toLowerCase();
+
+const getClientInfo = (req) => ({
+  ip: req.ip || null,
+  userAgent: req.get('user-agent') || null
+});
+
+const secondsUntil = (time) => Math.max(1, Math.ceil((time.getTime() - Date.now()) / 1000));
+
+// The login_attempts column and id of the account an attempt is on, if any
+const accountKey = (attempt) => (attempt.userType === 'admin'
+  ? { column: 'company_user_id', id: attempt.companyUserId || null }
+  : { column: 'employee_account_id', id: attempt.employeeAccountId || null });
+
+// Condition matching the attempts on the same account as `attempt`, using
+// $1 and $2
+const sameAccount = (attempt) => {
+  const { column, id } = accountKey(attempt);
+
+  return id
+    ? { condition: `user_type = $1 AND ${column} = $2`, params: [attempt.userType, id] }
+    : {
+      condition: 'user_type = $1 AND username = $2 AND company_user_id IS NULL AND employee_account_id IS NULL',
+      params: [attempt.userType, normalizeUsername(attempt.username)]
+    };
+};
+
+const countAccountFailures = async (attempt) => {
+  const { condition, params } = sameAccount(attempt);
+
+  // Failures before the last successful login are forgiven
+  const lastSuccess = await pool.query(
+    `SELECT MAX(id) as id FROM login_attempts WHERE ${condition} AND success = true`,
+    params
+  );
+
+  const result = await pool.query(
+    `SELECT COUNT(*) as count, MAX(created_at) as last_failure FROM login_attempts
+     WHERE ${condition} AND ${COUNTED_FAILURE} AND id > $3 AND created_at > $4`,
+    [...params, lastSuccess.rows[0].id || 0, new Date(Date.now() - FAILURE_WINDOW_MINUTES * 60 * 1000)]
+  );
+
+  return {
+    count: parseInt(result.rows[0].count),
+    lastFailure: result.rows[0].last_failure ? new Date(result.rows[0].last_failure) : null
+  };
+};
+
+// Returns null when the attempt may go ahead, otherwise
+// { retryAfter (seconds), message }. `attempt` is as for recordLoginAttempt,
+// with the account the username matched, if any.
+const checkLoginAllowed = async (attempt) => {
+  const { ip } = getClientInfo(attempt.req);
+
+  if (ip) {
+    const ipFailures = await pool.query(
+      `SELECT COUNT(*) as count, MIN(created_at) as first_failure FROM login_attempts
+       WHERE ip_address = $1 AND ${COUNTED_FAILURE} AND created_at > $2`,
+      [ip, new Date(Date.now() - FAILURE_WINDOW_MINUTES * 60 * 1000)]
+    );
+
+    if (parseInt(ipFailures.rows[0].count) >= MAX_IP_FAILURES) {
+      const retryAt = new Date(new Date(ipFailures.rows[0].first_failure).getTime() + FAILURE_WINDOW_MINUTES * 60 * 1000);
+      return {
+        retryAfter: secondsUntil(retryAt),
+        message: 'Too many failed sign-in attempts from this network. Please try again later.'
+      };
+    }
+  }
+
+  const { count, lastFailure } = await countAccountFailures(attempt);
+
+  if (count >= MAX_ACCOUNT_FAILURES) {
+    const lockedUntil = new Date(lastFailure.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+    if (lockedUntil > new Date()) {
+      return {
+        retryAfter: secondsUntil(lockedUntil),
+        message: `This account is locked after too many failed sign-in attempts. Try again in ${Math.ceil(secondsUntil(lockedUntil) / 60)} minutes.`
+      };
+    }
+  } else if (count > 0) {
+    const delaySeconds = Math.min(2 ** (count - 1), MAX_DELAY_SECONDS);
+    const nextAllowed = new Date(lastFailure.getTime() + delaySeconds * 1000);
+    if (nextAllowed > new Date()) {
+      return {
+        retryAfter: secondsUntil(nextAllowed),
+        message: `Too many failed sign-in attempts. Please wait ${secondsUntil(nextAllowed)} seconds and try again.`
+      };
+    }
+  }
+
+  return null;
+};
+
+// Send a 429 for a blocked attempt and record it. `errorKey` is 'error' for
+// HR routes and 'message' for the employee portal.
+const rejectLogin = async (res, block, attempt, errorKey = 'error') => {
+  await recordLoginAttempt({ ...attempt, success: false, reason: 'blocked' });
+  res.set('Retry-After', String(block.retryAfter));
+  return res.status(429).json({ [errorKey]: block.message, retryAfter: block.retryAfter });
+};
+
+// attempt: { userType, username, req, success, reason, companyUserId,
+// employeeAccountId, companyId }
+const recordLoginAttempt = async (attempt) => {
+  const { ip, userAgent } = getClientInfo(attempt.req);
+
+  await pool.query(
+    `INSERT INTO login_attempts
+       (user_type, username, company_user_id, employee_account_id, company_id, ip_address, user_agent, success, reason)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      attempt.userType,
+      normalizeUsername(attempt.username),
+      attempt.companyUserId || null,
+      attempt.employeeAccountId || null,
+      attempt.companyId || null,
+      ip,
+      userAgent,
+      attempt.success,
+      attempt.reason || null
+    ]
+  );
+};
+
+const sendSecurityAlert = async (user, subject, text) => {
+  if (!user || !user.email) {
+    return;
+  }
+
+  try {
+    await sendMail({ to: user.email, subject, text: `Hello ${user.name || user.username},\n\n${text}` });
+  } catch (error) {
+    console.error('Security alert email error:', error);
+  }
+};
+
+// Record a failed attempt. `user` ({ email, name | username }) is the account
+// the username belongs to, if any; its owner is alerted when it gets locked.
+const recordLoginFailure = async (attempt, user) => {
+  await recordLoginAttempt({ ...attempt, success: false });
+
+  if (!user) {
+    return;
+  }
+
+  const { count } = await countAccountFailures(attempt);
+
+  if (count === MAX_ACCOUNT_FAILURES) {
+    const { ip } = getClientInfo(attempt.req);
+    await sendSecurityAlert(
+      user,
+      'Your account has been temporarily locked',
+      `There were ${MAX_ACCOUNT_FAILURES} failed attempts to sign in to your account, most recently from IP address ${ip || 'unknown'}. ` +
+        `Sign-in is locked for ${LOCKOUT_MINUTES} minutes.\n\n` +
+        "If this wasn't you, someone may be trying to guess your password. Consider changing it once the lock expires."
+    );
+  }
+};
+
+// Record a successful login and alert the user when it comes from an IP
+// address their account hasn't signed in from before
+const recordLoginSuccess = async (attempt, user) => {
+  const { ip, userAgent } = getClientInfo(attempt.req);
+  const { column, id } = accountKey(attempt);
+
+  const previous = await pool.query(
+    `SELECT DISTINCT ip_address FROM login_attempts
+     WHERE ${column} = $1 AND success = true`,
+    [id]
+  );
+
+  await recordLoginAttempt({ ...attempt, success: true });
+
+  const knownIps = previous.rows.map(row => row.ip_address);
+  if (knownIps.length > 0 && !knownIps.includes(ip)) {
+    await sendSecurityAlert(
+      user,
+      'New sign-in to your account',
+      `Your account was just signed in to from a new location.\n\n` +
+        `IP address: ${ip || 'unknown'}\nDevice: ${userAgent || 'unknown'}\nTime: ${new Date().toUTCString()}\n\n` +
+        "If this was you, no action is needed. If not, reset your password right away."
+    );
+  }
+};
+
+// Sign-in history for the company (requires security:read).
+// ?success=false shows failed attempts only.
+const getLoginAttempts = async (req, res) => {
+  try {
+    const { success, userType } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 100, 500);
+
+    const params = [getCompanyId(req)];
+    let query = `SELECT id, user_type, username, ip_address, user_agent, success, reason, created_at
+      FROM login_attempts WHERE company_id = $1`;
+
+    if (success === 'true' || success === 'false') {
+      params.push(success === 'true');
+      query += ` AND success = $${params.length}`;
+    }
+
+    if (userType) {
+      params.push(userType);
+      query += ` AND user_type = $${params.length}`;
+    }
+
+    params.push(limit);
+    query += ` ORDER BY created_at DESC LIMIT $${params.length}`;
+
+    const result = await pool.query(query, params);
+    res.json({ success: true, data: result.rows });
+  } catch (error) {
+    console.error('Error fetching login attempts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  checkLoginAllowed,
+  rejectLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  getLoginAttempts
+};
@@ -0,0 +1,102 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('./database');
+
+// Access and refresh tokens for company users. Access tokens are short-lived
+// JWTs tied to a session; refresh tokens are random, stored hashed, and
+// replaced on every use. Tokens from one login form a family: presenting a
+// token that was already replaced means it leaked, so the whole family and
+// its session are revoked.
+
+const DEV_JWT_SECRET = 'hr-platform-secret-key-2024';
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+
+// Refresh tokens never outlive the session they belong to
+const DEFAULT_REFRESH_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Read at call time since dotenv is loaded after the modules. server.js
+// refuses to start in production without JWT_SECRET.
+const getJwtSecret = () => process.env.JWT_SECRET || DEV_JWT_SECRET;
+
+// Emailed and refresh tokens are handed out in clear and stored hashed
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const signAccessToken = (admin, sid) => {
+  return jwt.sign(
+    {
+      companyUserId: admin.id,
+      companyId: admin.company_id,
+      username: admin.username,
+      role: admin.role,
+      sid
+    },
+    getJwtSecret(),
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+};
+
+// Create a refresh token for the session; starts a new family unless
+// familyId is given (rotation)
+const issueRefreshToken = async (db, { companyUserId, sessionId, familyId, expires, req }) => {
+  const token = crypto.randomBytes(32).toString('hex');
+
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (company_user_id, family_id, session_id, token_hash, expires_at, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     RETURNING id`,
+    [
+      companyUserId,
+      familyId || crypto.randomBytes(16).toString('hex'),
+      sessionId,
+      hashToken(token),
+      expires || new Date(Date.now() + DEFAULT_REFRESH_TOKEN_TTL_MS),
+      req.ip || null,
+      req.get('user-agent') || null
+    ]
+  );
+
+  return { token, id: result.rows[0].id };
+};
+
+const findRefreshToken = async (token) => {
+  const result = await pool.query(
+    'SELECT * FROM refresh_tokens WHERE token_hash = $1',
+    [hashToken(String(token || ''))]
+  );
+  return result.rows[0] || null;
+};
+
+// Revoke a token family and sign out the session it belongs to
+const revokeTokenFamily = async (db, familyId) => {
+  const result = await db.query(
+    `UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP
+     WHERE family_id = $1 AND revoked_at IS NULL
+     RETURNING session_id`,
+    [familyId]
+  );
+
+  const sessionIds = [...new Set(result.rows.map(row => row.session_id))];
+  for (const sid of sessionIds) {
+    await db.query('DELETE FROM sessions WHERE sid = $1', [sid]);
+  }
+};
+
+// Revoke every refresh token issued for a session, e.g. on logout
+const revokeSessionTokens = async (db, sessionId) => {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE session_id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+};
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  getJwtSecret,
+  hashToken,
+  signAccessToken,
+  issueRefreshToken,
+  findRefreshToken,
+  revokeTokenFamily,
+  revokeSessionTokens
+};
@@ -0,0 +1,473 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { pool } = require('./database');
+const { hashToken, verifyLoginChallenge, findCompanyUser, completeAdminLogin } = require('./auth');
+const { revokeUserSessions } = require('./sessions');
+const { checkLoginAllowed, rejectLogin, recordLoginFailure } = require('./throttle');
+const { withAudit } = require('./audit');
+
+// TOTP (RFC 6238) two-factor authentication for company users. Users enroll
+// with an authenticator app, confirm with a code, and get one-time recovery
+// codes. Companies can require 2FA, and user managers can reset it.
+
+const ISSUER = 'Resconate HR';
+
+// 30-second steps, 6 digits, HMAC-SHA1: what authenticator apps expect
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+
+// Accept the previous and next step too, to allow for clock drift
+const TOTP_WINDOW = 1;
+
+const RECOVERY_CODE_COUNT = 10;
+const RECOVERY_CODE_ALPHABET = 'abcdefghjkmnpqrstuvwxyz23456789';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+  let bits = '';
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, '0');
+  }
+
+  let output = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (text) => {
+  let bits = '';
+  for (const char of text.toUpperCase().replace(/[^A-Z2-7]/g, '')) {
+    bits += BASE32_ALPHABET.indexOf(char).toString(2).padStart(5, '0');
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+const getTotpStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD_SECONDS);
+
+const generateTotp = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const value = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(value % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+// Returns the matching time step, or null
+const findTotpStep = (secret, code) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const current = getTotpStep();
+  for (let step = current - TOTP_WINDOW; step <= current + TOTP_WINDOW; step++) {
+    const candidate = generateTotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const getOtpauthUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params}`;
+};
+
+// Recovery codes are shown once as xxxxx-xxxxx and stored hashed
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const generateRecoveryCodes = () => {
+  return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    let code = '';
+    for (let i = 0; i < 10; i++) {
+      code += RECOVERY_CODE_ALPHABET[crypto.randomInt(RECOVERY_CODE_ALPHABET.length)];
+    }
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+const replaceRecoveryCodes = async (db, companyUserId) => {
+  const codes = generateRecoveryCodes();
+
+  await db.query('DELETE FROM company_user_recovery_codes WHERE company_user_id = $1', [companyUserId]);
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO company_user_recovery_codes (company_user_id, code_hash) VALUES ($1, $2)',
+      [companyUserId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+};
+
+// Check an authenticator code against the user's secret. A code is only
+// accepted once: its time step must be later than the last one used.
+const consumeTotpCode = async (user, secret, code) => {
+  const step = findTotpStep(secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `UPDATE company_users SET two_factor_last_step = $1
+     WHERE id = $2 AND (two_factor_last_step IS NULL OR two_factor_last_step < $1)
+     RETURNING id`,
+    [step, user.id]
+  );
+  return result.rows.length > 0;
+};
+
+const consumeRecoveryCode = async (user, code) => {
+  const normalized = normalizeRecoveryCode(code);
+  if (!normalized) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `UPDATE company_user_recovery_codes SET used_at = CURRENT_TIMESTAMP
+     WHERE company_user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [user.id, hashToken(normalized)]
+  );
+  return result.rows.length > 0;
+};
+
+// Six digits are an authenticator code; anything else is tried as a recovery code
+const verifySecondFactor = async (user, code) => {
+  if (/^\d{6}$/.test(String(code || '').replace(/\s/g, ''))) {
+    return consumeTotpCode(user, user.two_factor_secret, code);
+  }
+  return consumeRecoveryCode(user, code);
+};
+
+// Second login step: exchange the challenge and a code for a session token
+const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    const challenge = verifyLoginChallenge(challengeToken, 'two_factor_login');
+
+    if (!challenge) {
+      return res.status(401).json({ error: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+
+    if (!code) {
+      return res.status(400).json({ error: 'Authentication code is required' });
+    }
+
+    const user = await findCompanyUser(challenge.companyUserId, challenge.companyId);
+
+    if (!user || !user.two_factor_enabled) {
+      return res.status(401).json({ error: 'Your sign-in attempt has expired. Please log in again.' });
+    }
+
+    // Code guesses count towards the same lockout as password guesses
+    const attempt = { userType: 'admin', username: user.username, req, companyUserId: user.id, companyId: user.company_id };
+
+    const block = await checkLoginAllowed(attempt);
+    if (block) {
+      return rejectLogin(res, block, attempt);
+    }
+
+    if (!(await verifySecondFactor(user, code))) {
+      await recordLoginFailure({ ...attempt, reason: 'invalid_two_factor_code' }, user);
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    await completeAdminLogin(req, res, user);
+  } catch (error) {
+    console.error('Two-factor login error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Current user's 2FA status
+const getTwoFactorStatus = async (req, res) => {
+  try {
+    const [result, codes] = await Promise.all([
+      pool.query(
+        `SELECT cu.two_factor_enabled, cu.two_factor_enabled_at, c.require_two_factor
+         FROM company_users cu
+         JOIN companies c ON cu.company_id = c.id
+         WHERE cu.id = $1`,
+        [req.admin.id]
+      ),
+      pool.query(
+        'SELECT COUNT(*) as count FROM company_user_recovery_codes WHERE company_user_id = $1 AND used_at IS NULL',
+        [req.admin.id]
+      )
+    ]);
+
+    const status = result.rows[0];
+
+    res.json({
+      success: true,
+      data: {
+        enabled: status.two_factor_enabled,
+        enabledAt: status.two_factor_enabled_at,
+        requiredByCompany: status.require_two_factor,
+        recoveryCodesRemaining: parseInt(codes.rows[0].count)
+      }
+    });
+  } catch (error) {
+    console.error('Get two-factor status error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Start enrollment: create a pending secret for the authenticator app
+const setupTwoFactor = async (req, res) => {
+  try {
+    const user = await findCompanyUser(req.admin.id, req.admin.company_id);
+
+    if (user.two_factor_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+
+    await pool.query(
+      'UPDATE company_users SET two_factor_pending_secret = $1 WHERE id = $2',
+      [secret, user.id]
+    );
+
+    res.json({
+      success: true,
+      data: {
+        secret,
+        otpauthUri: getOtpauthUri(secret, user.email || user.username)
+      }
+    });
+  } catch (error) {
+    console.error('Two-factor setup error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Finish enrollment with a code from the app. Returns the recovery codes,
+// and a session token when enrolling from the login step.
+const enableTwoFactor = async (req, res) => {
+  let client;
+
+  try {
+    client = await pool.connect();
+    const user = await findCompanyUser(req.admin.id, req.admin.company_id);
+
+    if (user.two_factor_enabled) {
+      return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.two_factor_pending_secret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const step = findTotpStep(user.two_factor_pending_secret, req.body.code);
+
+    if (step === null) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+
+    await client.query('BEGIN');
+
+    await client.query(
+      `UPDATE company_users
+       SET two_factor_enabled = true, two_factor_secret = two_factor_pending_secret,
+         two_factor_pending_secret = NULL, two_factor_last_step = $1,
+         two_factor_enabled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2`,
+      [step, user.id]
+    );
+
+    const recoveryCodes = await replaceRecoveryCodes(client, user.id);
+
+    await client.query('COMMIT');
+
+    if (req.loginChallenge === 'two_factor_setup') {
+      return completeAdminLogin(req, res, user, { recoveryCodes });
+    }
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
+    });
+  } catch (error) {
+    if (client) {
+      await client.query('ROLLBACK');
+    }
+    console.error('Enable two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  } finally {
+    if (client) {
+      client.release();
+    }
+  }
+};
+
+// Turn 2FA off; needs the password and a current code
+const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code } = req.body;
+
+    if (!password || !code) {
+      return res.status(400).json({ error: 'Password and authentication code are required' });
+    }
+
+    const user = await findCompanyUser(req.admin.id, req.admin.company_id);
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.require_two_factor) {
+      return res.status(403).json({ error: 'Your company requires two-factor authentication' });
+    }
+
+    if (!(await bcrypt.compare(password, user.password_hash)) || !(await verifySecondFactor(user, code))) {
+      return res.status(401).json({ error: 'Invalid password or authentication code' });
+    }
+
+    await pool.query(
+      `UPDATE company_users
+       SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_pending_secret = NULL,
+         two_factor_last_step = NULL, two_factor_enabled_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [user.id]
+    );
+    await pool.query('DELETE FROM company_user_recovery_codes WHERE company_user_id = $1', [user.id]);
+
+    res.json({ success: true, message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    console.error('Disable two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Replace the recovery codes; needs a current authenticator code
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const user = await findCompanyUser(req.admin.id, req.admin.company_id);
+
+    if (!user.two_factor_enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!(await consumeTotpCode(user, user.two_factor_secret, req.body.code))) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(pool, user.id);
+
+    res.json({ success: true, message: 'New recovery codes generated', recoveryCodes });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Clear another user's 2FA, e.g. after a lost phone (requires users:manage).
+// The user is signed out and enrolls again at next login if required.
+const resetUserTwoFactor = async (req, res) => {
+  try {
+    if (parseInt(req.params.id) === req.admin.id) {
+      return res.status(400).json({ error: 'Use your own security settings to change your two-factor authentication' });
+    }
+
+    const result = await withAudit(req, async (client, audit) => {
+      const updated = await client.query(
+        `UPDATE company_users
+         SET two_factor_enabled = false, two_factor_secret = NULL, two_factor_pending_secret = NULL,
+           two_factor_last_step = NULL, two_factor_enabled_at = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND company_id = $2
+         RETURNING id, username`,
+        [req.params.id, req.admin.company_id]
+      );
+
+      if (updated.rows.length > 0) {
+        audit({ action: 'user.two_factor_reset', entityType: 'company_user', entityId: updated.rows[0].id, metadata: { username: updated.rows[0].username } });
+      }
+
+      return updated;
+    });
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    await pool.query('DELETE FROM company_user_recovery_codes WHERE company_user_id = $1', [result.rows[0].id]);
+    await revokeUserSessions(pool, { adminId: result.rows[0].id });
+
+    res.json({ success: true, message: 'Two-factor authentication reset' });
+  } catch (error) {
+    console.error('Reset two-factor error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Require 2FA for every user in the company (requires users:manage)
+const updateTwoFactorPolicy = async (req, res) => {
+  try {
+    const { required } = req.body;
+
+    if (typeof required !== 'boolean') {
+      return res.status(400).json({ error: 'required must be true or false' });
+    }
+
+    await withAudit(req, async (client, audit) => {
+      const before = await client.query('SELECT require_two_factor FROM companies WHERE id = $1', [req.admin.company_id]);
+      await client.query(
+        'UPDATE companies SET require_two_factor = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [required, req.admin.company_id]
+      );
+      audit({
+        action: 'company.two_factor_policy',
+        entityType: 'company',
+        entityId: req.admin.company_id,
+        before: before.rows[0],
+        after: { require_two_factor: required }
+      });
+    });
+
+    res.json({
+      success: true,
+      message: required
+        ? 'Two-factor authentication is now required for all users'
+        : 'Two-factor authentication is now optional',
+      data: { requiredByCompany: required }
+    });
+  } catch (error) {
+    console.error('Update two-factor policy error:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+module.exports = {
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  resetUserTwoFactor,
+  updateTwoFactorPolicy
+};
@@ -1,5 +1,7 @@
 // Validation utilities for HR platform
 
+const { ROLES } = require('./permissions');
+
 // Email validation
 const isValidEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -18,12 +20,27 @@ const isValidPhone = (phone) => {
   return phoneRegex.test(phone);
 };
 
-// Date validation
+// Date validation. Date rolls impossible days over (2026-02-31 becomes
+// 2026-03-03), so the day is checked against its month as well.
 const isValidDate = (dateString) => {
   const date = new Date(dateString);
-  return date instanceof Date && !isNaN(date);
+  if (!(date instanceof Date) || isNaN(date)) {
+    return false;
+  }
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(dateString));
+  if (!match) {
+    return true;
+  }
+
+  const [year, month, day] = match.slice(1).map(Number);
+  const calendarDay = new Date(Date.UTC(year, month - 1, day));
+  return calendarDay.getUTCMonth() === month - 1 && calendarDay.getUTCDate() === day;
 };
 
+// Times of day as HH:MM, with optional seconds
+const isValidTime = (time) => /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/.test(time || '');
+
 // Salary validation (positive number)
 const isValidSalary = (salary) => {
   const num = parseFloat(salary);
@@ -95,6 +112,300 @@ const validateEmployee = (employeeData) => {
   return errors;
 };
 
+const TERMINATION_REASONS = ['resignation', 'dismissal', 'redundancy', 'retirement', 'end_of_contract', 'death', 'other'];
+
+const EMPLOYMENT_CHANGE_TYPES = ['hire', 'promotion', 'demotion', 'transfer', 'salary_change', 'correction', 'other'];
+
+// Checks shared by history records and employee edits that change the job
+// or pay: the effective date and kind of change, when given, and the amounts
+const validateEmploymentFields = (data) => {
+  const errors = [];
+
+  if (data.effective_date && !isValidDate(data.effective_date)) {
+    errors.push('Invalid effective date format');
+  }
+
+  if (data.change_type && !EMPLOYMENT_CHANGE_TYPES.includes(data.change_type)) {
+    errors.push(`Invalid change type. Must be one of: ${EMPLOYMENT_CHANGE_TYPES.join(', ')}`);
+  }
+
+  if (data.salary && !isValidSalary(data.salary)) {
+    errors.push('Salary must be a positive number');
+  }
+
+  if (data.allowances !== undefined && data.allowances !== null && data.allowances !== '' &&
+      (isNaN(parseFloat(data.allowances)) || parseFloat(data.allowances) < 0)) {
+    errors.push('Allowances must be zero or a positive number');
+  }
+
+  return errors;
+};
+
+// Employee update validation. PUT (partial = false) needs the same fields as
+// a new employee; PATCH only checks the fields that are sent.
+const validateEmployeeUpdate = (employeeData, { partial = false } = {}) => {
+  const requiredFields = ['name', 'email', 'department', 'position'];
+  const errors = partial ? [] : validateRequired(requiredFields, employeeData);
+
+  if (partial) {
+    ['employee_id', ...requiredFields].forEach(field => {
+      if (employeeData[field] !== undefined && !String(employeeData[field] || '').trim()) {
+        errors.push(`${field} cannot be empty`);
+      }
+    });
+  }
+
+  if (employeeData.email && !isValidEmail(employeeData.email)) {
+    errors.push('Invalid email format');
+  }
+
+  errors.push(...validateEmploymentFields(employeeData));
+
+  if (employeeData.start_date && !isValidDate(employeeData.start_date)) {
+    errors.push('Invalid start date format');
+  }
+
+  if (employeeData.manager_id && !/^\d+$/.test(String(employeeData.manager_id))) {
+    errors.push('manager_id must be an employee id');
+  }
+
+  // Status only changes through termination
+  if (employeeData.status !== undefined) {
+    errors.push('status cannot be edited; use the termination endpoint to terminate an employee');
+  }
+
+  ['emergency_contact', 'bank_details'].forEach(field => {
+    const value = employeeData[field];
+    if (value !== undefined && value !== null && (typeof value !== 'object' || Array.isArray(value))) {
+      errors.push(`${field} must be an object`);
+    }
+  });
+
+  return errors;
+};
+
+// New employee validation: what a full update checks, plus the employee ID
+const validateNewEmployee = (employeeData) => [
+  ...validateRequired(['employee_id'], employeeData),
+  ...validateEmployeeUpdate(employeeData)
+];
+
+// Termination validation
+const validateTermination = (terminationData) => {
+  const errors = [];
+
+  errors.push(...validateRequired(['exit_date', 'reason'], terminationData));
+
+  if (terminationData.exit_date && !isValidDate(terminationData.exit_date)) {
+    errors.push('Invalid exit date format');
+  }
+
+  if (terminationData.reason && !TERMINATION_REASONS.includes(terminationData.reason)) {
+    errors.push(`Invalid reason. Must be one of: ${TERMINATION_REASONS.join(', ')}`);
+  }
+
+  return errors;
+};
+
+// Employment history record validation. At least one of department,
+// position, salary or allowances must change.
+const validateEmploymentChange = (changeData) => {
+  const errors = validateRequired(['effective_date', 'change_type'], changeData);
+
+  const changed = ['department', 'position', 'salary', 'allowances']
+    .filter(field => changeData[field] !== undefined && changeData[field] !== null && changeData[field] !== '');
+
+  if (changed.length === 0) {
+    errors.push('At least one of department, position, salary or allowances is required');
+  }
+
+  errors.push(...validateEmploymentFields(changeData));
+
+  return errors;
+};
+
+const LEAVE_TYPES = ['annual', 'sick', 'maternity', 'paternity', 'compassionate', 'emergency', 'unpaid'];
+
+const LEAVE_ACCRUALS = ['monthly', 'annual'];
+
+const LEAVE_APPROVAL_STAGES = ['line_manager', 'hr'];
+
+// Leave request validation, for new requests and resubmissions. The days
+// taken are counted by the server.
+const validateLeaveRequest = (leaveData) => {
+  const errors = validateRequired(['leave_type', 'start_date', 'end_date'], leaveData);
+
+  if (leaveData.leave_type && !LEAVE_TYPES.includes(leaveData.leave_type)) {
+    errors.push(`Invalid leave type. Must be one of: ${LEAVE_TYPES.join(', ')}`);
+  }
+
+  ['start_date', 'end_date'].forEach(field => {
+    if (leaveData[field] && (!/^\d{4}-\d{2}-\d{2}$/.test(leaveData[field]) || !isValidDate(leaveData[field]))) {
+      errors.push(`${field} must be a date (YYYY-MM-DD)`);
+    }
+  });
+
+  if (leaveData.start_date && leaveData.end_date && leaveData.end_date < leaveData.start_date) {
+    errors.push('end_date cannot be before start_date');
+  }
+
+  return errors;
+};
+
+// A company's leave approval chain: the stages a request passes through, in order
+const validateLeaveApprovalChain = (chain) => {
+  if (!Array.isArray(chain) || chain.length === 0) {
+    return ['chain must be a non-empty list of stages'];
+  }
+
+  const errors = [];
+
+  if (chain.some(stage => !LEAVE_APPROVAL_STAGES.includes(stage))) {
+    errors.push(`Invalid stage. Each must be one of: ${LEAVE_APPROVAL_STAGES.join(', ')}`);
+  }
+
+  if (new Set(chain).size !== chain.length) {
+    errors.push('Each stage can only appear once');
+  }
+
+  return errors;
+};
+
+// A company's policy for one leave type
+const validateLeavePolicy = (policyData) => {
+  const errors = [];
+  const entitlement = parseFloat(policyData.entitlement_days);
+
+  if (policyData.entitlement_days === undefined || policyData.entitlement_days === '' || isNaN(entitlement) || entitlement < 0 || entitlement > 366) {
+    errors.push('entitlement_days must be a number of days between 0 and 366');
+  }
+
+  if (policyData.accrual !== undefined && !LEAVE_ACCRUALS.includes(policyData.accrual)) {
+    errors.push(`accrual must be one of: ${LEAVE_ACCRUALS.join(', ')}`);
+  }
+
+  if (policyData.probation_months !== undefined && policyData.probation_months !== null) {
+    const months = Number(policyData.probation_months);
+    if (!Number.isInteger(months) || months < 0 || months > 24) {
+      errors.push('probation_months must be a whole number of months between 0 and 24');
+    }
+  }
+
+  if (policyData.carry_over_cap !== undefined && policyData.carry_over_cap !== null && policyData.carry_over_cap !== '') {
+    const cap = parseFloat(policyData.carry_over_cap);
+    if (isNaN(cap) || cap < 0) {
+      errors.push('carry_over_cap must be a positive number of days, or empty for no cap');
+    }
+  }
+
+  if (policyData.carry_over_expiry_months !== undefined && policyData.carry_over_expiry_months !== null && policyData.carry_over_expiry_months !== '') {
+    const months = Number(policyData.carry_over_expiry_months);
+    if (!Number.isInteger(months) || months < 1 || months > 11) {
+      errors.push('carry_over_expiry_months must be between 1 and 11, or empty if carried days never expire');
+    }
+  }
+
+  return errors;
+};
+
+// A manual change to an employee's leave balance
+const validateLeaveAdjustment = (adjustmentData) => {
+  const errors = validateRequired(['leave_type', 'note'], adjustmentData);
+
+  if (adjustmentData.leave_type && !LEAVE_TYPES.includes(adjustmentData.leave_type)) {
+    errors.push(`Invalid leave type. Must be one of: ${LEAVE_TYPES.join(', ')}`);
+  }
+
+  const days = parseFloat(adjustmentData.days);
+  if (isNaN(days) || days === 0) {
+    errors.push('days must be a non-zero number (negative to deduct)');
+  }
+
+  if (adjustmentData.effective_date && !/^\d{4}-\d{2}-\d{2}$/.test(adjustmentData.effective_date)) {
+    errors.push('effective_date must be a date (YYYY-MM-DD)');
+  }
+
+  return errors;
+};
+
+// A company holiday, or a federal holiday the company works (observed: false)
+const validateHoliday = (holidayData) => {
+  const errors = validateRequired(['date'], holidayData);
+
+  if (holidayData.date && (!/^\d{4}-\d{2}-\d{2}$/.test(holidayData.date) || !isValidDate(holidayData.date))) {
+    errors.push('date must be a date (YYYY-MM-DD)');
+  }
+
+  if (holidayData.observed !== undefined && typeof holidayData.observed !== 'boolean') {
+    errors.push('observed must be true or false');
+  }
+
+  if (holidayData.observed !== false && !(holidayData.name || '').trim()) {
+    errors.push('name is required');
+  }
+
+  if (holidayData.name && holidayData.name.length > 100) {
+    errors.push('name cannot be longer than 100 characters');
+  }
+
+  return errors;
+};
+
+// A company's working day and how many minutes after its start a clock-in is
+// still on time
+const validateWorkSchedule = (scheduleData) => {
+  const errors = [];
+
+  ['work_day_start', 'work_day_end'].forEach(field => {
+    if (scheduleData[field] !== undefined && !isValidTime(scheduleData[field])) {
+      errors.push(`${field} must be a time (HH:MM)`);
+    }
+  });
+
+  if (isValidTime(scheduleData.work_day_start) && isValidTime(scheduleData.work_day_end) &&
+    scheduleData.work_day_end <= scheduleData.work_day_start) {
+    errors.push('work_day_end must be after work_day_start');
+  }
+
+  if (scheduleData.late_after_minutes !== undefined) {
+    const minutes = Number(scheduleData.late_after_minutes);
+    if (!Number.isInteger(minutes) || minutes < 0 || minutes > 240) {
+      errors.push('late_after_minutes must be a whole number of minutes between 0 and 240');
+    }
+  }
+
+  return errors;
+};
+
+// A request to correct one day's attendance
+const validateAttendanceCorrection = (correctionData) => {
+  const errors = validateRequired(['date', 'clock_in', 'clock_out', 'reason'], correctionData);
+
+  if (correctionData.date && (!/^\d{4}-\d{2}-\d{2}$/.test(correctionData.date) || !isValidDate(correctionData.date))) {
+    errors.push('date must be a date (YYYY-MM-DD)');
+  }
+
+  ['clock_in', 'clock_out'].forEach(field => {
+    if (correctionData[field] && !isValidTime(correctionData[field])) {
+      errors.push(`${field} must be a time (HH:MM)`);
+    }
+  });
+
+  if (isValidTime(correctionData.clock_in) && isValidTime(correctionData.clock_out) &&
+    correctionData.clock_out <= correctionData.clock_in) {
+    errors.push('clock_out must be after clock_in');
+  }
+
+  if (correctionData.break_minutes !== undefined && correctionData.break_minutes !== null && correctionData.break_minutes !== '') {
+    const minutes = Number(correctionData.break_minutes);
+    if (!Number.isInteger(minutes) || minutes < 0) {
+      errors.push('break_minutes must be a whole number of minutes');
+    }
+  }
+
+  return errors;
+};
+
 // Interview validation
 const validateInterview = (interviewData) => {
   const errors = [];
@@ -132,8 +443,8 @@ const validateAdmin = (adminData) => {
     errors.push('Password must be at least 8 characters with uppercase, lowercase, and number');
   }
   
-  if (adminData.role && !['admin', 'super_admin'].includes(adminData.role)) {
-    errors.push('Invalid role. Must be admin or super_admin');
+  if (adminData.role && !Object.keys(ROLES).includes(adminData.role)) {
+    errors.push(`Invalid role. Must be one of: ${Object.keys(ROLES).join(', ')}`);
   }
   
   return errors;
@@ -220,11 +531,28 @@ module.exports = {
   isValidPassword,
   isValidPhone,
   isValidDate,
+  isValidTime,
   isValidSalary,
+  TERMINATION_REASONS,
+  EMPLOYMENT_CHANGE_TYPES,
+  LEAVE_TYPES,
+  LEAVE_APPROVAL_STAGES,
+  LEAVE_ACCRUALS,
   validateRequired,
   validateJob,
   validateCandidate,
   validateEmployee,
+  validateEmployeeUpdate,
+  validateNewEmployee,
+  validateTermination,
+  validateEmploymentChange,
+  validateLeaveRequest,
+  validateLeaveApprovalChain,
+  validateLeavePolicy,
+  validateLeaveAdjustment,
+  validateHoliday,
+  validateWorkSchedule,
+  validateAttendanceCorrection,
   validateInterview,
   validateAdmin,
   validatePolicy,